@@ -1,158 +1,68 @@
 import { useEffect, useMemo, useState } from "react";
-import { createClient } from "@supabase/supabase-js";
-
-
-/**
- * Assumes you already have env vars in Vite:
- *  VITE_SUPABASE_URL
- *  VITE_SUPABASE_ANON_KEY
- */
-const supabase = createClient(
-  import.meta.env.VITE_SUPABASE_URL,
-  import.meta.env.VITE_SUPABASE_ANON_KEY
-);
-
-const currency = (n, showKwd) =>
-  `${showKwd ? "KWD " : ""}${Number(n || 0).toLocaleString(undefined, {
-    minimumFractionDigits: 3,
-    maximumFractionDigits: 3,
-  })}`;
-
-function useSession() {
-  const [session, setSession] = useState(null);
-
-  useEffect(() => {
-    let mounted = true;
-    supabase.auth.getSession().then(({ data }) => {
-      if (mounted) setSession(data?.session ?? null);
-    });
-    const { data: sub } = supabase.auth.onAuthStateChange((_e, s) => {
-      setSession(s);
-    });
-    return () => {
-      mounted = false;
-      sub?.subscription?.unsubscribe?.();
-    };
-  }, []);
-
-  return session;
-}
-
-async function fetchProfile() {
-  const { data, error } = await supabase
-    .from("profile")
-    .select("id, role, display_name")
-    .eq("id", (await supabase.auth.getUser()).data.user.id)
-    .maybeSingle();
-  if (error) throw error;
-  return data;
-}
-
-async function upsertDisplayName(display_name) {
-  const { data: { user } } = await supabase.auth.getUser();
-  const { error } = await supabase
-    .from("profile")
-    .upsert({ id: user.id, display_name }, { onConflict: "id" });
-  if (error) throw error;
-}
-
-async function setRole(role) {
-  const { data: { user } } = await supabase.auth.getUser();
-  const { error } = await supabase.from("profile").update({ role }).eq("id", user.id);
-  if (error) throw error;
-}
-
-function useMonthYear() {
-  const now = new Date();
-  const [month, setMonth] = useState(now.getMonth());
-  const [year, setYear] = useState(now.getFullYear());
-  return { month, setMonth, year, setYear };
-}
-
-function monthStartEnd(month, year) {
-  const start = new Date(year, month, 1);
-  const end = new Date(year, month + 1, 1); // exclusive
-  return { start: start.toISOString(), end: end.toISOString() };
-}
-
-async function fetchIN({ startISO, endISO, userIdFilter }) {
-  let q = supabase
-    .from("transactions")
-    .select("id, created_at, amount, client_account, client_name, period, note, user_id")
-    .gte("created_at", startISO)
-    .lt("created_at", endISO)
-    .order("created_at", { ascending: false });
-
-  if (userIdFilter) q = q.eq("user_id", userIdFilter);
-  const { data, error } = await q;
-  if (error) throw error;
-  return data || [];
-}
-
-async function fetchOUT({ startISO, endISO, userIdFilter, includePendingInTotals }) {
-  let q = supabase
-    .from("withdrawals")
-    .select("id, created_at, amount, client_account, client_name, note, status, user_id")
-    .gte("created_at", startISO)
-    .lt("created_at", endISO)
-    .order("created_at", { ascending: false });
-
-  if (userIdFilter) q = q.eq("user_id", userIdFilter);
-  const { data, error } = await q;
-  if (error) throw error;
-  // Totals will optionally include pending; listing still shows all.
-  const list = data || [];
-  const totalApproved = list
-    .filter(r => includePendingInTotals ? true : r.status === "approved")
-    .reduce((s, r) => s + Number(r.amount || 0), 0);
-
-  return { list, totalApproved };
-}
-
-function useMonthData({ month, year, forUserId, includePendingOutInTotals }) {
-  const [loading, setLoading] = useState(true);
-  const [inRows, setInRows] = useState([]);
-  const [outRows, setOutRows] = useState([]);
-  const [outTotalApproved, setOutTotalApproved] = useState(0);
-
-  useEffect(() => {
-    let cancelled = false;
-    const { start, end } = monthStartEnd(month, year);
-    setLoading(true);
-    Promise.all([
-      fetchIN({ startISO: start, endISO: end, userIdFilter: forUserId }),
-      fetchOUT({
-        startISO: start,
-        endISO: end,
-        userIdFilter: forUserId,
-        includePendingInTotals: includePendingOutInTotals,
-      }),
-    ])
-      .then(([ins, outs]) => {
-        if (cancelled) return;
-        setInRows(ins);
-        setOutRows(outs.list);
-        setOutTotalApproved(outs.totalApproved);
-      })
-      .finally(() => !cancelled && setLoading(false));
-    return () => {
-      cancelled = true;
-    };
-  }, [month, year, forUserId, includePendingOutInTotals]);
-
-  const inTotal = useMemo(
-    () => inRows.reduce((s, r) => s + Number(r.amount || 0), 0),
-    [inRows]
-  );
-
-  return { loading, inRows, outRows, inTotal, outTotalApproved };
-}
-
-function InlineNumber({ value, onChange }) {
+import { Link } from "react-router-dom";
+import { useSession } from "./lib/useSession";
+import { signOut } from "./lib/auth";
+import { useDisplayPrefs } from "./lib/useDisplayPrefs";
+import { useClients } from "./lib/useClients";
+import { useLedgerRange } from "./lib/useLedgerRange";
+import { useDateRange } from "./lib/useDateRange";
+import { useDirectory } from "./lib/useDirectory";
+import { useAttachments } from "./lib/useAttachments";
+import { usePeriodCloses } from "./lib/usePeriodCloses";
+import { employeeLabels, forgetEmployee } from "./lib/directory";
+import { useExchangeRates } from "./lib/useExchangeRates";
+import { currency } from "./lib/format";
+import {
+  createClient,
+  createSchedule,
+  createTransactions,
+  createWithdrawals,
+  decideWithdrawal,
+  fetchApprovalThreshold,
+  fetchAttachmentThreshold,
+  fetchClientBalance,
+  fetchProfile,
+  setApprovalThreshold,
+  setAttachmentThreshold,
+  updateTransaction,
+  updateWithdrawal,
+  upsertDisplayName,
+  voidEntry,
+} from "./lib/repository";
+import { applyDecision, decisionError, requiredApprovals } from "./lib/withdrawalWorkflow";
+import { applyVoid, isVoided, voidError } from "./lib/voids";
+import { attachmentApprovalError } from "./lib/attachments";
+import { periodFor, periodLabel } from "./lib/periods";
+import { exportMonthCsv } from "./lib/exportMonth";
+import { dayRange, isoDate, wholeMonth } from "./lib/dates";
+import { BASE_CURRENCY, minorUnits, missingRates, toBase } from "./lib/currencies";
+import { parseAmount, subtractAmounts } from "./lib/money";
+import { baseAmount, withdrawalHeadroom } from "./lib/ledger";
+import { isManagerRole, isOrgAdmin } from "./lib/roles";
+import CsvImport from "./components/CsvImport";
+import NotificationBell from "./components/NotificationBell";
+import PeriodStatus from "./components/PeriodStatus";
+import Attachments from "./components/Attachments";
+import ClientAccountInput from "./components/ClientAccountInput";
+import CurrencySelect from "./components/CurrencySelect";
+import DateRangePicker from "./components/DateRangePicker";
+import ExpectedDeposits from "./components/ExpectedDeposits";
+import DataTable from "./components/DataTable";
+import HistoryDrawer from "./components/HistoryDrawer";
+import Metric from "./components/Metric";
+
+const DECISION_PROMPTS = {
+  approve: "Approval note (optional)",
+  reject: "Reason for rejection",
+  reopen: "Reason for reopening this request",
+  cancel: "Reason for cancelling (optional)",
+};
+
+function InlineNumber({ value, onChange, code = BASE_CURRENCY }) {
   return (
     <input
       type="number"
-      step="0.001"
+      step={1 / 10 ** minorUnits(code)}
       value={value}
       onChange={(e) => onChange(e.target.value)}
       className="input"
@@ -187,13 +97,16 @@ function RowActions({ saving, onSave, onCancel }) {
 
 export default function App() {
   const session = useSession();
-  const { month, setMonth, year, setYear } = useMonthYear();
-  const [showKwd, setShowKwd] = useState(true);
-  const [includePending, setIncludePending] = useState(false);
+  const { preset, from, to, setRange } = useDateRange("/app");
+  const { start, end } = useMemo(() => dayRange(from, to), [from, to]);
+  const rangeMonth = wholeMonth({ from, to });
+  const rangeLabel = from === to ? from : `${from} – ${to}`;
+  const { showKwd, setShowKwd, includePending, setIncludePending } = useDisplayPrefs();
 
   // profile
   const [profile, setProfile] = useState(null);
   const role = profile?.role ?? "employee";
+  const isManager = isManagerRole(role);
 
   // form state
   const [inAmt, setInAmt] = useState("");
@@ -201,26 +114,50 @@ export default function App() {
   const [inClientAcc, setInClientAcc] = useState("");
   const [inPeriod, setInPeriod] = useState("monthly");
   const [inNote, setInNote] = useState("");
+  const [inCurrency, setInCurrency] = useState(BASE_CURRENCY);
+  const [inRecurring, setInRecurring] = useState(false);
+  const [scheduleVersion, setScheduleVersion] = useState(0);
 
   const [outAmt, setOutAmt] = useState("");
   const [outClientName, setOutClientName] = useState("");
   const [outClientAcc, setOutClientAcc] = useState("");
   const [outNote, setOutNote] = useState("");
+  const [outCurrency, setOutCurrency] = useState(BASE_CURRENCY);
 
   // editing state
   const [editIN, setEditIN] = useState(null);   // { id, amount, client_name, client_account, note }
   const [editOUT, setEditOUT] = useState(null); // { id, amount, client_name, client_account, note }
-
-  const forUserId = role === "manager" ? null : session?.user?.id ?? null;
-
-  const { loading, inRows, outRows, inTotal, outTotalApproved } = useMonthData({
-    month,
-    year,
+  const [history, setHistory] = useState(null); // { table, rowId }
+  const [threshold, setThreshold] = useState(null);
+  const [attachmentThreshold, setAttachmentThresholdState] = useState(null);
+  const [showVoided, setShowVoided] = useState(false);
+  const { clients, byAccount, error: clientsError, reload: reloadClients } = useClients();
+  const { rates } = useExchangeRates();
+  const { closes, isClosed, reload: reloadCloses } = usePeriodCloses();
+  const closedInRange = closes.filter(c => c.month >= `${from.slice(0, 7)}-01` && c.month <= to);
+
+  // Managers load every row they may see: their teams', or all for org admins.
+  const forUserId = isManager ? null : session?.user?.id ?? null;
+
+  const { loading, error: loadError, inRows, outRows, inTotal, outTotalApproved, mutate } = useLedgerRange({
+    start,
+    end,
     forUserId,
     includePendingOutInTotals: includePending,
+    rates,
   });
+  const rowUserIds = useMemo(
+    () => Array.from(new Set([...inRows, ...outRows].map(r => r.user_id).filter(Boolean))).sort().join(","),
+    [inRows, outRows]
+  );
+  const { nameOf: employeeName, error: namesError, reload: reloadNames } = useDirectory(rowUserIds.split(","));
+  const unratedCurrencies = useMemo(() => missingRates([...inRows, ...outRows], rates), [inRows, outRows, rates]);
 
-  const net = inTotal - outTotalApproved;
+  const net = subtractAmounts(inTotal, outTotalApproved);
+  const shownIn = useMemo(() => (showVoided ? inRows : inRows.filter(r => !isVoided(r))), [inRows, showVoided]);
+  const shownOut = useMemo(() => (showVoided ? outRows : outRows.filter(r => !isVoided(r))), [outRows, showVoided]);
+  const inFiles = useAttachments("transactions", shownIn.map(r => r.id));
+  const outFiles = useAttachments("withdrawals", shownOut.map(r => r.id));
 
   // load profile on session change
   useEffect(() => {
@@ -228,28 +165,68 @@ export default function App() {
     fetchProfile().then(setProfile).catch(() => setProfile(null));
   }, [session]);
 
+  useEffect(() => {
+    if (!isManager) return;
+    fetchApprovalThreshold().then(setThreshold).catch(() => setThreshold(null));
+    fetchAttachmentThreshold().then(setAttachmentThresholdState).catch(() => setAttachmentThresholdState(null));
+  }, [role]);
+
   async function handleSignOut() {
-    await supabase.auth.signOut();
+    await signOut();
   }
 
   async function saveDisplayName() {
     const newName = window.prompt("Enter display name", profile?.display_name ?? "");
     if (newName == null) return;
     await upsertDisplayName(newName.trim());
+    forgetEmployee(session.user.id);
+    reloadNames();
     const p = await fetchProfile();
     setProfile(p);
   }
 
-  async function promoteToManager() {
-    await setRole("manager");
-    const p = await fetchProfile();
-    setProfile(p);
+  async function exportRange() {
+    // Names are nice-to-have; fall back to raw ids if the directory is unreachable.
+    const names = await employeeLabels(rowUserIds.split(",")).catch(() => ({}));
+    exportMonthCsv({
+      from,
+      to,
+      inRows,
+      outRows,
+      names,
+      inTotal,
+      outTotal: outTotalApproved,
+      includePending,
+      rates,
+    });
   }
 
-  async function demoteToEmployee() {
-    await setRole("employee");
-    const p = await fetchProfile();
-    setProfile(p);
+  /**
+   * Registers `account` if it is not in the client registry yet, after
+   * asking. Returns false if the user declined.
+   */
+  async function ensureClient(account, name) {
+    if (byAccount[account]) return true;
+    if (!window.confirm(`Client account "${account}" is not registered. Register it${name ? ` as "${name}"` : ""}?`)) {
+      return false;
+    }
+    await createClient({ account_number: account, name: name || account });
+    await reloadClients();
+    return true;
+  }
+
+  /**
+   * Warns when a withdrawal would exceed the client's available balance.
+   * Balances are in KWD, so `w` ({ amount, currency, created_at? }) is converted.
+   */
+  async function confirmWithinBalance(account, w) {
+    const b = await fetchClientBalance(account);
+    const { amount, available, otherPending } = withdrawalHeadroom(b, w, rates, w.created_at ? undefined : isoDate());
+    if (amount == null || amount <= available) return true;
+    return window.confirm(
+      `This withdrawal (${currency(amount, true)}) exceeds the available balance of ` +
+      `${account} (${currency(available, true)} after ${currency(otherPending, true)} pending). Continue anyway?`
+    );
   }
 
   async function addIN() {
@@ -257,23 +234,33 @@ export default function App() {
       alert("Amount and Client Account are required.");
       return;
     }
-    const { data: { user } } = await supabase.auth.getUser();
-    const { error } = await supabase.from("transactions").insert({
-      user_id: user.id,
-      amount: Number(inAmt),
+    const { amount, error } = parseAmount(inAmt, inCurrency);
+    if (error) { alert(error); return; }
+    const values = {
+      amount,
       client_account: inClientAcc.trim(),
       client_name: inClientName.trim() || null,
       period: inPeriod,
+      currency: inCurrency,
       note: inNote.trim() || null,
-    });
-    if (error) { alert(error.message); return; }
-    // reset and reload
-    setInAmt(""); setInClientAcc(""); setInClientName(""); setInNote("");
-    const p = monthStartEnd(month, year);
-    const ins = await fetchIN({ startISO: p.start, endISO: p.end, userIdFilter: forUserId });
-    setEditIN(null);
-    // quick replace list without refetching OUT
-    setTimeout(() => window.location.reload(), 50);
+    };
+    try {
+      if (!(await ensureClient(values.client_account, values.client_name))) return;
+      const recurring = inRecurring;
+      const [saved] = await mutate("transactions", { ...values, user_id: session.user.id }, () => createTransactions([values]));
+      // Cleared only once saved, so a refused entry can be corrected and resent.
+      setInAmt(""); setInClientAcc(""); setInClientName(""); setInNote(""); setInRecurring(false);
+      if (recurring) {
+        await createSchedule({
+          client_account: values.client_account,
+          amount: values.amount,
+          currency: values.currency,
+          period: values.period,
+          start_date: isoDate(new Date(saved.created_at)),
+        });
+        setScheduleVersion(v => v + 1);
+      }
+    } catch (e) { alert(e.message); }
   }
 
   async function addOUT() {
@@ -281,78 +268,372 @@ export default function App() {
       alert("Amount and Client Account are required.");
       return;
     }
-    const { data: { user } } = await supabase.auth.getUser();
-    const { error } = await supabase.from("withdrawals").insert({
-      user_id: user.id,
-      amount: Number(outAmt),
+    const { amount, error } = parseAmount(outAmt, outCurrency);
+    if (error) { alert(error); return; }
+    const values = {
+      amount,
       client_account: outClientAcc.trim(),
       client_name: outClientName.trim() || null,
+      currency: outCurrency,
       note: outNote.trim() || null,
-      status: "pending",
-    });
-    if (error) { alert(error.message); return; }
-    setOutAmt(""); setOutClientAcc(""); setOutClientName(""); setOutNote("");
-    setTimeout(() => window.location.reload(), 50);
+    };
+    try {
+      if (!(await ensureClient(values.client_account, values.client_name))) return;
+      if (!(await confirmWithinBalance(values.client_account, values))) return;
+      await mutate(
+        "withdrawals",
+        { ...values, user_id: session.user.id, status: "pending", approved_by: [], status_note: null },
+        () => createWithdrawals([values])
+      );
+      setOutAmt(""); setOutClientAcc(""); setOutClientName(""); setOutNote("");
+    } catch (e) { alert(e.message); }
+  }
+
+  async function importRows(kind, values) {
+    // Register unknown accounts up front so the batch insert cannot fail on them.
+    const missing = new Map();
+    for (const v of values) {
+      if (!byAccount[v.client_account] && !missing.has(v.client_account)) {
+        missing.set(v.client_account, v.client_name || v.client_account);
+      }
+    }
+    for (const [account_number, name] of missing) {
+      await createClient({ account_number, name });
+    }
+    if (missing.size) await reloadClients();
+    const drafts = values.map(v => ({ ...v, user_id: session.user.id }));
+    if (kind === "IN") await mutate("transactions", drafts, () => createTransactions(values));
+    else await mutate("withdrawals", drafts.map(d => ({ ...d, status: "pending" })), () => createWithdrawals(values));
   }
 
   async function saveINEdit() {
     if (!editIN) return;
-    const { id, amount, client_account, client_name, note } = editIN;
-    const { error } = await supabase
-      .from("transactions")
-      .update({
-        amount: Number(amount),
-        client_account: client_account?.trim(),
-        client_name: (client_name ?? "").trim() || null,
-        note: (note ?? "").trim() || null,
-      })
-      .eq("id", id);
-    if (error) { alert(error.message); return; }
+    const { id, amount: rawAmount, currency: code, client_account, client_name, note } = editIN;
+    const { amount, error } = parseAmount(rawAmount, code);
+    if (error) { alert(error); return; }
+    const patch = {
+      amount,
+      client_account: client_account?.trim(),
+      client_name: (client_name ?? "").trim() || null,
+      note: (note ?? "").trim() || null,
+    };
     setEditIN(null);
-    setTimeout(() => window.location.reload(), 50);
+    try {
+      await mutate("transactions", { id, ...patch }, () => updateTransaction(id, patch));
+    } catch (e) { alert(e.message); }
   }
 
   async function saveOUTEdit() {
     if (!editOUT) return;
-    const { id, amount, client_account, client_name, note } = editOUT;
-    const { error } = await supabase
-      .from("withdrawals")
-      .update({
-        amount: Number(amount),
-        client_account: client_account?.trim(),
-        client_name: (client_name ?? "").trim() || null,
-        note: (note ?? "").trim() || null,
-      })
-      .eq("id", id);
-    if (error) { alert(error.message); return; }
+    const { id, amount: rawAmount, currency: code, client_account, client_name, note } = editOUT;
+    const { amount, error } = parseAmount(rawAmount, code);
+    if (error) { alert(error); return; }
+    const patch = {
+      amount,
+      client_account: client_account?.trim(),
+      client_name: (client_name ?? "").trim() || null,
+      note: (note ?? "").trim() || null,
+    };
     setEditOUT(null);
-    setTimeout(() => window.location.reload(), 50);
+    try {
+      await mutate("withdrawals", { id, ...patch }, () => updateWithdrawal(id, patch));
+    } catch (e) { alert(e.message); }
   }
 
-  async function setWithdrawStatus(id, status) {
-    const { error } = await supabase.from("withdrawals").update({ status }).eq("id", id);
-    if (error) { alert(error.message); return; }
-    setTimeout(() => window.location.reload(), 50);
+  async function decide(r, decision) {
+    const note = window.prompt(DECISION_PROMPTS[decision], "");
+    if (note == null) return;
+    const actorId = session.user.id;
+    const problem = decisionError(r, decision, { actorId, note })
+      ?? (decision === "approve" ? approvalAttachmentError(r) : null);
+    if (problem) { alert(problem); return; }
+    try {
+      if (decision === "approve" && !(await confirmWithinBalance(r.client_account, r))) return;
+      await mutate(
+        "withdrawals",
+        { id: r.id, ...applyDecision(r, decision, { actorId, note, threshold, rates }) },
+        () => decideWithdrawal(r.id, decision, note)
+      );
+    } catch (e) { alert(e.message); }
   }
 
-  if (!session) {
-    return (
-      <div className="page">
-        <div className="card">
-          <h1>INOUT</h1>
-          <p>Please sign in to continue.</p>
-          <AuthButtons />
-        </div>
-      </div>
-    );
+  async function voidRow(table, r) {
+    const reason = window.prompt("Reason for voiding this entry", "");
+    if (reason == null) return;
+    const actorId = session.user.id;
+    const problem = voidError(table, r, { actorId, isManager, reason });
+    if (problem) { alert(problem); return; }
+    try {
+      await mutate(table, { id: r.id, ...applyVoid({ actorId, reason }) }, () => voidEntry(table, r.id, reason));
+    } catch (e) { alert(e.message); }
+  }
+
+  async function saveThreshold(value) {
+    try {
+      await setApprovalThreshold(value);
+      setThreshold(value);
+    } catch (e) { alert(e.message); }
   }
 
+  async function saveAttachmentThreshold(value) {
+    try {
+      await setAttachmentThreshold(value);
+      setAttachmentThresholdState(value);
+    } catch (e) { alert(e.message); }
+  }
+
+  const approvalAttachmentError = (r) =>
+    attachmentApprovalError(r, (outFiles.byRow[r.id] || []).length, attachmentThreshold, rates);
+
+  // RequireSession redirects to /login; this only covers the sign-out tick.
+  if (!session) return null;
+
+  const searchText = (r) => `${r.client_name || ""} ${r.client_account || ""} ${r.note || ""}`;
+  const amountOf = (r) => baseAmount(r, rates);
+  const statusFilter = {
+    key: "status",
+    label: "Any status",
+    options: ["pending", "approved", "rejected", "cancelled"].map(v => ({ value: v, label: v })),
+    value: (r) => r.status,
+  };
+  const periodFilter = {
+    key: "period",
+    label: "Any period",
+    options: [{ value: "monthly", label: "Monthly" }, { value: "yearly", label: "Yearly" }],
+    value: (r) => r.period,
+  };
+  const employeeFilter = {
+    key: "employee",
+    label: "Any employee",
+    options: (rowUserIds ? rowUserIds.split(",") : []).map(id => ({ value: id, label: employeeName(id) })),
+    value: (r) => r.user_id,
+  };
+
+  const dateColumn = {
+    key: "date",
+    header: "Date",
+    sortValue: (r) => r.created_at,
+    render: (r) => new Date(r.created_at).toLocaleString(),
+  };
+  const employeeColumn = {
+    key: "employee",
+    header: "Employee",
+    sortValue: (r) => employeeName(r.user_id),
+    render: (r) => employeeName(r.user_id),
+  };
+  const amountColumn = (edit, setEdit) => ({
+    key: "amount",
+    header: "Amount",
+    sortValue: amountOf,
+    render: (r) => edit?.id === r.id ? (
+      <InlineNumber
+        value={edit.amount}
+        onChange={(v) => setEdit((e) => ({ ...e, amount: v }))}
+        code={r.currency}
+      />
+    ) : currency(r.amount, showKwd, r.currency),
+  });
+  const editDraft = (r) => ({
+    id: r.id,
+    amount: r.amount,
+    currency: r.currency,
+    client_account: r.client_account,
+    client_name: r.client_name,
+    note: r.note,
+  });
+
+  const approveError = (r) => decisionError(r, "approve", { actorId: session.user.id }) ?? approvalAttachmentError(r);
+  const canAttach = (r) => !String(r.id).startsWith("optimistic-") && (r.user_id === session.user.id || isManager);
+  const filesColumn = (table, files) => ({
+    key: "files",
+    header: "Files",
+    sortValue: (r) => (files.byRow[r.id] || []).length,
+    render: (r) => (
+      <Attachments
+        attachments={files.byRow[r.id]}
+        canUpload={canAttach(r)}
+        canRemove={canAttach(r) && !(table === "withdrawals" && r.status === "approved")}
+        onUpload={(file) => files.upload(r.id, file)}
+        onRemove={files.remove}
+      />
+    ),
+  });
+
+  const voidedNote = (r) => isVoided(r) && (
+    <div className="col">
+      <span className="pill voided">voided</span>
+      <span className="muted">{r.void_reason}</span>
+    </div>
+  );
+
+  const outColumns = [
+    dateColumn,
+    ...(isManager ? [employeeColumn] : []),
+    amountColumn(editOUT, setEditOUT),
+    {
+      key: "client",
+      header: "Client",
+      sortValue: (r) => r.client_name || r.client_account,
+      render: (r) => editOUT?.id === r.id ? (
+        <div className="col">
+          <InlineText
+            value={editOUT.client_name}
+            onChange={(v) => setEditOUT((e) => ({ ...e, client_name: v }))}
+            placeholder="Client name"
+          />
+          <InlineText
+            value={editOUT.client_account}
+            onChange={(v) => setEditOUT((e) => ({ ...e, client_account: v }))}
+            placeholder="Client account #"
+          />
+          <InlineText
+            value={editOUT.note}
+            onChange={(v) => setEditOUT((e) => ({ ...e, note: v }))}
+            placeholder="Note"
+          />
+        </div>
+      ) : (
+        <div className="col">
+          <div>{r.client_name || "-"}</div>
+          <Link className="muted" to={`/clients/${encodeURIComponent(r.client_account)}`}>{r.client_account}</Link>
+          {r.note && <div className="muted">{r.note}</div>}
+        </div>
+      ),
+    },
+    filesColumn("withdrawals", outFiles),
+    {
+      key: "status",
+      header: "Status",
+      sortValue: (r) => r.status,
+      render: (r) => (
+        <div className="col">
+          <span className={`pill ${r.status}`}>{r.status}</span>
+          {voidedNote(r)}
+          {!isVoided(r) && r.status === "pending" && requiredApprovals(toBase(r, rates), threshold) > 1 && (
+            <span className="muted">{(r.approved_by || []).length}/2 approvals</span>
+          )}
+          {r.status_note && <span className="muted">{r.status_note}</span>}
+        </div>
+      ),
+    },
+    {
+      key: "actions",
+      header: "Actions",
+      render: (r) => editOUT?.id === r.id ? (
+        <RowActions
+          saving={false}
+          onSave={saveOUTEdit}
+          onCancel={() => setEditOUT(null)}
+        />
+      ) : (
+        <div className="row wrap gap8">
+          {isVoided(r) || isClosed(r.created_at) ? null : !isManager ? (
+            r.status === "pending" && r.user_id === session.user.id && (
+              <button className="btn" onClick={() => decide(r, "cancel")}>Cancel request</button>
+            )
+          ) : r.status === "pending" ? (
+            <>
+              <button className="btn" onClick={() => setEditOUT(editDraft(r))}>Edit</button>
+              <button
+                className="btn"
+                disabled={Boolean(approveError(r))}
+                title={approveError(r) ?? undefined}
+                onClick={() => decide(r, "approve")}
+              >Approve</button>
+              <button
+                className="btn"
+                disabled={r.user_id === session.user.id}
+                onClick={() => decide(r, "reject")}
+              >Reject</button>
+            </>
+          ) : r.status !== "cancelled" && (
+            <button className="btn" onClick={() => decide(r, "reopen")}>Reopen</button>
+          )}
+          {isManager && !isVoided(r) && !isClosed(r.created_at) && (
+            <button className="btn" onClick={() => voidRow("withdrawals", r)}>Void</button>
+          )}
+          <button className="btn" onClick={() => setHistory({ table: "withdrawals", rowId: r.id })}>History</button>
+        </div>
+      ),
+    },
+  ];
+
+  const inColumns = [
+    dateColumn,
+    ...(isManager ? [employeeColumn] : []),
+    amountColumn(editIN, setEditIN),
+    {
+      key: "client",
+      header: "Client",
+      sortValue: (r) => r.client_name || r.client_account,
+      render: (r) => editIN?.id === r.id ? (
+        <div className="col">
+          <InlineText
+            value={editIN.client_name}
+            onChange={(v) => setEditIN((e) => ({ ...e, client_name: v }))}
+            placeholder="Client name"
+          />
+          <InlineText
+            value={editIN.client_account}
+            onChange={(v) => setEditIN((e) => ({ ...e, client_account: v }))}
+            placeholder="Client account #"
+          />
+        </div>
+      ) : (
+        <div className="col">
+          <div>{r.client_name || "-"}</div>
+          <Link className="muted" to={`/clients/${encodeURIComponent(r.client_account)}`}>{r.client_account}</Link>
+        </div>
+      ),
+    },
+    { key: "period", header: "Period", sortValue: (r) => r.period, render: (r) => r.period },
+    {
+      key: "note",
+      header: "Note",
+      render: (r) => editIN?.id === r.id ? (
+        <InlineText
+          value={editIN.note}
+          onChange={(v) => setEditIN((e) => ({ ...e, note: v }))}
+          placeholder="Note"
+        />
+      ) : (
+        <div className="col">
+          <span>{r.note || "-"}</span>
+          {voidedNote(r)}
+        </div>
+      ),
+    },
+    filesColumn("transactions", inFiles),
+    {
+      key: "actions",
+      header: "",
+      render: (r) => editIN?.id === r.id ? (
+        <RowActions saving={false} onSave={saveINEdit} onCancel={() => setEditIN(null)} />
+      ) : (
+        <div className="row gap8">
+          {!isVoided(r) && !isClosed(r.created_at) && r.user_id === session.user.id && (
+            <button className="btn" onClick={() => setEditIN(editDraft(r))}>Edit</button>
+          )}
+          {!isVoided(r) && !isClosed(r.created_at) && (r.user_id === session.user.id || isManager) && (
+            <button className="btn" onClick={() => voidRow("transactions", r)}>Void</button>
+          )}
+          <button className="btn" onClick={() => setHistory({ table: "transactions", rowId: r.id })}>History</button>
+        </div>
+      ),
+    },
+  ];
+
   return (
     <div className="page">
       <div className="card header">
         <div className="row wrap">
           <h1>INOUT</h1>
           <div className="spacer" />
+          <Link className="btn" to="/clients">Clients</Link>
+          <Link className="btn" to="/analytics">Analytics</Link>
+          <Link className="btn" to="/statements">Statements</Link>
+          {isManager && <Link className="btn" to="/manager">Manager dashboard</Link>}
+          <NotificationBell userId={session?.user?.id ?? null} />
           <button className="btn" onClick={() => setShowKwd(v => !v)}>
             {showKwd ? "Hide KWD" : "Show KWD"}
           </button>
@@ -363,27 +644,24 @@ export default function App() {
         </div>
 
         <div className="row wrap mt8">
-          <label className="inline">
-            Month&nbsp;
-            <select value={month} onChange={(e) => setMonth(Number(e.target.value))}>
-              {Array.from({ length: 12 }).map((_, i) => (
-                <option key={i} value={i}>
-                  {new Date(2000, i, 1).toLocaleString(undefined, { month: "long" })}
-                </option>
-              ))}
-            </select>
-          </label>
-          <label className="inline">
-            Year&nbsp;
-            <select value={year} onChange={(e) => setYear(Number(e.target.value))}>
-              {Array.from({ length: 6 }).map((_, i) => {
-                const y = new Date().getFullYear() - 2 + i;
-                return (
-                  <option key={y} value={y}>{y}</option>
-                );
-              })}
-            </select>
+          <DateRangePicker preset={preset} from={from} to={to} onChange={setRange} />
+          <button className="btn" onClick={exportRange} disabled={loading}>Export</button>
+          <label className="inline" title="Voided entries never count towards totals">
+            <input type="checkbox" checked={showVoided} onChange={(e) => setShowVoided(e.target.checked)} />
+            &nbsp;Show voided
           </label>
+          {rangeMonth ? (
+            <PeriodStatus
+              month={periodFor(rangeMonth.month, rangeMonth.year)}
+              closes={closes}
+              isManager={isManager}
+              canClose={isOrgAdmin(role)}
+              showKwd={showKwd}
+              onChange={reloadCloses}
+            />
+          ) : closedInRange.length > 0 && (
+            <span className="pill closed">Closed: {closedInRange.map(c => periodLabel(c.month)).join(", ")}</span>
+          )}
 
           <div className="spacer" />
 
@@ -391,11 +669,7 @@ export default function App() {
             <div className="row gap8">
               <span>Logged in as <b>{profile.display_name || session.user.email}</b> — <em>{role}</em></span>
               <button className="btn" onClick={saveDisplayName}>Edit name</button>
-              {role === "employee" ? (
-                <button className="btn" onClick={promoteToManager}>Switch to manager</button>
-              ) : (
-                <button className="btn" onClick={demoteToEmployee}>Switch to employee</button>
-              )}
+              <Link className="btn" to="/reset-password">Change password</Link>
             </div>
           )}
         </div>
@@ -407,17 +681,41 @@ export default function App() {
         <Metric title="Net Profit" value={currency(net, showKwd)} tone={net >= 0 ? "green" : "red"} />
       </div>
 
+      {loadError && (
+        <div className="card error">Could not load entries for {rangeLabel}: {loadError}</div>
+      )}
+      {clientsError && <div className="card error">Could not load clients: {clientsError}</div>}
+      {namesError && <div className="card error">Could not load employee names: {namesError}</div>}
+
+      {unratedCurrencies.length > 0 && (
+        <div className="card error">
+          No exchange rate for {unratedCurrencies.join(", ")} on some of the selected dates; those amounts are
+          left out of the KWD totals.{" "}
+          {isOrgAdmin(role) && <Link to="/manager/rates">Add rates</Link>}
+        </div>
+      )}
+
       <div className="card">
         <h2>Add Money IN (Deposit)</h2>
         <div className="row wrap gap8">
-          <InlineNumber value={inAmt} onChange={setInAmt} />
+          <InlineNumber value={inAmt} onChange={setInAmt} code={inCurrency} />
+          <CurrencySelect value={inCurrency} onChange={setInCurrency} />
           <InlineText value={inClientName} onChange={setInClientName} placeholder="Client name" />
-          <InlineText value={inClientAcc} onChange={setInClientAcc} placeholder="Client account #" />
+          <ClientAccountInput
+            value={inClientAcc}
+            onChange={setInClientAcc}
+            onPick={(c) => setInClientName(c.name)}
+            clients={clients}
+          />
           <select className="input" value={inPeriod} onChange={(e) => setInPeriod(e.target.value)}>
             <option value="monthly">Monthly</option>
             <option value="yearly">Yearly</option>
           </select>
           <InlineText value={inNote} onChange={setInNote} placeholder="Note (optional)" />
+          <label className="inline" title="Expect this deposit again every month or year">
+            <input type="checkbox" checked={inRecurring} onChange={(e) => setInRecurring(e.target.checked)} />
+            &nbsp;Repeat {inPeriod}
+          </label>
           <button className="btn-primary" onClick={addIN}>Add IN</button>
         </div>
       </div>
@@ -425,253 +723,102 @@ export default function App() {
       <div className="card">
         <h2>Withdrawal Request (OUT)</h2>
         <div className="row wrap gap8">
-          <InlineNumber value={outAmt} onChange={setOutAmt} />
+          <InlineNumber value={outAmt} onChange={setOutAmt} code={outCurrency} />
+          <CurrencySelect value={outCurrency} onChange={setOutCurrency} />
           <InlineText value={outClientName} onChange={setOutClientName} placeholder="Client name" />
-          <InlineText value={outClientAcc} onChange={setOutClientAcc} placeholder="Client account #" />
+          <ClientAccountInput
+            value={outClientAcc}
+            onChange={setOutClientAcc}
+            onPick={(c) => setOutClientName(c.name)}
+            clients={clients}
+          />
           <InlineText value={outNote} onChange={setOutNote} placeholder="Note (optional)" />
           <button className="btn-primary" onClick={addOUT}>Submit</button>
         </div>
       </div>
 
-      {role === "manager" && (
-        <div className="card">
-          <h2>Withdrawal Requests Center — {new Date(year, month, 1).toLocaleString(undefined, { month: "short", day: "2-digit" })}</h2>
-          <table className="table">
-            <thead>
-              <tr>
-                <th>Date</th><th>Employee</th><th>Amount</th><th>Client</th><th>Status</th><th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {outRows.length === 0 && (
-                <tr><td colSpan="6" className="muted">No requests.</td></tr>
-              )}
-              {outRows.map((r) => {
-                const editing = editOUT?.id === r.id;
-                return (
-                  <tr key={r.id}>
-                    <td>{new Date(r.created_at).toLocaleString()}</td>
-                    <td>{r.user_id?.slice(0, 6)}…</td>
-                    <td>
-                      {editing ? (
-                        <InlineNumber
-                          value={editOUT.amount}
-                          onChange={(v) => setEditOUT((e) => ({ ...e, amount: v }))}
-                        />
-                      ) : currency(r.amount, showKwd)}
-                    </td>
-                    <td>
-                      {editing ? (
-                        <div className="col">
-                          <InlineText
-                            value={editOUT.client_name}
-                            onChange={(v) => setEditOUT((e) => ({ ...e, client_name: v }))}
-                            placeholder="Client name"
-                          />
-                          <InlineText
-                            value={editOUT.client_account}
-                            onChange={(v) => setEditOUT((e) => ({ ...e, client_account: v }))}
-                            placeholder="Client account #"
-                          />
-                          <InlineText
-                            value={editOUT.note}
-                            onChange={(v) => setEditOUT((e) => ({ ...e, note: v }))}
-                            placeholder="Note"
-                          />
-                        </div>
-                      ) : (
-                        <div className="col">
-                          <div>{r.client_name || "-"}</div>
-                          <div className="muted">{r.client_account || "-"}</div>
-                          {r.note && <div className="muted">{r.note}</div>}
-                        </div>
-                      )}
-                    </td>
-                    <td>
-                      <span className={`pill ${r.status}`}>{r.status}</span>
-                    </td>
-                    <td>
-                      {editing ? (
-                        <RowActions
-                          saving={false}
-                          onSave={saveOUTEdit}
-                          onCancel={() => setEditOUT(null)}
-                        />
-                      ) : (
-                        <div className="row gap8">
-                          <button className="btn" onClick={() => setEditOUT({
-                            id: r.id,
-                            amount: r.amount,
-                            client_account: r.client_account,
-                            client_name: r.client_name,
-                            note: r.note,
-                          })}>Edit</button>
-                          <button className="btn" onClick={() => setWithdrawStatus(r.id, "approved")}>Approve</button>
-                          <button className="btn" onClick={() => setWithdrawStatus(r.id, "rejected")}>Reject</button>
-                        </div>
-                      )}
-                    </td>
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
-        </div>
+      {rangeMonth ? (
+        <ExpectedDeposits
+          month={rangeMonth.month}
+          year={rangeMonth.year}
+          inRows={inRows}
+          isManager={isManager}
+          showKwd={showKwd}
+          rates={rates}
+          version={scheduleVersion}
+        />
+      ) : (
+        <div className="card muted">Pick a single calendar month to see expected recurring deposits.</div>
       )}
 
+      <CsvImport onImport={importRows} showKwd={showKwd} />
+
       <div className="card">
-        <h2>Your IN (This Month)</h2>
-        <table className="table">
-          <thead>
-            <tr>
-              <th>Date</th><th>Amount</th><th>Client</th><th>Period</th><th>Note</th><th></th>
-            </tr>
-          </thead>
-          <tbody>
-            {inRows.length === 0 && (
-              <tr><td colSpan="6" className="muted">No entries.</td></tr>
-            )}
-            {inRows.map((r) => {
-              const editing = editIN?.id === r.id;
-              const isMine = r.user_id === session.user.id;
-              return (
-                <tr key={r.id}>
-                  <td>{new Date(r.created_at).toLocaleString()}</td>
-                  <td>
-                    {editing ? (
-                      <InlineNumber
-                        value={editIN.amount}
-                        onChange={(v) => setEditIN((e) => ({ ...e, amount: v }))}
-                      />
-                    ) : currency(r.amount, showKwd)}
-                  </td>
-                  <td>
-                    {editing ? (
-                      <div className="col">
-                        <InlineText
-                          value={editIN.client_name}
-                          onChange={(v) => setEditIN((e) => ({ ...e, client_name: v }))}
-                          placeholder="Client name"
-                        />
-                        <InlineText
-                          value={editIN.client_account}
-                          onChange={(v) => setEditIN((e) => ({ ...e, client_account: v }))}
-                          placeholder="Client account #"
-                        />
-                      </div>
-                    ) : (
-                      <div className="col">
-                        <div>{r.client_name || "-"}</div>
-                        <div className="muted">{r.client_account || "-"}</div>
-                      </div>
-                    )}
-                  </td>
-                  <td>{r.period}</td>
-                  <td>
-                    {editing ? (
-                      <InlineText
-                        value={editIN.note}
-                        onChange={(v) => setEditIN((e) => ({ ...e, note: v }))}
-                        placeholder="Note"
-                      />
-                    ) : (r.note || "-")}
-                  </td>
-                  <td>
-                    {isMine && (
-                      editing ? (
-                        <RowActions saving={false} onSave={saveINEdit} onCancel={() => setEditIN(null)} />
-                      ) : (
-                        <button className="btn" onClick={() => setEditIN({
-                          id: r.id,
-                          amount: r.amount,
-                          client_account: r.client_account,
-                          client_name: r.client_name,
-                          note: r.note,
-                        })}>Edit</button>
-                      )
-                    )}
-                  </td>
-                </tr>
-              );
-            })}
-          </tbody>
-        </table>
+        <div className="row wrap">
+          <h2>{isManager ? "Withdrawal Requests Center" : "Your withdrawal requests"} — {rangeLabel}</h2>
+          <div className="spacer" />
+          {isOrgAdmin(role) && <ThresholdSetting label="Two approvals above" value={threshold} onSave={saveThreshold} />}
+          {isOrgAdmin(role) && (
+            <ThresholdSetting label="Attachment required above" value={attachmentThreshold} onSave={saveAttachmentThreshold} />
+          )}
+        </div>
+        <DataTable
+          rows={shownOut}
+          columns={outColumns}
+          searchText={searchText}
+          searchPlaceholder="Search client, account or note…"
+          filters={isManager ? [statusFilter, employeeFilter] : [statusFilter]}
+          amountOf={amountOf}
+          amountLabel={`Amount (${BASE_CURRENCY})`}
+          initialSort={{ key: "date", dir: "desc" }}
+          emptyText="No requests."
+        />
       </div>
 
-      <style>{styles}</style>
-    </div>
-  );
-}
+      <div className="card">
+        <h2>Your IN ({rangeLabel})</h2>
+        <DataTable
+          rows={shownIn}
+          columns={inColumns}
+          searchText={searchText}
+          searchPlaceholder="Search client, account or note…"
+          filters={isManager ? [periodFilter, employeeFilter] : [periodFilter]}
+          amountOf={amountOf}
+          amountLabel={`Amount (${BASE_CURRENCY})`}
+          initialSort={{ key: "date", dir: "desc" }}
+          emptyText="No entries."
+        />
+      </div>
 
-function Metric({ title, value, tone = "neutral" }) {
-  return (
-    <div className={`metric ${tone}`}>
-      <div className="metric-title">{title}</div>
-      <div className="metric-value">{value}</div>
+      {history && (
+        <HistoryDrawer
+          table={history.table}
+          rowId={history.rowId}
+          onClose={() => setHistory(null)}
+          showKwd={showKwd}
+        />
+      )}
     </div>
   );
 }
 
-function AuthButtons() {
-  async function signIn() {
-    const email = window.prompt("Email");
-    const password = window.prompt("Password");
-    if (!email || !password) return;
-    const { error } = await supabase.auth.signInWithPassword({ email, password });
-    if (error) alert(error.message);
-  }
-  async function signUp() {
-    const email = window.prompt("Email");
-    const password = window.prompt("Password (min 6 chars)");
-    if (!email || !password) return;
-    const { error } = await supabase.auth.signUp({ email, password });
-    if (error) alert(error.message);
-    else alert("Check your email (if email confirmation is enabled). Then sign in.");
-  }
+function ThresholdSetting({ label, value, onSave }) {
+  const [draft, setDraft] = useState("");
+  useEffect(() => { setDraft(value == null ? "" : String(value)); }, [value]);
+  const { amount, error } = parseAmount(draft);
+  const parsed = draft.trim() === "" ? null : amount;
+  const invalid = draft.trim() !== "" && Boolean(error);
   return (
-    <div className="row gap8">
-      <button className="btn-primary" onClick={signIn}>Sign in</button>
-      <button className="btn" onClick={signUp}>Sign up</button>
-    </div>
+    <label className="inline row gap8">
+      <span className="muted">{label}</span>
+      <InlineNumber value={draft} onChange={setDraft} />
+      <button
+        className="btn"
+        title={invalid ? error : undefined}
+        disabled={invalid || parsed === value}
+        onClick={() => onSave(parsed)}
+      >Save</button>
+    </label>
   );
 }
 
-const styles = `
-.page {
-  max-width: 1150px; margin: 0 auto; padding: 18px; font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial;
-}
-.card { background:#fff; border:1px solid #e8ecf1; border-radius: 12px; padding: 18px; margin: 0 0 16px; box-shadow: 0 1px 0 rgba(0,0,0,0.02); }
-.header { position: sticky; top: 0; z-index: 10; backdrop-filter: blur(6px); }
-.row { display: flex; align-items: center; gap: 10px; }
-.wrap { flex-wrap: wrap; }
-.col { display: grid; gap: 4px; }
-.spacer { flex: 1; }
-.mt8 { margin-top: 8px; }
-.gap8 { gap: 8px; }
-
-.metrics { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin: 0 0 12px; }
-.metric { border-radius: 12px; padding: 14px; border:1px solid #eef3f8; background: #fafcff; }
-.metric .metric-title { color:#6b7280; font-size: 13px; }
-.metric .metric-value { font-weight: 700; font-size: 20px; margin-top: 4px; }
-.metric.green { background:#f0fff7; border-color:#dbfbe8; }
-.metric.red { background:#fff5f5; border-color:#ffe3e3; }
-
-.input { border:1px solid #d9e1ea; border-radius: 10px; padding: 8px 10px; background:#fff; min-width: 140px; }
-.btn { border:1px solid #d9e1ea; background:#fff; padding: 8px 12px; border-radius: 10px; cursor: pointer; }
-.btn:hover { background:#f7fafc; }
-.btn-primary { border:1px solid #2563eb; background:#2563eb; color:#fff; padding: 8px 14px; border-radius: 10px; cursor: pointer; }
-.btn-primary:hover { filter: brightness(0.95); }
-
-.table { width:100%; border-collapse: collapse; }
-.table th, .table td { padding: 10px 12px; border-bottom: 1px solid #eef3f8; text-align: left; vertical-align: top; }
-.table th { color:#6b7280; font-weight: 600; font-size: 13px; }
-.muted { color:#6b7280; }
-
-.pill { padding: 3px 8px; border-radius: 999px; font-size: 12px; border:1px solid #e2e8f0; background:#f8fafc; }
-.pill.approved { background:#eafff0; border-color:#d2f9e0; color:#0a8a3a; }
-.pill.pending { background:#fff9e6; border-color:#ffedba; color:#9a6b00; }
-.pill.rejected { background:#ffecec; border-color:#ffd2d2; color:#b42318; }
-
-.row-actions { display:flex; gap:8px; }
-`;
-
@@ -0,0 +1,88 @@
+import { Suspense, lazy } from "react";
+import { BrowserRouter, Navigate, Outlet, Route, Routes } from "react-router-dom";
+import App from "./App.jsx";
+import Login from "./pages/Login.jsx";
+import UpdatePassword from "./pages/UpdatePassword.jsx";
+import ManagerDashboard from "./pages/ManagerDashboard.jsx";
+import RoleAdmin from "./pages/RoleAdmin.jsx";
+import Teams from "./pages/Teams.jsx";
+import ExchangeRates from "./pages/ExchangeRates.jsx";
+import Clients from "./pages/Clients.jsx";
+import ClientLedger from "./pages/ClientLedger.jsx";
+import Schedules from "./pages/Schedules.jsx";
+import Statement from "./pages/Statement.jsx";
+import ManagerRoute from "./components/ManagerRoute.jsx";
+import RequireSession from "./components/RequireSession.jsx";
+import { styles } from "./styles";
+
+// recharts is heavy; only load it when the charts are opened.
+const Analytics = lazy(() => import("./pages/Analytics.jsx"));
+
+function Layout() {
+  return (
+    <>
+      <Suspense fallback={null}>
+        <Outlet />
+      </Suspense>
+      <style>{styles}</style>
+    </>
+  );
+}
+
+/**
+ * Routes:
+ *  /login                           sign in, sign up, request a password reset
+ *  /reset-password                  choose a new password (from the reset email)
+ *  /app, /app/:year/:month          employee ledger (month is 1-12)
+ *  /clients                         client registry
+ *  /clients/:account                one client's ledger and balance
+ *  /statements?client=|employee=&from=&to=
+ *                                   printable statement for a date range
+ *  /schedules                       recurring deposit schedules
+ *  /analytics                       IN/OUT trend charts
+ *  /manager                         manager dashboard
+ *  /manager/employees/:id           one employee's activity
+ *  /manager/roles                   employee / manager / org admin roles
+ *  /manager/teams                   teams (branches) and who manages them
+ *  /manager/rates                   exchange rates to KWD
+ */
+export default function AppRouter() {
+  return (
+    <BrowserRouter>
+      <Routes>
+        <Route element={<Layout />}>
+          <Route path="/login" element={<Login />} />
+          <Route path="/reset-password" element={<UpdatePassword />} />
+          <Route path="/app" element={<RequireSession><App /></RequireSession>} />
+          <Route path="/app/:year/:month" element={<RequireSession><App /></RequireSession>} />
+          <Route path="/clients" element={<RequireSession><Clients /></RequireSession>} />
+          <Route path="/clients/:account" element={<RequireSession><ClientLedger /></RequireSession>} />
+          <Route path="/statements" element={<RequireSession><Statement /></RequireSession>} />
+          <Route path="/schedules" element={<RequireSession><Schedules /></RequireSession>} />
+          <Route path="/analytics" element={<RequireSession><Analytics /></RequireSession>} />
+          <Route
+            path="/manager"
+            element={<RequireSession><ManagerRoute><ManagerDashboard /></ManagerRoute></RequireSession>}
+          />
+          <Route
+            path="/manager/employees/:id"
+            element={<RequireSession><ManagerRoute><ManagerDashboard /></ManagerRoute></RequireSession>}
+          />
+          <Route
+            path="/manager/roles"
+            element={<RequireSession><ManagerRoute><RoleAdmin /></ManagerRoute></RequireSession>}
+          />
+          <Route
+            path="/manager/teams"
+            element={<RequireSession><ManagerRoute><Teams /></ManagerRoute></RequireSession>}
+          />
+          <Route
+            path="/manager/rates"
+            element={<RequireSession><ManagerRoute><ExchangeRates /></ManagerRoute></RequireSession>}
+          />
+          <Route path="*" element={<Navigate to="/app" replace />} />
+        </Route>
+      </Routes>
+    </BrowserRouter>
+  );
+}
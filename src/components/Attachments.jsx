@@ -0,0 +1,97 @@
+import { useEffect, useRef, useState } from "react";
+import { attachmentUrl } from "../lib/repository";
+import { ATTACHMENT_ACCEPT, isImage } from "../lib/attachments";
+
+// Signed URLs last an hour; reuse them for a while rather than asking per render.
+const URL_TTL_MS = 45 * 60 * 1000;
+const urls = new Map(); // path -> { promise, at }
+
+function cachedUrl(path) {
+  const hit = urls.get(path);
+  if (hit && Date.now() - hit.at < URL_TTL_MS) return hit.promise;
+  const promise = attachmentUrl(path);
+  urls.set(path, { promise, at: Date.now() });
+  promise.catch(() => urls.delete(path));
+  return promise;
+}
+
+function Thumb({ attachment, canRemove, onRemove }) {
+  const [href, setHref] = useState(null);
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    cachedUrl(attachment.path).then((u) => !cancelled && setHref(u)).catch(() => {});
+    if (isImage(attachment)) {
+      cachedUrl(attachment.thumb_path || attachment.path).then((u) => !cancelled && setSrc(u)).catch(() => {});
+    }
+    return () => { cancelled = true; };
+  }, [attachment]);
+
+  return (
+    <div className="thumb" title={attachment.file_name}>
+      <a href={href || undefined} target="_blank" rel="noreferrer">
+        {src ? <img src={src} alt={attachment.file_name} /> : <span>{isImage(attachment) ? "IMG" : "PDF"}</span>}
+      </a>
+      {canRemove && (
+        <button className="thumb-remove" title="Remove attachment" onClick={() => onRemove(attachment)}>×</button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Thumbnails of a row's attachments, opening the full file on click, and an
+ * Attach button when `canUpload`. `onUpload(file)` and `onRemove(attachment)`
+ * may reject; their errors are shown inline.
+ */
+export default function Attachments({ attachments = [], canUpload, canRemove, onUpload, onRemove }) {
+  const input = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function pick(e) {
+    const chosen = Array.from(e.target.files || []);
+    e.target.value = "";
+    await run(async () => {
+      for (const file of chosen) await onUpload(file);
+    });
+  }
+
+  function remove(attachment) {
+    if (!window.confirm(`Remove ${attachment.file_name}?`)) return;
+    run(() => onRemove(attachment));
+  }
+
+  return (
+    <div className="col">
+      <div className="row wrap gap8">
+        {attachments.map(a => (
+          <Thumb key={a.id} attachment={a} canRemove={canRemove} onRemove={remove} />
+        ))}
+        {canUpload && (
+          <>
+            <input ref={input} type="file" accept={ATTACHMENT_ACCEPT} multiple hidden onChange={pick} />
+            <button className="btn" disabled={busy} onClick={() => input.current?.click()}>
+              {busy ? "Saving…" : "Attach"}
+            </button>
+          </>
+        )}
+        {!canUpload && attachments.length === 0 && <span className="muted">-</span>}
+      </div>
+      {error && <span className="error">{error}</span>}
+    </div>
+  );
+}
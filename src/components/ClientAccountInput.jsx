@@ -0,0 +1,33 @@
+import { useId } from "react";
+
+/**
+ * Account-number input that autocompletes from the client registry.
+ * Calls `onPick(client)` when the typed value matches a registered account.
+ */
+export default function ClientAccountInput({ value, onChange, onPick, clients, placeholder = "Client account #" }) {
+  const listId = useId();
+
+  function handleChange(v) {
+    onChange(v);
+    const match = clients.find(c => c.account_number === v.trim());
+    if (match) onPick?.(match);
+  }
+
+  return (
+    <>
+      <input
+        type="text"
+        className="input"
+        list={listId}
+        value={value ?? ""}
+        placeholder={placeholder}
+        onChange={(e) => handleChange(e.target.value)}
+      />
+      <datalist id={listId}>
+        {clients.map(c => (
+          <option key={c.id} value={c.account_number}>{c.name}</option>
+        ))}
+      </datalist>
+    </>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from "react";
+import { parseImportFile } from "../lib/importCsv";
+import { currency } from "../lib/format";
+
+/**
+ * CSV import card with a per-row validation preview.
+ * `onImport(kind, values)` must insert all values as one batch and
+ * throw on failure.
+ */
+export default function CsvImport({ onImport, showKwd }) {
+  const [kind, setKind] = useState("IN");
+  const [parsed, setParsed] = useState(null); // { rows, missing }
+  const [fileName, setFileName] = useState("");
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState("");
+
+  const valid = parsed ? parsed.rows.filter((r) => r.errors.length === 0) : [];
+
+  async function handleFile(file) {
+    setError("");
+    setParsed(null);
+    setFileName(file?.name ?? "");
+    if (!file) return;
+    try {
+      setParsed(await parseImportFile(file, kind));
+    } catch (e) {
+      setError(e?.message || String(e));
+    }
+  }
+
+  async function handleImport() {
+    if (!valid.length) return;
+    setImporting(true);
+    setError("");
+    try {
+      await onImport(kind, valid.map((r) => r.value));
+      setParsed(null);
+      setFileName("");
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  return (
+    <div className="card">
+      <h2>Import from CSV</h2>
+      <div className="row wrap gap8">
+        <select
+          className="input"
+          value={kind}
+          onChange={(e) => { setKind(e.target.value); setParsed(null); setFileName(""); }}
+        >
+          <option value="IN">Deposits (IN)</option>
+          <option value="OUT">Withdrawals (OUT)</option>
+        </select>
+        <label className="btn">
+          {fileName || "Choose file…"}
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            hidden
+            onChange={(e) => { handleFile(e.target.files?.[0]); e.target.value = ""; }}
+          />
+        </label>
+        <span className="muted">
+          Columns: amount, currency, client_account, client_name{kind === "IN" ? ", period" : ""}, note
+        </span>
+      </div>
+
+      {error && <div className="error mt8">{error}</div>}
+
+      {parsed && (
+        <>
+          {parsed.missing.length > 0 && (
+            <div className="error mt8">Missing column(s): {parsed.missing.join(", ")}</div>
+          )}
+          <table className="table mt8">
+            <thead>
+              <tr>
+                <th>Line</th><th>Amount</th><th>Client</th>{kind === "IN" && <th>Period</th>}<th>Note</th><th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parsed.rows.length === 0 && (
+                <tr><td colSpan="6" className="muted">No rows in file.</td></tr>
+              )}
+              {parsed.rows.map((r) => (
+                <tr key={r.line}>
+                  <td>{r.line}</td>
+                  <td>{r.value.amount != null ? currency(r.value.amount, showKwd, r.value.currency) : r.record.amount || "-"}</td>
+                  <td>
+                    <div className="col">
+                      <div>{r.value.client_name || "-"}</div>
+                      <div className="muted">{r.value.client_account || "-"}</div>
+                    </div>
+                  </td>
+                  {kind === "IN" && <td>{r.record.period || r.value.period}</td>}
+                  <td>{r.value.note || "-"}</td>
+                  <td>
+                    {r.errors.length === 0 ? (
+                      <span className="pill approved">ok</span>
+                    ) : (
+                      <div className="col">
+                        {r.errors.map((e) => <span key={e} className="pill rejected">{e}</span>)}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="row gap8 mt8">
+            <button className="btn-primary" disabled={importing || !valid.length} onClick={handleImport}>
+              {importing ? "Importing..." : `Import ${valid.length} valid row${valid.length === 1 ? "" : "s"}`}
+            </button>
+            <button className="btn" disabled={importing} onClick={() => { setParsed(null); setFileName(""); }}>
+              Cancel
+            </button>
+            {parsed.rows.length > valid.length && (
+              <span className="muted">{parsed.rows.length - valid.length} row(s) with errors will be skipped.</span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
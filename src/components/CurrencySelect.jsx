@@ -0,0 +1,9 @@
+import { CURRENCY_CODES } from "../lib/currencies";
+
+export default function CurrencySelect({ value, onChange }) {
+  return (
+    <select className="input" value={value} onChange={(e) => onChange(e.target.value)}>
+      {CURRENCY_CODES.map(code => <option key={code} value={code}>{code}</option>)}
+    </select>
+  );
+}
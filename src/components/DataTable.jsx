@@ -0,0 +1,131 @@
+import { useMemo, useState } from "react";
+import { filterRows, nextSort, paginate, sortRows } from "../lib/dataTable";
+
+/**
+ * Table with free-text search, select filters, an amount range, sortable
+ * columns and pagination. Rows are rendered by the column `render`
+ * functions, so cells may hold inputs and buttons (e.g. inline editing).
+ * See ../lib/dataTable.js for the column and filter shapes.
+ *
+ * Search, the amount range and the toolbar are shown only when
+ * `searchText` / `amountOf` / `filters` are given.
+ */
+export default function DataTable({
+  rows,
+  columns,
+  rowKey = (r) => r.id,
+  searchText,
+  searchPlaceholder = "Search…",
+  filters = [],
+  amountOf,
+  amountLabel = "Amount",
+  initialSort = null,
+  pageSize = 25,
+  emptyText = "No rows.",
+}) {
+  const [query, setQuery] = useState("");
+  const [chosen, setChosen] = useState({});
+  const [min, setMin] = useState("");
+  const [max, setMax] = useState("");
+  const [sort, setSort] = useState(initialSort);
+  const [page, setPage] = useState(0);
+
+  const matching = useMemo(
+    () => filterRows(rows, { query, filters: chosen, min, max }, { searchText, filters, amountOf }),
+    [rows, query, chosen, min, max, searchText, filters, amountOf]
+  );
+  const sorted = useMemo(() => sortRows(matching, columns, sort), [matching, columns, sort]);
+  const view = paginate(sorted, page, pageSize);
+
+  // Any change to what is shown starts again from the first page.
+  const reset = (set) => (value) => { set(value); setPage(0); };
+  const narrowed = query || min || max || Object.values(chosen).some(Boolean);
+  const hasToolbar = searchText || amountOf || filters.length > 0;
+
+  return (
+    <div>
+      {hasToolbar && (
+        <div className="row wrap gap8 mb8">
+          {searchText && (
+            <input
+              className="input"
+              type="search"
+              placeholder={searchPlaceholder}
+              value={query}
+              onChange={(e) => reset(setQuery)(e.target.value)}
+            />
+          )}
+          {filters.map(f => (
+            <select
+              key={f.key}
+              className="input"
+              value={chosen[f.key] || ""}
+              onChange={(e) => reset(setChosen)({ ...chosen, [f.key]: e.target.value })}
+            >
+              <option value="">{f.label}</option>
+              {f.options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          ))}
+          {amountOf && (
+            <span className="inline row gap8">
+              <span className="muted">{amountLabel}</span>
+              <input className="input narrow" type="number" placeholder="min" value={min} onChange={(e) => reset(setMin)(e.target.value)} />
+              <input className="input narrow" type="number" placeholder="max" value={max} onChange={(e) => reset(setMax)(e.target.value)} />
+            </span>
+          )}
+          {narrowed && (
+            <button className="btn" onClick={() => {
+              setQuery(""); setChosen({}); setMin(""); setMax(""); setPage(0);
+            }}>Clear</button>
+          )}
+        </div>
+      )}
+
+      <div style={{ overflowX: "auto" }}>
+        <table className="table">
+          <thead>
+            <tr>
+              {columns.map(c => (
+                <th
+                  key={c.key}
+                  className={c.sortValue ? "sortable" : undefined}
+                  onClick={c.sortValue ? () => setSort(s => nextSort(s, c.key)) : undefined}
+                  aria-sort={sort?.key === c.key ? (sort.dir === "asc" ? "ascending" : "descending") : undefined}
+                >
+                  {c.header}
+                  {sort?.key === c.key && (sort.dir === "asc" ? " ▲" : " ▼")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {view.rows.length === 0 && (
+              <tr><td colSpan={columns.length} className="muted">{narrowed ? "No matching rows." : emptyText}</td></tr>
+            )}
+            {view.rows.map(r => (
+              <tr key={rowKey(r)}>
+                {columns.map(c => <td key={c.key}>{c.render(r)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {(view.pageCount > 1 || narrowed) && (
+        <div className="row wrap gap8 mt8">
+          <span className="muted">
+            {narrowed ? `${matching.length} of ${rows.length}` : rows.length} row{rows.length === 1 ? "" : "s"}
+          </span>
+          <div className="spacer" />
+          {view.pageCount > 1 && (
+            <>
+              <button className="btn" disabled={view.page === 0} onClick={() => setPage(view.page - 1)}>Previous</button>
+              <span>Page {view.page + 1} of {view.pageCount}</span>
+              <button className="btn" disabled={view.page >= view.pageCount - 1} onClick={() => setPage(view.page + 1)}>Next</button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { RANGE_PRESETS, presetRange } from "../lib/dates";
+
+/**
+ * Preset select plus from/to days (inclusive, Kuwait time). Picking a preset
+ * fills in its dates; editing a date switches to "custom".
+ * `onChange({ preset, from, to })`.
+ */
+export default function DateRangePicker({ preset, from, to, onChange }) {
+  function pickPreset(key) {
+    onChange({ preset: key, ...(presetRange(key) || { from, to }) });
+  }
+
+  function pickDate(field, value) {
+    if (!value) return;
+    const next = { from, to, [field]: value };
+    if (next.from > next.to) return;
+    onChange({ preset: "custom", ...next });
+  }
+
+  return (
+    <div className="row wrap gap8">
+      <select className="input" value={preset} onChange={(e) => pickPreset(e.target.value)}>
+        {RANGE_PRESETS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+      </select>
+      <label className="inline">
+        From&nbsp;
+        <input type="date" className="input" value={from} max={to} onChange={(e) => pickDate("from", e.target.value)} />
+      </label>
+      <label className="inline">
+        To&nbsp;
+        <input type="date" className="input" value={to} min={from} onChange={(e) => pickDate("to", e.target.value)} />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { fetchExpectedDeposits, generateExpectedDeposits, listSchedules } from "../lib/repository";
+import { expectedForMonth, expectedVsReceived, monthDates } from "../lib/schedules";
+import { isoDate } from "../lib/dates";
+import { currency } from "../lib/format";
+
+function statusOf(r) {
+  if (r.received >= r.expected) return { tone: "approved", label: "Received" };
+  if (r.overdue) return { tone: "rejected", label: "Overdue" };
+  return { tone: "pending", label: "Due" };
+}
+
+/**
+ * Expected vs received deposits for one month. `inRows` are the month's
+ * deposits already on screen. Schedules without a generated entry are shown
+ * as projected; managers can generate the month's entries from here.
+ * Amounts are compared in KWD. Bump `version` to reload after schedules
+ * change.
+ */
+export default function ExpectedDeposits({ month, year, inRows, isManager, showKwd, rates, version }) {
+  const [schedules, setSchedules] = useState([]);
+  const [expected, setExpected] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [generating, setGenerating] = useState(false);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadError("");
+    Promise.all([listSchedules(), fetchExpectedDeposits(monthDates(month, year))])
+      .then(([s, e]) => {
+        if (cancelled) return;
+        setSchedules(s);
+        setExpected(e);
+      })
+      .catch((e) => !cancelled && setLoadError(e.message));
+    return () => { cancelled = true; };
+  }, [month, year, version, reloads]);
+
+  const rows = useMemo(() => {
+    const generated = new Set(expected.map(e => e.schedule_id));
+    const projected = expectedForMonth(schedules, month, year).filter(e => !generated.has(e.schedule_id));
+    return expectedVsReceived([...expected, ...projected], inRows, isoDate(), rates);
+  }, [schedules, expected, inRows, month, year, rates]);
+
+  const pendingCount = rows.filter(r => r.projected).length;
+  const overdueCount = rows.filter(r => r.overdue).length;
+
+  async function generate() {
+    setGenerating(true);
+    try {
+      const created = await generateExpectedDeposits(month, year);
+      alert(created ? `Created ${created} expected ${created === 1 ? "entry" : "entries"}.` : "Nothing new to generate.");
+      setReloads(n => n + 1);
+    } catch (e) { alert(e.message); }
+    finally { setGenerating(false); }
+  }
+
+  return (
+    <div className="card">
+      <div className="row wrap">
+        <h2>Expected vs received</h2>
+        {overdueCount > 0 && <span className="pill rejected">{overdueCount} overdue</span>}
+        <div className="spacer" />
+        <Link className="btn" to="/schedules">Schedules</Link>
+        {isManager && (
+          <button className="btn-primary" onClick={generate} disabled={generating}>
+            {generating ? "Generating..." : "Generate expected entries"}
+          </button>
+        )}
+      </div>
+      {loadError && <div className="error mt8">Could not load expected deposits: {loadError}</div>}
+      {pendingCount > 0 && (
+        <div className="muted mt8">
+          {pendingCount} client{pendingCount === 1 ? "" : "s"} projected from schedules; not generated for this month yet.
+        </div>
+      )}
+      <table className="table">
+        <thead>
+          <tr><th>Client</th><th>Due</th><th>Expected</th><th>Received</th><th>Status</th></tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 && !loadError && (
+            <tr><td colSpan="5" className="muted">No recurring deposits due this month.</td></tr>
+          )}
+          {rows.map(r => {
+            const status = statusOf(r);
+            return (
+              <tr key={r.client_account}>
+                <td><Link to={`/clients/${encodeURIComponent(r.client_account)}`}>{r.client_account}</Link></td>
+                <td>{r.due_date}{r.projected && <span className="muted"> (projected)</span>}</td>
+                <td>{currency(r.expected, showKwd)}</td>
+                <td>{currency(r.received, showKwd)}</td>
+                <td><span className={`pill ${status.tone}`}>{status.label}</span></td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
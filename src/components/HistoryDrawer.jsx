@@ -0,0 +1,80 @@
+import { useEffect, useState } from "react";
+import { fetchAuditLog } from "../lib/repository";
+import { employeeLabels } from "../lib/directory";
+import { currency } from "../lib/format";
+
+const ACTION_LABEL = { insert: "Created", update: "Edited", delete: "Deleted" };
+
+function changedFields(before, after) {
+  if (!before || !after) return [];
+  return Object.keys(after).filter(
+    k => JSON.stringify(before[k]) !== JSON.stringify(after[k])
+  );
+}
+
+/**
+ * Side drawer listing the audit_log entries for one transactions/withdrawals
+ * row, newest first, with before → after values for each changed field.
+ */
+export default function HistoryDrawer({ table, rowId, onClose, showKwd }) {
+  const [entries, setEntries] = useState(null);
+  const [names, setNames] = useState({});
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setEntries(null);
+    setError("");
+    fetchAuditLog(table, rowId)
+      .then(async (rows) => {
+        const actorNames = await employeeLabels(rows.map(r => r.actor)).catch(() => ({}));
+        if (cancelled) return;
+        setNames(actorNames);
+        setEntries(rows);
+      })
+      .catch((e) => !cancelled && setError(e.message));
+    return () => { cancelled = true; };
+  }, [table, rowId]);
+
+  const show = (field, v, code) => {
+    if (v == null || v === "") return "—";
+    return field === "amount" ? currency(v, showKwd, code) : String(v);
+  };
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside className="drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="row">
+          <h2>History</h2>
+          <div className="spacer" />
+          <button className="btn" onClick={onClose}>Close</button>
+        </div>
+        {error && <div className="error">{error}</div>}
+        {!entries && !error && <div className="muted">Loading…</div>}
+        {entries?.length === 0 && <div className="muted">No recorded changes.</div>}
+        {entries?.map((e) => {
+          const fields = e.action === "update" ? changedFields(e.before, e.after) : [];
+          return (
+            <div key={e.id} className="drawer-entry">
+              <div>
+                <b>{ACTION_LABEL[e.action] || e.action}</b> by {names[e.actor] || e.actor || "system"}
+              </div>
+              <div className="muted">{new Date(e.at).toLocaleString()}</div>
+              {e.action === "insert" && e.after && (
+                <div className="muted">
+                  {show("amount", e.after.amount, e.after.currency)} · {e.after.client_account}
+                  {e.after.status ? ` · ${e.after.status}` : ""}
+                </div>
+              )}
+              {fields.map((f) => (
+                <div key={f}>
+                  <span className="muted">{f}:</span> {show(f, e.before[f], e.before.currency)} → {show(f, e.after[f], e.after.currency)}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </aside>
+    </div>
+  );
+}
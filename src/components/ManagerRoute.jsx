@@ -1,10 +1,12 @@
 import { Navigate } from "react-router-dom";
 import { useProfile } from "../lib/useProfile";
+import { isManagerRole } from "../lib/roles";
 
 export default function ManagerRoute({ children }) {
-  const { profile, loading } = useProfile();
+  const { profile, loading, error } = useProfile();
   if (loading) return null; // or show a spinner
-  if (!profile || profile.role !== "manager") {
+  if (error) return <div className="page"><div className="card error">Could not load your profile: {error}</div></div>;
+  if (!profile || !isManagerRole(profile.role)) {
     return <Navigate to="/app" replace />;
   }
   return children;
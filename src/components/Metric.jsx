@@ -0,0 +1,10 @@
+/** A headline figure; `note` is an optional second line (e.g. a delta). */
+export default function Metric({ title, value, tone = "neutral", note }) {
+  return (
+    <div className={`metric ${tone}`}>
+      <div className="metric-title">{title}</div>
+      <div className="metric-value">{value}</div>
+      {note && <div className="metric-note">{note}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { useState } from "react";
+import { useNotifications } from "../lib/useNotifications";
+
+/**
+ * Header button with an unread badge; opens the notification center, where
+ * clicking an entry marks it read.
+ */
+export default function NotificationBell({ userId }) {
+  const { notifications, unread, markRead, reload } = useNotifications(userId);
+  const [open, setOpen] = useState(false);
+
+  const toggle = () => {
+    if (!open) reload();
+    setOpen(v => !v);
+  };
+
+  return (
+    <div className="notify">
+      <button className="btn" onClick={toggle} aria-expanded={open}>
+        Notifications
+        {unread > 0 && <span className="notify-badge">{unread > 99 ? "99+" : unread}</span>}
+      </button>
+      {open && (
+        <div className="notify-panel">
+          <div className="row">
+            <b>Notifications</b>
+            <div className="spacer" />
+            <button className="btn" onClick={() => markRead()} disabled={unread === 0}>Mark all read</button>
+          </div>
+          {notifications.length === 0 && <div className="muted mt8">Nothing yet.</div>}
+          {notifications.map((n) => (
+            <div
+              key={n.id}
+              className={`notify-entry${n.read_at ? "" : " unread"}`}
+              onClick={() => !n.read_at && markRead([n.id])}
+            >
+              <div>{n.message}</div>
+              <div className="muted">{new Date(n.created_at).toLocaleString()}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
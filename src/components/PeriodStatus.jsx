@@ -0,0 +1,92 @@
+import { useEffect, useState } from "react";
+import { closePeriod, fetchPeriodSnapshots, listPeriodLog, reopenPeriod } from "../lib/repository";
+import { periodLabel, reopenPeriodError, snapshotTotals } from "../lib/periods";
+import { useDirectory } from "../lib/useDirectory";
+import { currency } from "../lib/format";
+
+/**
+ * Whether `month` ("YYYY-MM-01") is open or closed, with its frozen totals
+ * once closed. Org admins can close it, or reopen it with a reason; managers
+ * see the reason it was last reopened.
+ */
+export default function PeriodStatus({ month, closes, isManager, canClose, showKwd, onChange }) {
+  const close = closes.find(c => c.month === month) ?? null;
+  const [snapshots, setSnapshots] = useState([]);
+  const [lastReopen, setLastReopen] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loadError, setLoadError] = useState("");
+  const { nameOf } = useDirectory([close?.closed_by, lastReopen?.actor]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSnapshots([]);
+    setLoadError("");
+    if (close) {
+      fetchPeriodSnapshots(month)
+        .then((rows) => !cancelled && setSnapshots(rows))
+        .catch((e) => !cancelled && setLoadError(e.message));
+    }
+    return () => { cancelled = true; };
+  }, [month, close]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLastReopen(null);
+    if (isManager && !close) {
+      listPeriodLog(month)
+        .then((log) => !cancelled && setLastReopen(log.find(e => e.action === "reopen") ?? null))
+        .catch((e) => !cancelled && setLoadError(e.message));
+    }
+    return () => { cancelled = true; };
+  }, [month, close, isManager]);
+
+  async function run(action) {
+    setBusy(true);
+    try {
+      await action();
+      await onChange();
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function closeMonth() {
+    if (!window.confirm(`Close ${periodLabel(month)}? Its entries will be locked until an org admin reopens it.`)) return;
+    run(() => closePeriod(month));
+  }
+
+  function reopenMonth() {
+    const reason = window.prompt(`Reason for reopening ${periodLabel(month)}`, "");
+    if (reason == null) return;
+    const problem = reopenPeriodError(month, closes, reason);
+    if (problem) { alert(problem); return; }
+    run(() => reopenPeriod(month, reason.trim()));
+  }
+
+  const totals = snapshotTotals(snapshots);
+
+  return (
+    <div className="row wrap gap8">
+      <span className={`pill ${close ? "closed" : "open"}`}>{periodLabel(month)}: {close ? "closed" : "open"}</span>
+      {close && (
+        <span className="muted">
+          by {nameOf(close.closed_by)} on {new Date(close.closed_at).toLocaleDateString()}
+          {snapshots.length > 0 && (
+            <> — frozen IN {currency(totals.inTotal, showKwd)}, OUT {currency(totals.outTotal, showKwd)}, net {currency(totals.net, showKwd)}</>
+          )}
+        </span>
+      )}
+      {lastReopen && (
+        <span className="muted">reopened by {nameOf(lastReopen.actor)}: {lastReopen.reason}</span>
+      )}
+      {loadError && <span className="error">Could not load the month's details: {loadError}</span>}
+      {canClose && (close ? (
+        <button className="btn" disabled={busy} onClick={reopenMonth}>Reopen month</button>
+      ) : (
+        <button className="btn" disabled={busy} onClick={closeMonth}>Close month</button>
+      ))}
+    </div>
+  );
+}
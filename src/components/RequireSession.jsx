@@ -0,0 +1,12 @@
+import { Navigate, useLocation } from "react-router-dom";
+import { useSession } from "../lib/useSession";
+
+export default function RequireSession({ children }) {
+  const session = useSession();
+  const location = useLocation();
+  if (session === undefined) return null; // still reading the stored session
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search + location.hash }} />;
+  }
+  return children;
+}
@@ -0,0 +1,72 @@
+import { baseAmount, countsAsIn, countsAsOut } from "./ledger";
+import { subtractAmounts, sumAmounts } from "./money";
+import { calendarDate, dayRange, isoDate, monthBounds } from "./dates";
+
+// "YYYY-MM" of a timestamp, in Kuwait time like the month boundaries.
+const monthKey = (createdAt) => isoDate(new Date(createdAt)).slice(0, 7);
+
+/**
+ * Start/end ISO bounds for the `months` calendar months ending with
+ * (endMonth, endYear), inclusive.
+ */
+export function trailingMonths(months, endMonth, endYear) {
+  return dayRange(calendarDate(endYear, endMonth - months + 1, 1), monthBounds(endMonth, endYear).to);
+}
+
+/**
+ * One bucket per month in KWD: IN, OUT (approved, or approved+pending), net,
+ * and deposits split by period. Months with no activity are kept as zeros so
+ * the charts have a continuous x axis.
+ */
+export function monthlySeries({ inRows, outRows, months, endMonth, endYear, includePending, rates = [] }) {
+  const buckets = new Map();
+  for (let i = months - 1; i >= 0; i--) {
+    const key = calendarDate(endYear, endMonth - i, 1).slice(0, 7);
+    const [y, m] = key.split("-").map(Number);
+    buckets.set(key, {
+      key,
+      label: new Date(y, m - 1, 1).toLocaleString(undefined, { month: "short", year: "2-digit" }),
+      in: 0,
+      out: 0,
+      net: 0,
+      monthly: 0,
+      yearly: 0,
+    });
+  }
+
+  for (const r of inRows) {
+    if (!countsAsIn(r)) continue;
+    const b = buckets.get(monthKey(r.created_at));
+    if (!b) continue;
+    const amt = baseAmount(r, rates);
+    b.in = sumAmounts([b.in, amt]);
+    if (r.period === "yearly") b.yearly = sumAmounts([b.yearly, amt]);
+    else b.monthly = sumAmounts([b.monthly, amt]);
+  }
+  for (const r of outRows) {
+    if (!countsAsOut(r, includePending)) continue;
+    const b = buckets.get(monthKey(r.created_at));
+    if (b) b.out = sumAmounts([b.out, baseAmount(r, rates)]);
+  }
+
+  const series = Array.from(buckets.values());
+  for (const b of series) b.net = subtractAmounts(b.in, b.out);
+  return series;
+}
+
+/** Client accounts ranked by total deposits in KWD. */
+export function topClients(inRows, limit = 10, rates = []) {
+  const map = new Map();
+  for (const r of inRows.filter(countsAsIn)) {
+    const acc = r.client_account || "-";
+    const c = map.get(acc) || { account: acc, name: r.client_name || "", total: 0, count: 0 };
+    c.total = sumAmounts([c.total, baseAmount(r, rates)]);
+    c.count += 1;
+    if (!c.name && r.client_name) c.name = r.client_name;
+    map.set(acc, c);
+  }
+  return Array.from(map.values())
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit)
+    .map((c) => ({ ...c, label: c.name ? `${c.name} (${c.account})` : c.account }));
+}
@@ -0,0 +1,40 @@
+// Attachments: bank slips and signed withdrawal forms on deposits and
+// withdrawals. The files go to the backend's file store (./fileStores/);
+// supabase/migrations/0012_attachments.sql enforces the same rules; the
+// local backend and the UI use this module.
+
+import { toBase } from "./currencies";
+import { formatDecimal } from "./money";
+
+/** For <input type="file" accept>. */
+export const ATTACHMENT_ACCEPT = "image/*,application/pdf";
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const isImage = (a) => (a.content_type || a.type || "").startsWith("image/");
+
+/** Why `file` cannot be attached, or null. */
+export function attachmentFileError(file) {
+  if (!isImage(file) && file.type !== "application/pdf") return `${file.name}: only images and PDFs can be attached.`;
+  if (!file.size) return `${file.name} is empty.`;
+  if (file.size > MAX_ATTACHMENT_BYTES) return `${file.name} is larger than 10 MB.`;
+  return null;
+}
+
+/** Where a file for `table` row `rowId` is stored: "<table>/<row id>/<unique name>". */
+export function attachmentPath(table, rowId, fileName, id = crypto.randomUUID()) {
+  const safe = fileName.replace(/[^\w.-]+/g, "_").slice(-80) || "file";
+  return `${table}/${rowId}/${id}-${safe}`;
+}
+
+/**
+ * Why withdrawal `w` cannot be approved yet for lack of an attachment, or
+ * null. `requiredAbove` is in KWD; null turns the rule off. Without a rate
+ * for `w` nothing is required, as in SQL, where `null > required_above` is
+ * not true.
+ */
+export function attachmentApprovalError(w, attachmentCount, requiredAbove, rates = []) {
+  if (requiredAbove == null || attachmentCount > 0) return null;
+  const amount = toBase(w, rates);
+  if (amount == null || amount <= Number(requiredAbove)) return null;
+  return `Attach the signed withdrawal form before approving requests above ${formatDecimal(requiredAbove)} KWD.`;
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { attachmentApprovalError, attachmentFileError, attachmentPath } from "./attachments";
+
+describe("attachmentFileError", () => {
+  it("accepts images and PDFs up to 10 MB", () => {
+    expect(attachmentFileError({ name: "slip.jpg", type: "image/jpeg", size: 1000 })).toBeNull();
+    expect(attachmentFileError({ name: "form.pdf", type: "application/pdf", size: 10 * 1024 * 1024 })).toBeNull();
+  });
+
+  it("rejects other types, empty and oversized files", () => {
+    expect(attachmentFileError({ name: "a.doc", type: "application/msword", size: 10 }))
+      .toBe("a.doc: only images and PDFs can be attached.");
+    expect(attachmentFileError({ name: "a.pdf", type: "application/pdf", size: 0 })).toBe("a.pdf is empty.");
+    expect(attachmentFileError({ name: "a.pdf", type: "application/pdf", size: 10 * 1024 * 1024 + 1 }))
+      .toBe("a.pdf is larger than 10 MB.");
+  });
+});
+
+describe("attachmentPath", () => {
+  it("keeps files under <table>/<row id>/ with a safe name", () => {
+    expect(attachmentPath("withdrawals", "row-1", "my form (1).pdf", "id")).toBe("withdrawals/row-1/id-my_form_1_.pdf");
+  });
+});
+
+describe("attachmentApprovalError", () => {
+  const w = { amount: 300, currency: "KWD" };
+
+  it("requires a file above the threshold", () => {
+    expect(attachmentApprovalError(w, 0, 250)).toBe("Attach the signed withdrawal form before approving requests above 250.000 KWD.");
+    expect(attachmentApprovalError(w, 1, 250)).toBeNull();
+  });
+
+  it("does not apply at or below the threshold, or when turned off", () => {
+    expect(attachmentApprovalError(w, 0, 300)).toBeNull();
+    expect(attachmentApprovalError(w, 0, null)).toBeNull();
+  });
+
+  it("compares foreign amounts in KWD and requires nothing without a rate", () => {
+    const usd = { amount: 1000, currency: "USD", created_at: "2026-01-10T10:00:00Z" };
+    const rates = [{ currency: "USD", rate: 0.3, effective_date: "2026-01-01" }];
+    expect(attachmentApprovalError(usd, 0, 250, rates)).toMatch(/^Attach the signed withdrawal form/);
+    expect(attachmentApprovalError(usd, 0, 400, rates)).toBeNull();
+    expect(attachmentApprovalError(usd, 0, 250, [])).toBeNull();
+  });
+});
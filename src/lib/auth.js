@@ -0,0 +1,63 @@
+import { backend } from "./backend";
+
+// Thin pass-through so screens don't reach into the backend directly.
+export const getSession = () => backend.auth.getSession();
+export const onAuthStateChange = (cb) => backend.auth.onAuthStateChange(cb);
+export const resetPassword = (email) => backend.auth.resetPassword(email);
+export const resendConfirmation = (email) => backend.auth.resendConfirmation(email);
+export const updatePassword = (password) => backend.auth.updatePassword(password);
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+// A session that disappears without signOut() being called has expired
+// (e.g. the refresh token was revoked); the login screen says so until the
+// next sign-in.
+let signingOut = false;
+let expired = false;
+
+export async function signIn(email, password) {
+  await backend.auth.signIn(email, password);
+  expired = false;
+}
+
+export async function signUp(email, password) {
+  const result = await backend.auth.signUp(email, password);
+  expired = false;
+  return result;
+}
+
+export async function signOut() {
+  signingOut = true;
+  try {
+    await backend.auth.signOut();
+  } finally {
+    signingOut = false;
+  }
+}
+
+/** Called by useSession when a session it held has gone away. */
+export function noteSessionEnded() {
+  if (!signingOut) expired = true;
+}
+
+/** Did the last session expire rather than being signed out? */
+export const sessionExpired = () => expired;
+
+/** Inline error for an email field, or null. */
+export const emailError = (email) =>
+  /^\S+@\S+\.\S+$/.test(email.trim()) ? null : "Enter a valid email address.";
+
+/** Inline error for a new password and its repetition, or null. */
+export function newPasswordError(password, confirm) {
+  if (password.length < MIN_PASSWORD_LENGTH) return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`;
+  if (password !== confirm) return "The passwords do not match.";
+  return null;
+}
+
+/** Inline error for the sign-in (no `confirm`) and sign-up forms, or null. */
+export function credentialsError({ email, password, confirm }) {
+  const problem = emailError(email);
+  if (problem) return problem;
+  if (confirm !== undefined) return newPasswordError(password, confirm);
+  return password ? null : "Enter your password.";
+}
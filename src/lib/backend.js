@@ -0,0 +1,112 @@
+import { createSupabaseBackend } from "./backends/supabase";
+import { createLocalBackend } from "./backends/local";
+import { createWebhookChannel } from "./notifyChannels/webhook";
+
+/**
+ * @typedef {Object} Session
+ * @property {{ id: string, email: string }} user
+ * @property {number} [expires_at]  epoch seconds; absent for the local backend
+ *
+ * @typedef {Object} AuthApi
+ * @property {() => Promise<Session|null>} getSession
+ * @property {(cb: (session: Session|null, event: string) => void) => () => void} onAuthStateChange
+ *   returns unsubscribe; `event` is e.g. "SIGNED_IN", "SIGNED_OUT", "PASSWORD_RECOVERY"
+ * @property {(email: string, password: string) => Promise<void>} signIn
+ * @property {(email: string, password: string) => Promise<{ needsConfirmation: boolean }>} signUp
+ * @property {() => Promise<void>} signOut
+ * @property {(email: string) => Promise<void>} resetPassword       emails a link to /reset-password
+ * @property {(email: string) => Promise<void>} resendConfirmation
+ * @property {(password: string) => Promise<void>} updatePassword   for the signed-in user
+ *
+ * @typedef {Object} FileStore
+ * Where attachment files live (./fileStores/); metadata stays in the backend.
+ * @property {(path: string, blob: Blob, contentType: string) => Promise<void>} put
+ * @property {(path: string) => Promise<string>} url   a URL the browser can open
+ * @property {(paths: string[]) => Promise<void>} remove
+ *
+ * @typedef {Object} NotifyChannel
+ * Outbound delivery for notifications (./notifyChannels/). The Supabase
+ * backend delivers from the notify-outbound edge function instead.
+ * @property {(notification: import("./notifications").Notification, recipient: { id: string, email: string|null }) => Promise<void>} send
+ *
+ * @typedef {Object} Backend
+ * Storage backend behind ./repository.js. Every method mirrors the
+ * repository function of the same name, except where noted, and throws on
+ * failure.
+ * @property {"supabase" | "local"} name
+ * @property {AuthApi} auth
+ * @property {() => Promise<string|null>} getCurrentUserId
+ * @property {Function} fetchProfile
+ * @property {Function} listProfiles
+ * @property {Function} fetchDirectory
+ * @property {Function} upsertDisplayName
+ * @property {Function} setProfileRole
+ * @property {Function} fetchTransactions
+ * @property {Function} createTransactions
+ * @property {Function} updateTransaction
+ * @property {Function} fetchWithdrawals
+ * @property {Function} createWithdrawals
+ * @property {Function} updateWithdrawal
+ * @property {Function} decideWithdrawal
+ * @property {Function} voidEntry
+ * @property {Function} subscribeLedger
+ * @property {Function} listPeriodCloses
+ * @property {Function} fetchPeriodSnapshots
+ * @property {Function} closePeriod
+ * @property {Function} reopenPeriod
+ * @property {Function} listPeriodLog
+ * @property {Function} fetchApprovalThreshold
+ * @property {Function} setApprovalThreshold
+ * @property {Function} listClients
+ * @property {Function} createClient
+ * @property {Function} updateClient
+ * @property {Function} fetchClientBalance
+ * @property {Function} fetchClientRows  one page of a client's transactions or withdrawals, oldest first
+ * @property {Function} listSchedules
+ * @property {Function} createSchedule
+ * @property {Function} updateSchedule
+ * @property {Function} fetchExpectedDeposits
+ * @property {Function} generateExpectedDeposits
+ * @property {Function} listExchangeRates
+ * @property {Function} saveExchangeRates
+ * @property {Function} deleteExchangeRate
+ * @property {Function} listTeams
+ * @property {Function} createTeam
+ * @property {Function} deleteTeam
+ * @property {Function} listTeamMembers
+ * @property {Function} setTeamMember
+ * @property {Function} removeTeamMember
+ * @property {Function} fetchAuditLog
+ * @property {Function} listAttachments
+ * @property {Function} uploadAttachment
+ * @property {Function} attachmentUrl
+ * @property {Function} deleteAttachment
+ * @property {Function} fetchAttachmentThreshold
+ * @property {Function} setAttachmentThreshold
+ * @property {Function} listNotifications
+ * @property {Function} markNotificationsRead
+ * @property {Function} subscribeNotifications
+ */
+
+const env = import.meta.env;
+
+/**
+ * VITE_BACKEND=supabase|local picks the backend. When unset, Supabase is
+ * used if VITE_SUPABASE_URL is configured, otherwise the local backend.
+ * The local backend posts notifications to VITE_NOTIFY_WEBHOOK when set and
+ * logs them to the console otherwise.
+ */
+function selectBackend() {
+  const choice = env.VITE_BACKEND || (env.VITE_SUPABASE_URL ? "supabase" : "local");
+  if (choice === "local") {
+    const notifier = env.VITE_NOTIFY_WEBHOOK ? createWebhookChannel(env.VITE_NOTIFY_WEBHOOK) : undefined;
+    return createLocalBackend({ notifier });
+  }
+  if (choice === "supabase") {
+    return createSupabaseBackend({ url: env.VITE_SUPABASE_URL, anonKey: env.VITE_SUPABASE_ANON_KEY });
+  }
+  throw new Error(`Unknown VITE_BACKEND "${choice}" (expected "supabase" or "local")`);
+}
+
+/** @type {Backend} */
+export const backend = selectBackend();
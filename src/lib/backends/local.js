@@ -0,0 +1,806 @@
+import { applyDecision, decisionError } from "../withdrawalWorkflow";
+import { applyVoid, isVoided, voidError } from "../voids";
+import { attachmentApprovalError, attachmentFileError, attachmentPath } from "../attachments";
+import { createLocalFileStore } from "../fileStores/local";
+import {
+  DEFAULT_REMINDER_DAYS,
+  decisionNotificationKind,
+  notificationMessage,
+  overdueWithdrawals,
+} from "../notifications";
+import { createConsoleChannel } from "../notifyChannels/console";
+import { closePeriodError, closedPeriodError, periodOf, periodSnapshots, reopenPeriodError } from "../periods";
+import { expectedForMonth } from "../schedules";
+import { isoDate } from "../dates";
+import { BASE_CURRENCY, toBase } from "../currencies";
+import { subtractAmounts, sumAmounts } from "../money";
+
+const DB_KEY = "inout.local.db";
+const SESSION_KEY = "inout.local.session";
+const CHANGE_KEY = "inout.local.change"; // last ledger change, for other tabs
+
+// Demo accounts so a fresh checkout has someone to sign in as.
+const SEED_USERS = [
+  { id: "00000000-0000-4000-8000-000000000001", email: "manager@local", password: "manager", display_name: "Demo Manager", role: "manager" },
+  { id: "00000000-0000-4000-8000-000000000002", email: "employee@local", password: "employee", display_name: "Demo Employee", role: "employee" },
+  { id: "00000000-0000-4000-8000-000000000003", email: "admin@local", password: "admin", display_name: "Demo Admin", role: "org_admin" },
+];
+const SEED_TEAM = { id: "00000000-0000-4000-8000-0000000000a1", name: "Main branch", created_at: "2024-01-01T00:00:00.000Z" };
+
+function seed() {
+  return {
+    users: SEED_USERS.map(({ id, email, password }) => ({ id, email, password })),
+    profile: SEED_USERS.map(({ id, display_name, role }) => ({ id, display_name, role })),
+    transactions: [],
+    withdrawals: [],
+    clients: [],
+    teams: [SEED_TEAM],
+    team_members: [
+      { team_id: SEED_TEAM.id, user_id: SEED_USERS[0].id, role: "manager" },
+      { team_id: SEED_TEAM.id, user_id: SEED_USERS[1].id, role: "member" },
+    ],
+    deposit_schedules: [],
+    exchange_rates: [],
+    expected_deposits: [],
+    audit_log: [],
+    attachments: [],
+    notifications: [],
+    period_closes: [],
+    period_snapshots: [],
+    period_log: [],
+    settings: {
+      dual_approval_threshold: 1000,
+      attachment_required_above: 250,
+      pending_reminder_days: DEFAULT_REMINDER_DAYS,
+    },
+  };
+}
+
+function fail(message, code) {
+  const err = new Error(message);
+  if (code) err.code = code;
+  return err;
+}
+
+const denied = (message) => fail(message, "42501");
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const byNewest = (a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0);
+
+/**
+ * In-process backend for offline development and tests. Data lives in memory
+ * and, when a Storage is available (browser localStorage), is persisted
+ * across reloads. It applies the same access rules as the row-level-security
+ * policies in supabase/migrations/, so screens behave the same on both.
+ *
+ * @param {Object} [options]
+ * @param {Storage|null} [options.storage]  defaults to globalThis.localStorage
+ * @param {Object} [options.data]           initial tables, instead of storage/seed
+ * @param {import("../backend").FileStore} [options.files]  attachment files; kept beside the data by default
+ * @param {import("../backend").NotifyChannel} [options.notifier]  outbound notifications; logs by default
+ * @returns {import("../backend").Backend}
+ */
+export function createLocalBackend({
+  storage = globalThis.localStorage ?? null,
+  data,
+  files = createLocalFileStore({ storage: data ? null : storage }),
+  notifier = createConsoleChannel(),
+} = {}) {
+  const read = (key) => {
+    try {
+      return storage ? JSON.parse(storage.getItem(key)) : null;
+    } catch {
+      return null;
+    }
+  };
+  const write = (key, value) => {
+    if (!storage) return;
+    if (value == null) storage.removeItem(key);
+    else storage.setItem(key, JSON.stringify(value));
+  };
+
+  const db = { ...seed(), ...(data ? clone(data) : read(DB_KEY)) };
+  db.settings = { ...seed().settings, ...db.settings };
+  let session = data ? null : read(SESSION_KEY);
+  const listeners = new Set();
+  const ledgerListeners = new Set();
+  const notificationListeners = new Set();
+
+  const save = () => write(DB_KEY, db);
+  const uid = () => session?.user?.id ?? null;
+  const profileOf = (id) => db.profile.find(p => p.id === id) || null;
+  // Manager-only features are open to org admins too (is_manager()).
+  const isManager = () => ["manager", "org_admin"].includes(profileOf(uid())?.role);
+  const isOrgAdmin = () => profileOf(uid())?.role === "org_admin";
+
+  /** can_see_user(): yourself, everyone for org admins, your teams' members for managers. */
+  function canSee(userId) {
+    const me = uid();
+    if (!me) return false;
+    if (userId === me || isOrgAdmin()) return true;
+    if (!isManager()) return false;
+    const managed = new Set(db.team_members.filter(m => m.user_id === me && m.role === "manager").map(m => m.team_id));
+    return db.team_members.some(m => m.user_id === userId && managed.has(m.team_id));
+  }
+
+  /** managers_of(): managers and org admins who can see `userId`, other than them. */
+  function managersOf(userId) {
+    return db.profile
+      .filter(p => p.id !== userId)
+      .filter(p => p.role === "org_admin" || (p.role === "manager" && db.team_members.some(m =>
+        m.user_id === p.id && m.role === "manager"
+        && db.team_members.some(e => e.team_id === m.team_id && e.user_id === userId))))
+      .map(p => p.id);
+  }
+
+  // The notify_withdrawal() trigger: store, show to the recipient if they are
+  // signed in here, and hand to the outbound channel.
+  function notify(userIds, kind, w, extra) {
+    for (const user_id of userIds) {
+      const n = {
+        id: crypto.randomUUID(),
+        user_id,
+        kind,
+        withdrawal_id: w.id,
+        message: notificationMessage(kind, w, extra),
+        created_at: new Date().toISOString(),
+        read_at: null,
+      };
+      db.notifications.push(n);
+      if (user_id === uid()) notificationListeners.forEach(cb => cb(clone(n)));
+      const email = db.users.find(u => u.id === user_id)?.email ?? null;
+      Promise.resolve()
+        .then(() => notifier.send(clone(n), { id: user_id, email }))
+        .catch((e) => console.error("notification delivery failed", e));
+    }
+    save();
+  }
+
+  /** notify_overdue_withdrawals(): one reminder per request and manager. */
+  function notifyOverdue() {
+    const days = db.settings.pending_reminder_days;
+    for (const w of overdueWithdrawals(db.withdrawals, days)) {
+      const due = managersOf(w.user_id).filter(m => !db.notifications.some(n =>
+        n.kind === "withdrawal_overdue" && n.withdrawal_id === w.id && n.user_id === m));
+      if (due.length) notify(due, "withdrawal_overdue", w, { days });
+    }
+  }
+
+  const ownerOf = (table, rowId) => db[table]?.find(r => r.id === rowId)?.user_id ?? null;
+
+  /** can_attach(): the row's owner, or a manager who can see them. */
+  function canAttach(table, rowId) {
+    const owner = ownerOf(table, rowId);
+    return Boolean(owner) && (owner === uid() || (isManager() && canSee(owner)));
+  }
+
+  function requireUser() {
+    const id = uid();
+    if (!id) throw fail("Not signed in", "401");
+    return id;
+  }
+
+  function setSession(next, event = next ? "SIGNED_IN" : "SIGNED_OUT") {
+    session = next;
+    write(SESSION_KEY, session);
+    listeners.forEach(cb => cb(session, event));
+  }
+
+  function audit(table, action, before, after) {
+    db.audit_log.push({
+      id: db.audit_log.length + 1,
+      at: new Date().toISOString(),
+      actor: uid(),
+      table_name: table,
+      row_id: String((after || before).id),
+      action,
+      before: before ? clone(before) : null,
+      after: after ? clone(after) : null,
+    });
+  }
+
+  // Deliver a change to this tab's subscribers, filtered like the select
+  // policies would filter it.
+  function deliver(change) {
+    const row = change.row || change.old;
+    if (!row || !canSee(row.user_id)) return;
+    ledgerListeners.forEach(cb => cb(clone(change)));
+  }
+
+  function emit(changes) {
+    changes.forEach(deliver);
+    // Other tabs pick this up through the storage event below.
+    write(CHANGE_KEY, { changes, nonce: crypto.randomUUID() });
+  }
+
+  if (storage && typeof window !== "undefined" && storage === window.localStorage) {
+    window.addEventListener("storage", (e) => {
+      if (e.key === DB_KEY && e.newValue) Object.assign(db, JSON.parse(e.newValue));
+      if (e.key === CHANGE_KEY && e.newValue) JSON.parse(e.newValue).changes.forEach(deliver);
+    });
+  }
+
+  // ledger_guard_period(): nothing in a closed month changes.
+  function guardPeriod(table, createdAt) {
+    if (table !== "transactions" && table !== "withdrawals") return;
+    const error = closedPeriodError(db.period_closes, createdAt);
+    if (error) throw denied(error);
+  }
+
+  function insertRows(table, rows) {
+    const now = new Date().toISOString();
+    rows.forEach(values => guardPeriod(table, values.created_at ?? now));
+    const inserted = rows.map(values => {
+      const row = { id: crypto.randomUUID(), created_at: now, ...values };
+      db[table].push(row);
+      audit(table, "insert", null, row);
+      return row;
+    });
+    save();
+    emit(inserted.map(row => ({ table, type: "INSERT", row, old: null })));
+    return clone(inserted);
+  }
+
+  function updateRow(table, id, patch, canUpdate) {
+    const row = db[table].find(r => r.id === id);
+    if (!row || !canUpdate(row)) throw denied(`Not allowed to update ${table} row ${id}`);
+    guardPeriod(table, row.created_at);
+    if (patch.created_at) guardPeriod(table, patch.created_at);
+    const before = clone(row);
+    Object.assign(row, patch);
+    if (JSON.stringify(before) !== JSON.stringify(row)) {
+      audit(table, "update", before, row);
+      save();
+      emit([{ table, type: "UPDATE", row, old: before }]);
+    }
+    return clone(row);
+  }
+
+  function requireClient(account) {
+    if (!db.clients.some(c => c.account_number === account)) {
+      throw fail(`Client account "${account}" is not registered`, "23503");
+    }
+  }
+
+  function selectRange(table, { start, end, userId, userIds, status, limit, offset = 0 }) {
+    const rows = db[table]
+      .filter(r => canSee(r.user_id))
+      .filter(r => (!start || r.created_at >= start) && (!end || r.created_at < end))
+      .filter(r => !userId || r.user_id === userId)
+      .filter(r => !userIds || userIds.includes(r.user_id))
+      .filter(r => !status || r.status === status)
+      .sort(byNewest);
+    return clone(limit ? rows.slice(offset, offset + limit) : rows);
+  }
+
+  const auth = {
+    async getSession() {
+      return session;
+    },
+    onAuthStateChange(cb) {
+      listeners.add(cb);
+      return () => listeners.delete(cb);
+    },
+    async signIn(email, password) {
+      const user = db.users.find(u => u.email === email.trim().toLowerCase());
+      if (!user || user.password !== password) throw fail("Invalid login credentials", "400");
+      setSession({ user: { id: user.id, email: user.email } });
+    },
+    async signUp(email, password) {
+      const clean = email.trim().toLowerCase();
+      if (db.users.some(u => u.email === clean)) throw fail("User already registered", "422");
+      if (password.length < 6) throw fail("Password should be at least 6 characters", "422");
+      const user = { id: crypto.randomUUID(), email: clean, password };
+      db.users.push(user);
+      db.profile.push({ id: user.id, display_name: null, role: "employee" });
+      save();
+      setSession({ user: { id: user.id, email: user.email } });
+      return { needsConfirmation: false };
+    },
+    async signOut() {
+      setSession(null);
+    },
+    // There is no mail delivery locally: accounts are confirmed on sign-up,
+    // and a password can only be changed while signed in.
+    async resetPassword(email) {
+      if (!email.trim()) throw fail("Email is required", "422");
+      console.info(`[local backend] No reset email is sent for ${email}; sign in and open /reset-password.`);
+    },
+    async resendConfirmation(email) {
+      if (!email.trim()) throw fail("Email is required", "422");
+    },
+    async updatePassword(password) {
+      const id = requireUser();
+      if (password.length < 6) throw fail("Password should be at least 6 characters", "422");
+      db.users.find(u => u.id === id).password = password;
+      save();
+      setSession(session, "USER_UPDATED");
+    },
+  };
+
+  return {
+    name: "local",
+    auth,
+
+    async getCurrentUserId() {
+      return uid();
+    },
+
+    async fetchProfile() {
+      const id = uid();
+      return id ? clone(profileOf(id)) : null;
+    },
+
+    async listProfiles() {
+      return clone(
+        db.profile
+          .filter(p => canSee(p.id))
+          .sort((a, b) => (a.display_name || "").localeCompare(b.display_name || ""))
+      );
+    },
+
+    async fetchDirectory(ids) {
+      requireUser();
+      return db.users
+        .filter(u => ids.includes(u.id))
+        .map(u => ({
+          id: u.id,
+          display_name: profileOf(u.id)?.display_name ?? null,
+          email: canSee(u.id) ? u.email : null,
+        }));
+    },
+
+    async upsertDisplayName(display_name) {
+      const id = requireUser();
+      const existing = profileOf(id);
+      if (existing) existing.display_name = display_name;
+      else db.profile.push({ id, display_name, role: "employee" });
+      save();
+    },
+
+    async setProfileRole(target, role) {
+      if (!isManager()) throw denied("only managers can change roles");
+      if (!["employee", "manager", "org_admin"].includes(role)) throw fail(`unknown role ${role}`, "22023");
+      if (!canSee(target)) throw denied("that user is not in your teams");
+      const p = profileOf(target);
+      if (!p) throw fail(`profile ${target} not found`, "P0002");
+      if ((role === "org_admin" || p.role === "org_admin") && !isOrgAdmin()) {
+        throw denied("only org admins can change the org admin role");
+      }
+      if (p.role === "org_admin" && role !== "org_admin" && db.profile.filter(x => x.role === "org_admin").length <= 1) {
+        throw denied("cannot revoke the last org admin");
+      }
+      p.role = role;
+      save();
+    },
+
+    async fetchTransactions(query) {
+      return selectRange("transactions", query);
+    },
+
+    async createTransactions(values) {
+      const user_id = requireUser();
+      values.forEach(v => requireClient(v.client_account));
+      return insertRows("transactions", values.map(v => ({ currency: BASE_CURRENCY, ...v, user_id })));
+    },
+
+    async updateTransaction(id, patch) {
+      requireUser();
+      if (isVoided(db.transactions.find(r => r.id === id) ?? {})) throw denied("voided entries cannot be edited");
+      if ("client_account" in patch) requireClient(patch.client_account);
+      return updateRow("transactions", id, patch, r => r.user_id === uid() || (isManager() && canSee(r.user_id)));
+    },
+
+    async fetchWithdrawals(query) {
+      return selectRange("withdrawals", query);
+    },
+
+    async createWithdrawals(values) {
+      const user_id = requireUser();
+      values.forEach(v => requireClient(v.client_account));
+      const rows = await insertRows("withdrawals", values.map(v => ({
+        currency: BASE_CURRENCY,
+        ...v,
+        user_id,
+        status: "pending",
+        approved_by: [],
+        status_note: null,
+      })));
+      rows.forEach(w => notify(managersOf(user_id), "withdrawal_requested", w));
+      return rows;
+    },
+
+    async updateWithdrawal(id, patch) {
+      requireUser();
+      if (["status", "approved_by", "status_note"].some(k => k in patch)) {
+        throw denied("status changes must go through decide_withdrawal()");
+      }
+      const row = db.withdrawals.find(r => r.id === id);
+      if (row && isVoided(row)) throw denied("voided entries cannot be edited");
+      if (row && row.status !== "pending" && ("amount" in patch || "client_account" in patch)) {
+        throw denied("only pending withdrawals can be edited; reopen it first");
+      }
+      if ("client_account" in patch) requireClient(patch.client_account);
+      return updateRow("withdrawals", id, patch, r => isManager() && canSee(r.user_id));
+    },
+
+    async decideWithdrawal(id, decision, note) {
+      const actorId = requireUser();
+      if (decision !== "cancel" && !isManager()) throw denied("only managers can decide withdrawals");
+      const row = db.withdrawals.find(r => r.id === id);
+      if (!row) throw fail(`withdrawal ${id} not found`, "P0002");
+      if (!canSee(row.user_id)) throw denied("This request belongs to another team.");
+      const w = { approved_by: [], status_note: null, ...row };
+      const error = decisionError(w, decision, { actorId, note });
+      if (error) throw denied(error);
+      if (decision === "approve") {
+        const count = db.attachments.filter(a => a.table_name === "withdrawals" && a.row_id === id).length;
+        const missing = attachmentApprovalError(w, count, db.settings.attachment_required_above, db.exchange_rates);
+        if (missing) throw denied(missing);
+      }
+      const threshold = db.settings.dual_approval_threshold;
+      const saved = await updateRow("withdrawals", id, applyDecision(w, decision, { actorId, note, threshold, rates: db.exchange_rates }), () => true);
+      const kind = decisionNotificationKind(w, saved);
+      if (kind) notify([saved.user_id], kind, saved);
+      return saved;
+    },
+
+    async voidEntry(table, id, reason) {
+      const actorId = requireUser();
+      const row = db[table]?.find(r => r.id === id);
+      if (!row || !canSee(row.user_id)) throw fail(`${table} ${id} not found`, "P0002");
+      const error = voidError(table, row, { actorId, isManager: isManager(), reason });
+      if (error) throw denied(error);
+      return updateRow(table, id, applyVoid({ actorId, reason }), () => true);
+    },
+
+    async fetchApprovalThreshold() {
+      return db.settings.dual_approval_threshold ?? null;
+    },
+
+    async setApprovalThreshold(amount) {
+      if (!isOrgAdmin()) throw denied("only org admins can change settings");
+      db.settings.dual_approval_threshold = amount;
+      save();
+    },
+
+    async listPeriodCloses() {
+      requireUser();
+      return clone([...db.period_closes].sort((a, b) => (a.month < b.month ? 1 : -1)));
+    },
+
+    async fetchPeriodSnapshots(month) {
+      requireUser();
+      return clone(db.period_snapshots.filter(s => s.month === month && canSee(s.user_id)));
+    },
+
+    async closePeriod(month) {
+      const actor = requireUser();
+      if (!isOrgAdmin()) throw denied("Only org admins can close a month.");
+      const inMonth = (table) => db[table].filter(r => periodOf(r.created_at) === month && canSee(r.user_id));
+      const error = closePeriodError(month, db.period_closes, inMonth("withdrawals"));
+      if (error) throw denied(error);
+      const close = { month, closed_at: new Date().toISOString(), closed_by: actor };
+      db.period_closes.push(close);
+      db.period_snapshots.push(...periodSnapshots(month, inMonth("transactions"), inMonth("withdrawals"), db.exchange_rates));
+      db.period_log.push({ id: crypto.randomUUID(), month, action: "close", reason: null, actor, at: close.closed_at });
+      save();
+      return clone(close);
+    },
+
+    async reopenPeriod(month, reason) {
+      const actor = requireUser();
+      if (!isOrgAdmin()) throw denied("Only org admins can reopen a month.");
+      const error = reopenPeriodError(month, db.period_closes, reason);
+      if (error) throw denied(error);
+      db.period_closes = db.period_closes.filter(c => c.month !== month);
+      db.period_snapshots = db.period_snapshots.filter(s => s.month !== month);
+      db.period_log.push({ id: crypto.randomUUID(), month, action: "reopen", reason: reason.trim(), actor, at: new Date().toISOString() });
+      save();
+    },
+
+    async listPeriodLog(month) {
+      requireUser();
+      if (!isManager()) return [];
+      return clone(db.period_log.filter(e => e.month === month).sort((a, b) => (a.at < b.at ? 1 : -1)));
+    },
+
+    subscribeLedger(onChange) {
+      ledgerListeners.add(onChange);
+      return () => ledgerListeners.delete(onChange);
+    },
+
+    async listClients() {
+      requireUser();
+      return clone([...db.clients].sort((a, b) => a.name.localeCompare(b.name)));
+    },
+
+    async createClient(values) {
+      const created_by = requireUser();
+      const account_number = values.account_number.trim();
+      if (db.clients.some(c => c.account_number === account_number)) {
+        throw fail(`Client account "${account_number}" already exists`, "23505");
+      }
+      const client = {
+        id: crypto.randomUUID(),
+        phone: null,
+        email: null,
+        notes: null,
+        ...values,
+        account_number,
+        created_by,
+        created_at: new Date().toISOString(),
+      };
+      db.clients.push(client);
+      save();
+      return clone(client);
+    },
+
+    async updateClient(id, patch) {
+      requireUser();
+      const client = db.clients.find(c => c.id === id);
+      if (!client || !(isOrgAdmin() || client.created_by === uid())) {
+        throw denied(`Not allowed to update client ${id}`);
+      }
+      const { account_number: from } = client;
+      Object.assign(client, patch);
+      // on update cascade
+      if (client.account_number !== from) {
+        for (const table of ["transactions", "withdrawals"]) {
+          db[table].filter(r => r.client_account === from).forEach(r => { r.client_account = client.account_number; });
+        }
+      }
+      save();
+    },
+
+    async fetchClientBalance(account) {
+      requireUser();
+      const sum = (rows) => sumAmounts(rows.map(r => toBase(r, db.exchange_rates) ?? 0));
+      const deposits = sum(db.transactions.filter(r => r.client_account === account && !isVoided(r)));
+      const wd = db.withdrawals.filter(r => r.client_account === account && !isVoided(r));
+      const withdrawn = sum(wd.filter(r => r.status === "approved"));
+      const pending = sum(wd.filter(r => r.status === "pending"));
+      return { deposits, withdrawn, pending, balance: subtractAmounts(deposits, withdrawn) };
+    },
+
+    async fetchClientRows(table, account, { limit, offset = 0 }) {
+      const rows = selectRange(table, {})
+        .filter(r => r.client_account === account)
+        .reverse();
+      return limit ? rows.slice(offset, offset + limit) : rows;
+    },
+
+    async listSchedules() {
+      return clone(
+        db.deposit_schedules
+          .filter(s => canSee(s.user_id))
+          .sort((a, b) => (b.active - a.active) || a.client_account.localeCompare(b.client_account))
+      );
+    },
+
+    async createSchedule(values) {
+      const user_id = requireUser();
+      requireClient(values.client_account);
+      if (!(Number(values.amount) > 0)) throw fail("amount must be greater than zero", "23514");
+      if (!["monthly", "yearly"].includes(values.period)) throw fail(`unknown period ${values.period}`, "23514");
+      const schedule = {
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        start_date: isoDate(),
+        currency: BASE_CURRENCY,
+        active: true,
+        ...values,
+        user_id,
+      };
+      db.deposit_schedules.push(schedule);
+      save();
+      return clone(schedule);
+    },
+
+    async updateSchedule(id, patch) {
+      requireUser();
+      const schedule = db.deposit_schedules.find(s => s.id === id);
+      if (!schedule || !(schedule.user_id === uid() || (isManager() && canSee(schedule.user_id)))) {
+        throw denied(`Not allowed to update schedule ${id}`);
+      }
+      if ("client_account" in patch) requireClient(patch.client_account);
+      Object.assign(schedule, patch);
+      save();
+      return clone(schedule);
+    },
+
+    async fetchExpectedDeposits({ from, to }) {
+      return clone(
+        db.expected_deposits
+          .filter(e => canSee(e.user_id))
+          .filter(e => e.due_date >= from && e.due_date < to)
+          .sort((a, b) => a.due_date.localeCompare(b.due_date))
+      );
+    },
+
+    async generateExpectedDeposits(month, year) {
+      if (!isManager()) throw denied("only managers can generate expected deposits");
+      const exists = new Set(db.expected_deposits.map(e => `${e.schedule_id}/${e.due_date}`));
+      const created = expectedForMonth(db.deposit_schedules.filter(sc => canSee(sc.user_id)), month, year)
+        .filter(e => !exists.has(`${e.schedule_id}/${e.due_date}`))
+        .map(e => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...e }));
+      db.expected_deposits.push(...created);
+      save();
+      return created.length;
+    },
+
+    async listExchangeRates() {
+      requireUser();
+      return clone(
+        [...db.exchange_rates].sort((a, b) =>
+          a.currency.localeCompare(b.currency) || b.effective_date.localeCompare(a.effective_date))
+      );
+    },
+
+    async saveExchangeRates(rates) {
+      if (!isOrgAdmin()) throw denied("only org admins can change exchange rates");
+      for (const r of rates) {
+        if (r.currency === BASE_CURRENCY || !/^[A-Z]{3}$/.test(r.currency)) {
+          throw fail(`invalid currency ${r.currency}`, "23514");
+        }
+        if (!(Number(r.rate) > 0)) throw fail("rate must be greater than zero", "23514");
+        const existing = db.exchange_rates.find(x => x.currency === r.currency && x.effective_date === r.effective_date);
+        if (existing) existing.rate = Number(r.rate);
+        else db.exchange_rates.push({ id: crypto.randomUUID(), ...r, rate: Number(r.rate) });
+      }
+      save();
+    },
+
+    async deleteExchangeRate(id) {
+      if (!isOrgAdmin()) throw denied("only org admins can change exchange rates");
+      db.exchange_rates = db.exchange_rates.filter(r => r.id !== id);
+      save();
+    },
+
+    async listTeams() {
+      const me = requireUser();
+      return clone(
+        db.teams
+          .filter(t => isOrgAdmin() || db.team_members.some(m => m.team_id === t.id && m.user_id === me))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+    },
+
+    async createTeam(name) {
+      if (!isOrgAdmin()) throw denied("only org admins can manage teams");
+      const clean = name.trim();
+      if (!clean) throw fail("team name is required", "23514");
+      if (db.teams.some(t => t.name === clean)) throw fail(`team "${clean}" already exists`, "23505");
+      const team = { id: crypto.randomUUID(), name: clean, created_at: new Date().toISOString() };
+      db.teams.push(team);
+      save();
+      return clone(team);
+    },
+
+    async deleteTeam(id) {
+      if (!isOrgAdmin()) throw denied("only org admins can manage teams");
+      db.teams = db.teams.filter(t => t.id !== id);
+      db.team_members = db.team_members.filter(m => m.team_id !== id);
+      save();
+    },
+
+    async listTeamMembers() {
+      requireUser();
+      return clone(db.team_members.filter(m => canSee(m.user_id)));
+    },
+
+    async setTeamMember(teamId, userId, role) {
+      if (!isOrgAdmin()) throw denied("only org admins can manage teams");
+      if (!["member", "manager"].includes(role)) throw fail(`unknown team role ${role}`, "23514");
+      if (!db.teams.some(t => t.id === teamId)) throw fail(`team ${teamId} not found`, "23503");
+      const existing = db.team_members.find(m => m.team_id === teamId && m.user_id === userId);
+      if (existing) existing.role = role;
+      else db.team_members.push({ team_id: teamId, user_id: userId, role });
+      save();
+    },
+
+    async removeTeamMember(teamId, userId) {
+      if (!isOrgAdmin()) throw denied("only org admins can manage teams");
+      db.team_members = db.team_members.filter(m => !(m.team_id === teamId && m.user_id === userId));
+      save();
+    },
+
+    async fetchAuditLog(table, rowId) {
+      return clone(
+        db.audit_log
+          .filter(e => e.table_name === table && e.row_id === String(rowId))
+          .filter(e => canSee((e.after || e.before)?.user_id))
+          .sort((a, b) => b.id - a.id)
+      );
+    },
+
+    async listAttachments(table, rowIds) {
+      requireUser();
+      return clone(
+        db.attachments
+          .filter(a => a.table_name === table && rowIds.includes(a.row_id))
+          .filter(a => canSee(ownerOf(table, a.row_id)))
+          .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+      );
+    },
+
+    async uploadAttachment(table, rowId, file, thumbnail) {
+      const actorId = requireUser();
+      const error = attachmentFileError(file);
+      if (error) throw fail(error, "22023");
+      if (!canAttach(table, rowId)) throw denied("You cannot attach files to this entry.");
+      const path = attachmentPath(table, rowId, file.name);
+      const thumb_path = thumbnail ? `${path}.thumb.jpg` : null;
+      await files.put(path, file, file.type);
+      if (thumbnail) await files.put(thumb_path, thumbnail, "image/jpeg");
+      const row = {
+        id: crypto.randomUUID(),
+        table_name: table,
+        row_id: rowId,
+        path,
+        thumb_path,
+        file_name: file.name,
+        content_type: file.type,
+        size: file.size,
+        uploaded_by: actorId,
+        created_at: new Date().toISOString(),
+      };
+      db.attachments.push(row);
+      save();
+      return clone(row);
+    },
+
+    async attachmentUrl(path) {
+      requireUser();
+      const a = db.attachments.find(x => x.path === path || x.thumb_path === path);
+      if (!a || !canSee(ownerOf(a.table_name, a.row_id))) throw fail("attachment not found", "P0002");
+      return files.url(path);
+    },
+
+    async deleteAttachment(id) {
+      requireUser();
+      const a = db.attachments.find(x => x.id === id);
+      if (!a || !canAttach(a.table_name, a.row_id)) throw denied("You cannot remove this attachment.");
+      if (a.table_name === "withdrawals" && db.withdrawals.find(w => w.id === a.row_id)?.status === "approved") {
+        throw denied("Attachments on approved withdrawals are kept.");
+      }
+      db.attachments = db.attachments.filter(x => x.id !== id);
+      save();
+      await files.remove([a.path, a.thumb_path].filter(Boolean));
+    },
+
+    async listNotifications({ limit = 50 } = {}) {
+      const me = requireUser();
+      notifyOverdue();
+      return clone(
+        db.notifications
+          .filter(n => n.user_id === me)
+          .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+          .slice(0, limit)
+      );
+    },
+
+    async markNotificationsRead(ids) {
+      const me = requireUser();
+      const at = new Date().toISOString();
+      for (const n of db.notifications) {
+        if (n.user_id === me && !n.read_at && (!ids || ids.includes(n.id))) n.read_at = at;
+      }
+      save();
+    },
+
+    subscribeNotifications(onNotification) {
+      notificationListeners.add(onNotification);
+      return () => notificationListeners.delete(onNotification);
+    },
+
+    async fetchAttachmentThreshold() {
+      return db.settings.attachment_required_above ?? null;
+    },
+
+    async setAttachmentThreshold(amount) {
+      if (!isOrgAdmin()) throw denied("only org admins can change settings");
+      db.settings.attachment_required_above = amount;
+      save();
+    },
+  };
+}
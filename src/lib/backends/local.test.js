@@ -0,0 +1,72 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { createLocalBackend } from "./local";
+
+const quiet = { async send() {} };
+let b;
+
+const as = (who) => b.auth.signIn(`${who}@local`, who);
+
+beforeEach(async () => {
+  b = createLocalBackend({ storage: null, notifier: quiet });
+  await as("manager");
+  await b.createClient({ account_number: "A1", name: "Acme" });
+});
+
+describe("local backend", () => {
+  it("shows employees only their own entries", async () => {
+    await b.createTransactions([{ amount: 5, client_account: "A1" }]);
+    await as("employee");
+    await b.createTransactions([{ amount: 7, client_account: "A1" }]);
+    const mine = await b.fetchTransactions({ end: "9999-01-01" });
+    expect(mine.map(t => t.amount)).toEqual([7]);
+  });
+
+  it("rejects entries for unregistered clients", async () => {
+    await expect(b.createTransactions([{ amount: 5, client_account: "NOPE" }]))
+      .rejects.toMatchObject({ code: "23503" });
+  });
+
+  it("runs withdrawals through the approval workflow", async () => {
+    await as("employee");
+    const [w] = await b.createWithdrawals([{ amount: 100, client_account: "A1" }]);
+    await expect(b.decideWithdrawal(w.id, "approve")).rejects.toMatchObject({ code: "42501" });
+    await as("manager");
+    expect((await b.decideWithdrawal(w.id, "approve")).status).toBe("approved");
+    await expect(b.updateWithdrawal(w.id, { amount: 1 })).rejects.toThrow("only pending withdrawals can be edited");
+  });
+
+  it("lets only org admins change exchange rates", async () => {
+    const rate = { currency: "USD", rate: 0.3, effective_date: "2026-01-01" };
+    await expect(b.saveExchangeRates([rate])).rejects.toMatchObject({ code: "42501" });
+    await as("admin");
+    await b.saveExchangeRates([rate]);
+    const [saved] = await b.listExchangeRates();
+    await as("manager");
+    await expect(b.deleteExchangeRate(saved.id)).rejects.toMatchObject({ code: "42501" });
+  });
+
+  it("lets a client be edited by whoever registered it or an org admin", async () => {
+    const [client] = await b.listClients();
+    await as("employee");
+    const mine = await b.createClient({ account_number: "B2", name: "Bravo" });
+    await b.updateClient(mine.id, { name: "Bravo Ltd" });
+    await expect(b.updateClient(client.id, { name: "x" })).rejects.toMatchObject({ code: "42501" });
+    await as("manager");
+    await expect(b.updateClient(mine.id, { name: "x" })).rejects.toMatchObject({ code: "42501" });
+    await as("admin");
+    await b.updateClient(mine.id, { name: "Bravo Co" });
+    expect((await b.listClients()).find(c => c.id === mine.id).name).toBe("Bravo Co");
+  });
+
+  it("locks a closed month until it is reopened with a reason", async () => {
+    const [t] = await b.createTransactions([{ amount: 100, client_account: "A1", created_at: "2026-08-15T10:00:00Z" }]);
+    await expect(b.closePeriod("2026-08-01")).rejects.toThrow("Only org admins can close a month.");
+    await as("admin");
+    await b.closePeriod("2026-08-01");
+    expect(await b.fetchPeriodSnapshots("2026-08-01")).toMatchObject([{ in_total: 100, net: 100 }]);
+    await expect(b.updateTransaction(t.id, { amount: 1 })).rejects.toThrow(/^August 2026 is closed/);
+    await expect(b.reopenPeriod("2026-08-01", "")).rejects.toThrow("A reason is required");
+    await b.reopenPeriod("2026-08-01", "late slip");
+    expect((await b.updateTransaction(t.id, { amount: 1 })).amount).toBe(1);
+  });
+});
@@ -0,0 +1,485 @@
+import { createClient } from "@supabase/supabase-js";
+import { fromMinor, toMinor } from "../money";
+import { attachmentFileError, attachmentPath } from "../attachments";
+import { createSupabaseFileStore } from "../fileStores/supabase";
+
+const PROFILE_COLUMNS = "id, display_name, role";
+const VOID_COLUMNS = "voided_at, voided_by, void_reason";
+const TRANSACTION_COLUMNS = `id, created_at, amount, currency, client_account, client_name, period, note, user_id, ${VOID_COLUMNS}`;
+const CLIENT_COLUMNS = "id, account_number, name, phone, email, notes";
+const SCHEDULE_COLUMNS = "id, user_id, client_account, amount, currency, period, start_date, active";
+const EXPECTED_COLUMNS = "id, schedule_id, user_id, client_account, amount, currency, due_date";
+const RATE_COLUMNS = "id, currency, rate, effective_date";
+const TEAM_COLUMNS = "id, name";
+const TEAM_MEMBER_COLUMNS = "team_id, user_id, role";
+const ATTACHMENT_COLUMNS = "id, table_name, row_id, path, thumb_path, file_name, content_type, size, uploaded_by, created_at";
+const WITHDRAWAL_COLUMNS = `id, created_at, amount, currency, client_account, client_name, note, status, approved_by, status_note, user_id, ${VOID_COLUMNS}`;
+const PERIOD_CLOSE_COLUMNS = "month, closed_at, closed_by";
+const PERIOD_SNAPSHOT_COLUMNS = "month, user_id, in_total, out_total, net, deposit_count, withdrawal_count";
+const NOTIFICATION_COLUMNS = "id, user_id, kind, withdrawal_id, message, created_at, read_at";
+
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Backend over a Supabase project. Access rules live in the database
+ * (supabase/migrations/); this adapter only maps calls to queries.
+ * @returns {import("../backend").Backend}
+ */
+export function createSupabaseBackend({ url, anonKey, files }) {
+  const supabase = createClient(url, anonKey);
+  const store = files ?? createSupabaseFileStore(supabase);
+
+  async function getCurrentUserId() {
+    const { data: { user } } = await supabase.auth.getUser();
+    return user?.id ?? null;
+  }
+
+  const auth = {
+    async getSession() {
+      const { data } = await supabase.auth.getSession();
+      return data?.session ?? null;
+    },
+    onAuthStateChange(cb) {
+      const { data: sub } = supabase.auth.onAuthStateChange((event, s) => cb(s, event));
+      return () => sub?.subscription?.unsubscribe?.();
+    },
+    async signIn(email, password) {
+      const { error } = await supabase.auth.signInWithPassword({ email, password });
+      if (error) throw error;
+    },
+    async signUp(email, password) {
+      const { data, error } = await supabase.auth.signUp({
+        email,
+        password,
+        options: { emailRedirectTo: `${window.location.origin}/app` },
+      });
+      if (error) throw error;
+      return { needsConfirmation: !data.session };
+    },
+    async signOut() {
+      const { error } = await supabase.auth.signOut();
+      if (error) throw error;
+    },
+    // The emailed link signs the user in with a recovery session and lands
+    // on /reset-password, where updatePassword() sets the new one.
+    async resetPassword(email) {
+      const { error } = await supabase.auth.resetPasswordForEmail(email, {
+        redirectTo: `${window.location.origin}/reset-password`,
+      });
+      if (error) throw error;
+    },
+    async resendConfirmation(email) {
+      const { error } = await supabase.auth.resend({
+        type: "signup",
+        email,
+        options: { emailRedirectTo: `${window.location.origin}/app` },
+      });
+      if (error) throw error;
+    },
+    async updatePassword(password) {
+      const { error } = await supabase.auth.updateUser({ password });
+      if (error) throw error;
+    },
+  };
+
+  return {
+    name: "supabase",
+    auth,
+    getCurrentUserId,
+
+    async fetchProfile() {
+      const id = await getCurrentUserId();
+      if (!id) return null;
+      return unwrap(
+        await supabase.from("profile").select(PROFILE_COLUMNS).eq("id", id).maybeSingle()
+      );
+    },
+
+    async listProfiles() {
+      return unwrap(
+        await supabase
+          .from("profile")
+          .select(PROFILE_COLUMNS)
+          .order("display_name", { ascending: true })
+      ) || [];
+    },
+
+    async fetchDirectory(ids) {
+      return unwrap(await supabase.rpc("employee_directory", { p_ids: ids })) || [];
+    },
+
+    async upsertDisplayName(display_name) {
+      const id = await getCurrentUserId();
+      unwrap(await supabase.from("profile").upsert({ id, display_name }, { onConflict: "id" }));
+    },
+
+    async setProfileRole(target, role) {
+      unwrap(await supabase.rpc("set_profile_role", { target, new_role: role }));
+    },
+
+    async fetchTransactions({ start, end, userId, userIds, limit, offset = 0 }) {
+      let q = supabase
+        .from("transactions")
+        .select(TRANSACTION_COLUMNS)
+        .lt("created_at", end)
+        .order("created_at", { ascending: false })
+        .order("id");
+      if (start) q = q.gte("created_at", start);
+      if (userId) q = q.eq("user_id", userId);
+      if (userIds) q = q.in("user_id", userIds);
+      if (limit) q = q.range(offset, offset + limit - 1);
+      return unwrap(await q) || [];
+    },
+
+    async createTransactions(values) {
+      const user_id = await getCurrentUserId();
+      return unwrap(
+        await supabase
+          .from("transactions")
+          .insert(values.map(v => ({ ...v, user_id })))
+          .select(TRANSACTION_COLUMNS)
+      ) || [];
+    },
+
+    async updateTransaction(id, patch) {
+      return unwrap(
+        await supabase.from("transactions").update(patch).eq("id", id).select(TRANSACTION_COLUMNS).single()
+      );
+    },
+
+    async fetchWithdrawals({ start, end, userId, userIds, status, limit, offset = 0 }) {
+      let q = supabase
+        .from("withdrawals")
+        .select(WITHDRAWAL_COLUMNS)
+        .lt("created_at", end)
+        .order("created_at", { ascending: false })
+        .order("id");
+      if (start) q = q.gte("created_at", start);
+      if (userId) q = q.eq("user_id", userId);
+      if (userIds) q = q.in("user_id", userIds);
+      if (status) q = q.eq("status", status);
+      if (limit) q = q.range(offset, offset + limit - 1);
+      return unwrap(await q) || [];
+    },
+
+    async createWithdrawals(values) {
+      const user_id = await getCurrentUserId();
+      return unwrap(
+        await supabase
+          .from("withdrawals")
+          .insert(values.map(v => ({ ...v, user_id, status: "pending" })))
+          .select(WITHDRAWAL_COLUMNS)
+      ) || [];
+    },
+
+    async updateWithdrawal(id, patch) {
+      return unwrap(
+        await supabase.from("withdrawals").update(patch).eq("id", id).select(WITHDRAWAL_COLUMNS).single()
+      );
+    },
+
+    subscribeLedger(onChange) {
+      const forward = (payload) => onChange({
+        table: payload.table,
+        type: payload.eventType,
+        row: payload.eventType === "DELETE" ? null : payload.new,
+        old: payload.old && Object.keys(payload.old).length ? payload.old : null,
+      });
+      const channel = supabase
+        .channel(`ledger-${crypto.randomUUID()}`)
+        .on("postgres_changes", { event: "*", schema: "public", table: "transactions" }, forward)
+        .on("postgres_changes", { event: "*", schema: "public", table: "withdrawals" }, forward)
+        .subscribe();
+      return () => { supabase.removeChannel(channel); };
+    },
+
+    async decideWithdrawal(id, decision, note) {
+      return unwrap(
+        await supabase.rpc("decide_withdrawal", { p_id: id, p_decision: decision, p_note: note ?? null })
+      );
+    },
+
+    async voidEntry(table, id, reason) {
+      return unwrap(await supabase.rpc("void_entry", { p_table: table, p_id: id, p_reason: reason }));
+    },
+
+    async listPeriodCloses() {
+      return unwrap(
+        await supabase.from("period_closes").select(PERIOD_CLOSE_COLUMNS).order("month", { ascending: false })
+      );
+    },
+
+    async fetchPeriodSnapshots(month) {
+      return unwrap(await supabase.from("period_snapshots").select(PERIOD_SNAPSHOT_COLUMNS).eq("month", month));
+    },
+
+    async closePeriod(month) {
+      return unwrap(await supabase.rpc("close_period", { p_month: month }));
+    },
+
+    async reopenPeriod(month, reason) {
+      unwrap(await supabase.rpc("reopen_period", { p_month: month, p_reason: reason }));
+    },
+
+    async listPeriodLog(month) {
+      return unwrap(
+        await supabase
+          .from("period_log")
+          .select("id, month, action, reason, actor, at")
+          .eq("month", month)
+          .order("at", { ascending: false })
+      );
+    },
+
+    async fetchApprovalThreshold() {
+      const row = unwrap(
+        await supabase.from("app_settings").select("value").eq("key", "dual_approval_threshold").maybeSingle()
+      );
+      return row?.value == null ? null : Number(row.value);
+    },
+
+    async setApprovalThreshold(amount) {
+      unwrap(
+        await supabase
+          .from("app_settings")
+          .upsert({ key: "dual_approval_threshold", value: amount }, { onConflict: "key" })
+      );
+    },
+
+    async listClients() {
+      return unwrap(
+        await supabase.from("clients").select(CLIENT_COLUMNS).order("name", { ascending: true })
+      ) || [];
+    },
+
+    async createClient(values) {
+      return unwrap(
+        await supabase.from("clients").insert(values).select(CLIENT_COLUMNS).single()
+      );
+    },
+
+    async updateClient(id, patch) {
+      unwrap(await supabase.from("clients").update(patch).eq("id", id));
+    },
+
+    async fetchClientBalance(account) {
+      const [row] = unwrap(await supabase.rpc("client_balance", { p_account: account })) || [];
+      // Converted sums carry the rates' extra digits; round to the fils.
+      const kwd = (v) => fromMinor(toMinor(v ?? 0));
+      return {
+        deposits: kwd(row?.deposits),
+        withdrawn: kwd(row?.withdrawn),
+        pending: kwd(row?.pending),
+        balance: kwd(row?.balance),
+      };
+    },
+
+    async fetchClientRows(table, account, { limit, offset = 0 }) {
+      let q = supabase
+        .from(table)
+        .select(table === "transactions" ? TRANSACTION_COLUMNS : WITHDRAWAL_COLUMNS)
+        .eq("client_account", account)
+        .order("created_at", { ascending: true })
+        .order("id");
+      if (limit) q = q.range(offset, offset + limit - 1);
+      return unwrap(await q) || [];
+    },
+
+    async listSchedules() {
+      return unwrap(
+        await supabase
+          .from("deposit_schedules")
+          .select(SCHEDULE_COLUMNS)
+          .order("active", { ascending: false })
+          .order("client_account", { ascending: true })
+      ) || [];
+    },
+
+    async createSchedule(values) {
+      const user_id = await getCurrentUserId();
+      return unwrap(
+        await supabase.from("deposit_schedules").insert({ ...values, user_id }).select(SCHEDULE_COLUMNS).single()
+      );
+    },
+
+    async updateSchedule(id, patch) {
+      return unwrap(
+        await supabase.from("deposit_schedules").update(patch).eq("id", id).select(SCHEDULE_COLUMNS).single()
+      );
+    },
+
+    async fetchExpectedDeposits({ from, to }) {
+      return unwrap(
+        await supabase
+          .from("expected_deposits")
+          .select(EXPECTED_COLUMNS)
+          .gte("due_date", from)
+          .lt("due_date", to)
+          .order("due_date", { ascending: true })
+      ) || [];
+    },
+
+    async generateExpectedDeposits(month, year) {
+      return unwrap(
+        await supabase.rpc("generate_expected_deposits", { p_year: year, p_month: month + 1 })
+      );
+    },
+
+    async listExchangeRates() {
+      return unwrap(
+        await supabase
+          .from("exchange_rates")
+          .select(RATE_COLUMNS)
+          .order("currency", { ascending: true })
+          .order("effective_date", { ascending: false })
+      ) || [];
+    },
+
+    async saveExchangeRates(rates) {
+      unwrap(
+        await supabase.from("exchange_rates").upsert(rates, { onConflict: "currency,effective_date" })
+      );
+    },
+
+    async deleteExchangeRate(id) {
+      unwrap(await supabase.from("exchange_rates").delete().eq("id", id));
+    },
+
+    async listTeams() {
+      return unwrap(await supabase.from("teams").select(TEAM_COLUMNS).order("name", { ascending: true })) || [];
+    },
+
+    async createTeam(name) {
+      return unwrap(await supabase.from("teams").insert({ name: name.trim() }).select(TEAM_COLUMNS).single());
+    },
+
+    async deleteTeam(id) {
+      unwrap(await supabase.from("teams").delete().eq("id", id));
+    },
+
+    async listTeamMembers() {
+      return unwrap(await supabase.from("team_members").select(TEAM_MEMBER_COLUMNS)) || [];
+    },
+
+    async setTeamMember(teamId, userId, role) {
+      unwrap(
+        await supabase
+          .from("team_members")
+          .upsert({ team_id: teamId, user_id: userId, role }, { onConflict: "team_id,user_id" })
+      );
+    },
+
+    async removeTeamMember(teamId, userId) {
+      unwrap(await supabase.from("team_members").delete().eq("team_id", teamId).eq("user_id", userId));
+    },
+
+    async fetchAuditLog(table, rowId) {
+      return unwrap(
+        await supabase
+          .from("audit_log")
+          .select("id, at, actor, action, before, after")
+          .eq("table_name", table)
+          .eq("row_id", String(rowId))
+          .order("at", { ascending: false })
+      ) || [];
+    },
+
+    async listAttachments(table, rowIds) {
+      return unwrap(
+        await supabase
+          .from("attachments")
+          .select(ATTACHMENT_COLUMNS)
+          .eq("table_name", table)
+          .in("row_id", rowIds)
+          .order("created_at", { ascending: true })
+      ) || [];
+    },
+
+    async uploadAttachment(table, rowId, file, thumbnail) {
+      const error = attachmentFileError(file);
+      if (error) throw new Error(error);
+      const path = attachmentPath(table, rowId, file.name);
+      const thumb_path = thumbnail ? `${path}.thumb.jpg` : null;
+      await store.put(path, file, file.type);
+      if (thumbnail) await store.put(thumb_path, thumbnail, "image/jpeg");
+      try {
+        return unwrap(
+          await supabase
+            .from("attachments")
+            .insert({
+              table_name: table,
+              row_id: rowId,
+              path,
+              thumb_path,
+              file_name: file.name,
+              content_type: file.type,
+              size: file.size,
+            })
+            .select(ATTACHMENT_COLUMNS)
+            .single()
+        );
+      } catch (e) {
+        await store.remove([path, thumb_path].filter(Boolean)).catch(() => {});
+        throw e;
+      }
+    },
+
+    attachmentUrl(path) {
+      return store.url(path);
+    },
+
+    async deleteAttachment(id) {
+      const [row] = unwrap(
+        await supabase.from("attachments").delete().eq("id", id).select("path, thumb_path")
+      ) || [];
+      if (!row) throw Object.assign(new Error("You cannot remove this attachment."), { code: "42501" });
+      await store.remove([row.path, row.thumb_path].filter(Boolean));
+    },
+
+    async fetchAttachmentThreshold() {
+      const row = unwrap(
+        await supabase.from("app_settings").select("value").eq("key", "attachment_required_above").maybeSingle()
+      );
+      return row?.value == null ? null : Number(row.value);
+    },
+
+    async setAttachmentThreshold(amount) {
+      unwrap(
+        await supabase
+          .from("app_settings")
+          .upsert({ key: "attachment_required_above", value: amount }, { onConflict: "key" })
+      );
+    },
+
+    async listNotifications({ limit = 50 } = {}) {
+      return unwrap(
+        await supabase
+          .from("notifications")
+          .select(NOTIFICATION_COLUMNS)
+          .order("created_at", { ascending: false })
+          .limit(limit)
+      );
+    },
+
+    async markNotificationsRead(ids) {
+      let query = supabase
+        .from("notifications")
+        .update({ read_at: new Date().toISOString() })
+        .is("read_at", null);
+      if (ids) query = query.in("id", ids);
+      unwrap(await query);
+    },
+
+    subscribeNotifications(onNotification) {
+      const channel = supabase
+        .channel(`notifications-${crypto.randomUUID()}`)
+        .on("postgres_changes", { event: "INSERT", schema: "public", table: "notifications" },
+          (payload) => onNotification(payload.new))
+        .subscribe();
+      return () => { supabase.removeChannel(channel); };
+    },
+  };
+}
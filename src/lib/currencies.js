@@ -0,0 +1,48 @@
+// Currencies amounts can be recorded in, and conversion to the KWD base that
+// all totals are reported in. to_base() in
+// supabase/migrations/0008_currencies.sql applies the same rate lookup, and
+// its callers pass an entry's Kuwait calendar day, as toBase() does
+// (0015_business_day_rates.sql).
+
+import { isoDate } from "./dates";
+import { BASE_CURRENCY, fromMinor, minorUnits, toMinor } from "./money";
+
+export { BASE_CURRENCY, CURRENCIES, CURRENCY_CODES, minorUnits } from "./money";
+
+/**
+ * KWD per unit of `code` in force on `date` ("YYYY-MM-DD"): the rate with
+ * the latest effective date on or before it. 1 for KWD, null if none.
+ * @param {import("./repository").ExchangeRate[]} rates
+ */
+export function rateOn(rates, code, date) {
+  if (!code || code === BASE_CURRENCY) return 1;
+  let best = null;
+  for (const r of rates) {
+    if (r.currency !== code || r.effective_date > date) continue;
+    if (!best || r.effective_date > best.effective_date) best = r;
+  }
+  return best ? Number(best.rate) : null;
+}
+
+/**
+ * A row's amount in KWD at the rate in force when it was recorded (or on
+ * `date`, for rows without a timestamp), rounded to the fils. Null when no
+ * rate is known.
+ */
+export function toBase(row, rates, date) {
+  const code = row.currency || BASE_CURRENCY;
+  if (code === BASE_CURRENCY) return fromMinor(toMinor(row.amount));
+  const rate = rateOn(rates, code, date ?? isoDate(new Date(row.created_at)));
+  if (rate == null) return null;
+  const fils = toMinor(row.amount, code) * rate * 10 ** (minorUnits(BASE_CURRENCY) - minorUnits(code));
+  return fromMinor(Math.round(fils));
+}
+
+/** Currencies among `rows` that have no rate for some row's date. */
+export function missingRates(rows, rates) {
+  const missing = new Set();
+  for (const r of rows) {
+    if (toBase(r, rates) == null) missing.add(r.currency);
+  }
+  return [...missing].sort();
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { missingRates, rateOn, toBase } from "./currencies";
+
+const rates = [
+  { currency: "USD", rate: 0.3, effective_date: "2026-01-01" },
+  { currency: "USD", rate: 0.31, effective_date: "2026-02-01" },
+];
+
+describe("rateOn", () => {
+  it("picks the latest rate in force on the date", () => {
+    expect(rateOn(rates, "USD", "2026-01-31")).toBe(0.3);
+    expect(rateOn(rates, "USD", "2026-02-01")).toBe(0.31);
+  });
+
+  it("is 1 for KWD and null before any rate", () => {
+    expect(rateOn(rates, "KWD", "2020-01-01")).toBe(1);
+    expect(rateOn(rates, "USD", "2025-12-31")).toBeNull();
+    expect(rateOn(rates, "EUR", "2026-03-01")).toBeNull();
+  });
+});
+
+describe("toBase", () => {
+  it("converts at the rate of the entry's Kuwait day, rounded to the fils", () => {
+    // 22:30 UTC on Jan 31 is already Feb 1 in Kuwait.
+    expect(toBase({ amount: 10.01, currency: "USD", created_at: "2026-01-31T22:30:00Z" }, rates)).toBe(3.103);
+    expect(toBase({ amount: 10.01, currency: "USD", created_at: "2026-01-31T12:00:00Z" }, rates)).toBe(3.003);
+  });
+
+  it("returns KWD amounts as they are and null without a rate", () => {
+    expect(toBase({ amount: 5.5, currency: "KWD" }, rates)).toBe(5.5);
+    expect(toBase({ amount: 5, currency: "EUR", created_at: "2026-03-01T00:00:00Z" }, rates)).toBeNull();
+  });
+
+  it("uses an explicit date for rows without a timestamp", () => {
+    expect(toBase({ amount: 100, currency: "USD" }, rates, "2026-01-15")).toBe(30);
+  });
+});
+
+describe("missingRates", () => {
+  it("lists currencies without a rate for some row", () => {
+    const rows = [
+      { amount: 1, currency: "USD", created_at: "2025-06-01T00:00:00Z" },
+      { amount: 1, currency: "EUR", created_at: "2026-06-01T00:00:00Z" },
+      { amount: 1, currency: "KWD", created_at: "2026-06-01T00:00:00Z" },
+    ];
+    expect(missingRates(rows, rates)).toEqual(["EUR", "USD"]);
+  });
+});
@@ -0,0 +1,71 @@
+// Manager dashboard calculations: period-over-period deltas, leaderboards
+// and pending-withdrawal aging. Amounts are KWD as in ./ledger.js.
+
+import { addDays, monthBounds, wholeMonth } from "./dates";
+import { baseAmount } from "./ledger";
+import { subtractAmounts, sumAmounts } from "./money";
+import { isVoided } from "./voids";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The period a range is compared against: the previous calendar month for
+ * a whole month, otherwise the same number of days just before `from`.
+ */
+export function previousRange({ from, to }) {
+  const month = wholeMonth({ from, to });
+  if (month) return monthBounds(month.month - 1, month.year);
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+  return { from: addDays(from, -days), to: addDays(from, -1) };
+}
+
+/**
+ * Change from `previous` to `current`: `{ change, pct }`, where `pct` is
+ * null when there is nothing to compare against.
+ */
+export function delta(current, previous) {
+  return {
+    change: subtractAmounts(current, previous),
+    pct: previous ? ((current - previous) / Math.abs(previous)) * 100 : null,
+  };
+}
+
+/**
+ * The `limit` employees with the highest `key` ("inTotal", "net", ...) in a
+ * perEmployeeTotals() map, as `[{ userId, value }]`. Zeros are left out.
+ */
+export function leaderboard(totals, key, limit = 5) {
+  return Array.from(totals, ([userId, t]) => ({ userId, value: t[key] }))
+    .filter(e => e.value > 0)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit);
+}
+
+export const AGING_BUCKETS = [
+  { label: "Under 3 days", maxDays: 2 },
+  { label: "3–7 days", maxDays: 7 },
+  { label: "8–30 days", maxDays: 30 },
+  { label: "Over 30 days", maxDays: Infinity },
+];
+
+/** Whole days `row` has been waiting at `now`. */
+export const ageInDays = (row, now = new Date()) =>
+  Math.max(0, Math.floor((now.getTime() - Date.parse(row.created_at)) / DAY_MS));
+
+/**
+ * Open withdrawal requests, oldest first, each with `ageDays`, plus a count
+ * and KWD total per AGING_BUCKETS entry.
+ */
+export function pendingAging(wd, rates = [], now = new Date()) {
+  const rows = wd
+    .filter(w => w.status === "pending" && !isVoided(w))
+    .map(w => ({ ...w, ageDays: ageInDays(w, now) }))
+    .sort((a, b) => b.ageDays - a.ageDays || (a.created_at < b.created_at ? -1 : 1));
+  const buckets = AGING_BUCKETS.map(b => ({ ...b, count: 0, total: 0 }));
+  for (const w of rows) {
+    const b = buckets.find(x => w.ageDays <= x.maxDays);
+    b.count += 1;
+    b.total = sumAmounts([b.total, baseAmount(w, rates)]);
+  }
+  return { rows, buckets };
+}
@@ -0,0 +1,88 @@
+// Search, filter, sort and paging for DataTable (../components/DataTable.jsx).
+// Pure functions over already-loaded rows; the component only holds state.
+
+/**
+ * @typedef {Object} TableColumn
+ * @property {string} key
+ * @property {import("react").ReactNode} header
+ * @property {(row: any) => import("react").ReactNode} render
+ * @property {(row: any) => string|number} [sortValue] makes the column sortable
+ *
+ * @typedef {Object} TableFilter
+ * @property {string} key
+ * @property {string} label                          shown as the "any" option
+ * @property {{ value: string, label: string }[]} options
+ * @property {(row: any) => string} value            compared with the chosen option
+ *
+ * @typedef {Object} TableState
+ * @property {string} query                          free text
+ * @property {Record<string, string>} filters        filter key -> chosen value ("" = any)
+ * @property {string} min                            amount range, as typed
+ * @property {string} max
+ * @property {{ key: string, dir: "asc"|"desc" }|null} sort
+ * @property {number} page                           0-based
+ */
+
+const norm = (s) => String(s ?? "").toLocaleLowerCase().trim();
+
+/**
+ * Rows matching the free-text query (every word must appear in
+ * `searchText(row)`), the chosen filters and the amount range.
+ * @param {any[]} rows
+ * @param {TableState} state
+ * @param {{ searchText?: (row: any) => string, filters?: TableFilter[], amountOf?: (row: any) => number }} spec
+ */
+export function filterRows(rows, state, { searchText, filters = [], amountOf }) {
+  const words = norm(state.query).split(/\s+/).filter(Boolean);
+  const active = filters.filter(f => state.filters[f.key]);
+  const min = state.min.trim() === "" ? null : Number(state.min);
+  const max = state.max.trim() === "" ? null : Number(state.max);
+  return rows.filter(row => {
+    if (words.length && searchText) {
+      const text = norm(searchText(row));
+      if (!words.every(w => text.includes(w))) return false;
+    }
+    if (!active.every(f => f.value(row) === state.filters[f.key])) return false;
+    if (amountOf && (min != null || max != null)) {
+      const amount = amountOf(row);
+      if (min != null && !(amount >= min)) return false;
+      if (max != null && !(amount <= max)) return false;
+    }
+    return true;
+  });
+}
+
+/** Stable sort by a column's sortValue; rows keep their order on ties. */
+export function sortRows(rows, columns, sort) {
+  const column = sort && columns.find(c => c.key === sort.key);
+  if (!column?.sortValue) return rows;
+  const sign = sort.dir === "desc" ? -1 : 1;
+  return rows
+    .map((row, i) => ({ row, i, v: column.sortValue(row) }))
+    .sort((a, b) => {
+      if (a.v === b.v) return a.i - b.i;
+      if (a.v == null) return 1;
+      if (b.v == null) return -1;
+      const cmp = typeof a.v === "number" && typeof b.v === "number"
+        ? a.v - b.v
+        : String(a.v).localeCompare(String(b.v));
+      return cmp * sign || a.i - b.i;
+    })
+    .map(x => x.row);
+}
+
+/** Next sort after clicking column `key`: ascending, descending, then off. */
+export function nextSort(sort, key) {
+  if (!sort || sort.key !== key) return { key, dir: "asc" };
+  return sort.dir === "asc" ? { key, dir: "desc" } : null;
+}
+
+/**
+ * One page of `rows`, with `page` clamped to the last page.
+ * @returns {{ rows: any[], page: number, pageCount: number }}
+ */
+export function paginate(rows, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const p = Math.min(Math.max(0, page), pageCount - 1);
+  return { rows: rows.slice(p * pageSize, (p + 1) * pageSize), page: p, pageCount };
+}
@@ -0,0 +1,104 @@
+// Calendar-date helpers. The business runs on Kuwait time, so calendar days
+// and month boundaries are taken in Asia/Kuwait whatever the viewer's time
+// zone; totals for a month are then the same everywhere. Dates without a
+// time are "YYYY-MM-DD" strings, which compare correctly as strings.
+
+export const BUSINESS_TIME_ZONE = "Asia/Kuwait";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const partsFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: BUSINESS_TIME_ZONE,
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  second: "numeric",
+  hourCycle: "h23",
+});
+
+/** Wall-clock parts of instant `d` in Kuwait; `month` is 0-11. */
+export function businessParts(d = new Date()) {
+  const p = Object.fromEntries(partsFormat.formatToParts(d).map(x => [x.type, Number(x.value)]));
+  return { year: p.year, month: p.month - 1, day: p.day, hour: p.hour, minute: p.minute, second: p.second };
+}
+
+/** "YYYY-MM-DD" of instant `d` in Kuwait. */
+export const isoDate = (d = new Date()) => {
+  const { year, month, day } = businessParts(d);
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+};
+
+/** "YYYY-MM-DD" for a calendar day; month is 0-11 and may overflow. */
+export const calendarDate = (year, month, day = 1) => {
+  const d = new Date(Date.UTC(year, month, day));
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+/** `date` ("YYYY-MM-DD") moved by `days`. */
+export function addDays(date, days) {
+  const [y, m, d] = date.split("-").map(Number);
+  return calendarDate(y, m - 1, d + days);
+}
+
+/** ISO timestamp of midnight starting `date` ("YYYY-MM-DD") in Kuwait. */
+export function businessMidnight(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  const asUtc = Date.UTC(y, m - 1, d);
+  const offsetAt = (t) => {
+    const p = businessParts(new Date(t));
+    return Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) - t;
+  };
+  // Second pass settles days where the offset changes (Kuwait has none today).
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess)).toISOString();
+}
+
+/**
+ * ISO timestamp bounds for the Kuwait calendar days `from`..`to` (both
+ * "YYYY-MM-DD", inclusive); `end` is exclusive.
+ */
+export function dayRange(from, to) {
+  return { start: businessMidnight(from), end: businessMidnight(addDays(to, 1)) };
+}
+
+/** First and last day of month (0-11) of `year`, as "YYYY-MM-DD". */
+export function monthBounds(month, year) {
+  return { from: calendarDate(year, month, 1), to: calendarDate(year, month + 1, 0) };
+}
+
+/** Range presets offered by the date-range picker. */
+export const RANGE_PRESETS = [
+  { key: "month", label: "This month" },
+  { key: "last-month", label: "Last month" },
+  { key: "qtd", label: "Quarter to date" },
+  { key: "ytd", label: "Year to date" },
+  { key: "90d", label: "Last 90 days" },
+  { key: "custom", label: "Custom range" },
+];
+
+/**
+ * `{ from, to }` for a preset, relative to `today` ("YYYY-MM-DD", Kuwait).
+ * Null for "custom".
+ */
+export function presetRange(key, today = isoDate()) {
+  const [y, m] = today.split("-").map(Number);
+  const month = m - 1;
+  switch (key) {
+    case "month": return monthBounds(month, y);
+    case "last-month": return monthBounds(month - 1, y);
+    case "qtd": return { from: calendarDate(y, month - (month % 3), 1), to: today };
+    case "ytd": return { from: calendarDate(y, 0, 1), to: today };
+    case "90d": return { from: addDays(today, -89), to: today };
+    default: return null;
+  }
+}
+
+/** The month (0-11) and year `{ from, to }` covers exactly, or null. */
+export function wholeMonth({ from, to }) {
+  const [y, m, d] = from.split("-").map(Number);
+  if (d !== 1) return null;
+  const bounds = monthBounds(m - 1, y);
+  return to === bounds.to ? { month: m - 1, year: y } : null;
+}
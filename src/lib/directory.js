@@ -0,0 +1,49 @@
+// Employee directory: display names and emails by user id, fetched through
+// fetchDirectory() (employee_directory() in
+// supabase/migrations/0011_employee_directory.sql) and cached for the
+// session. Every screen and export labels people through this module.
+
+import { onAuthStateChange } from "./auth";
+import { fetchDirectory } from "./repository";
+
+/** @type {Map<string, Promise<import("./repository").DirectoryEntry|null>>} */
+const cache = new Map();
+
+// A different user may see different emails; start over on every sign-in or out.
+onAuthStateChange(() => cache.clear());
+
+/**
+ * Directory entries for `ids`, fetching only the ones not cached yet.
+ * Resolves to a record of id -> entry; unknown ids map to null.
+ * @param {string[]} ids
+ */
+export async function resolveEmployees(ids) {
+  const wanted = Array.from(new Set(ids.filter(Boolean)));
+  const missing = wanted.filter(id => !cache.has(id));
+  if (missing.length) {
+    const batch = fetchDirectory(missing);
+    for (const id of missing) {
+      cache.set(id, batch.then(rows => rows.find(r => r.id === id) ?? null));
+    }
+    // Failed lookups are retried next time rather than cached.
+    batch.catch(() => missing.forEach(id => cache.delete(id)));
+  }
+  const entries = await Promise.all(wanted.map(id => cache.get(id)));
+  return Object.fromEntries(wanted.map((id, i) => [id, entries[i]]));
+}
+
+/** Drops a cached entry, e.g. after the user renames themselves. */
+export function forgetEmployee(id) {
+  cache.delete(id);
+}
+
+/** The label for a user: display name, else email, else a short id. */
+export function employeeLabel(entry, id) {
+  return entry?.display_name || entry?.email || (id ? `${id.slice(0, 8)}…` : "-");
+}
+
+/** Resolves `ids` to a record of id -> label, for exports. */
+export async function employeeLabels(ids) {
+  const entries = await resolveEmployees(ids);
+  return Object.fromEntries(Object.entries(entries).map(([id, e]) => [id, employeeLabel(e, id)]));
+}
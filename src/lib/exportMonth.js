@@ -0,0 +1,94 @@
+import Papa from "papaparse";
+import { saveAs } from "file-saver";
+import { toBase } from "./currencies";
+import { isVoided } from "./voids";
+import { wholeMonth } from "./dates";
+import { formatDecimal, subtractAmounts } from "./money";
+
+const COLUMNS = [
+  "Type",
+  "Date",
+  "Employee",
+  "Amount",
+  "Currency",
+  "Amount (KWD)",
+  "Client name",
+  "Client account",
+  "Period",
+  "Status",
+  "Note",
+];
+
+const amount = (n, code) => formatDecimal(n, code);
+
+/**
+ * Builds the IN/OUT ledger for the selected range as CSV text.
+ * `names` maps user_id -> display name; unknown ids fall back to the raw id.
+ * The totals footer mirrors the Metric cards (KWD), so `outTotal` must
+ * already respect the "Count pending OUT" toggle. The KWD column is blank
+ * for rows with no exchange rate.
+ */
+export function buildMonthCsv({ inRows, outRows, names = {}, inTotal, outTotal, includePending, rates = [] }) {
+  const employee = (uid) => names[uid] || uid || "";
+  const kwd = (r) => {
+    const v = toBase(r, rates);
+    return v == null ? "" : amount(v);
+  };
+
+  const rows = [
+    ...inRows.map((r) => [
+      "IN",
+      new Date(r.created_at).toISOString(),
+      employee(r.user_id),
+      amount(r.amount, r.currency),
+      r.currency || "",
+      kwd(r),
+      r.client_name || "",
+      r.client_account || "",
+      r.period || "",
+      isVoided(r) ? "voided" : "",
+      r.note || "",
+    ]),
+    ...outRows.map((r) => [
+      "OUT",
+      new Date(r.created_at).toISOString(),
+      employee(r.user_id),
+      amount(r.amount, r.currency),
+      r.currency || "",
+      kwd(r),
+      r.client_name || "",
+      r.client_account || "",
+      "",
+      isVoided(r) ? "voided" : r.status || "",
+      r.note || "",
+    ]),
+  ];
+
+  const blank = COLUMNS.map(() => "");
+  const footer = (label, value) => {
+    const row = [...blank];
+    row[0] = label;
+    row[5] = amount(value);
+    return row;
+  };
+
+  return Papa.unparse({
+    fields: COLUMNS,
+    data: [
+      ...rows,
+      blank,
+      footer("Total IN", inTotal),
+      footer(`Total OUT ${includePending ? "(approved+pending)" : "(approved)"}`, outTotal),
+      footer("Net Profit", subtractAmounts(inTotal, outTotal)),
+    ],
+  });
+}
+
+/** Saves the ledger for days `from`..`to`; a whole month keeps the inout-YYYY-MM name. */
+export function exportMonthCsv({ from, to, ...rest }) {
+  const csv = buildMonthCsv(rest);
+  const name = wholeMonth({ from, to }) ? from.slice(0, 7) : `${from}_${to}`;
+  // BOM so Excel opens the file as UTF-8 (client names may be Arabic).
+  const blob = new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" });
+  saveAs(blob, `inout-${name}.csv`);
+}
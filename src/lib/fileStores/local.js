@@ -0,0 +1,43 @@
+const FILE_KEY = "inout.local.file:";
+
+async function toDataUrl(blob, contentType) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${contentType || blob.type || "application/octet-stream"};base64,${btoa(binary)}`;
+}
+
+/**
+ * File store for the local backend. Files are kept as data URLs in memory
+ * and, when a Storage is given and has room, persisted across reloads.
+ * @param {Object} [options]
+ * @param {Storage|null} [options.storage]
+ * @returns {import("../backend").FileStore}
+ */
+export function createLocalFileStore({ storage = null } = {}) {
+  const files = new Map();
+  return {
+    async put(path, blob, contentType) {
+      const url = await toDataUrl(blob, contentType);
+      files.set(path, url);
+      try {
+        storage?.setItem(FILE_KEY + path, url);
+      } catch {
+        // Quota exceeded: keep it for this session only.
+      }
+    },
+    async url(path) {
+      const url = files.get(path) ?? storage?.getItem(FILE_KEY + path);
+      if (!url) throw new Error("This file is no longer in the local store.");
+      return url;
+    },
+    async remove(paths) {
+      for (const path of paths) {
+        files.delete(path);
+        storage?.removeItem(FILE_KEY + path);
+      }
+    },
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * File store over a private Supabase Storage bucket. Access rules are the
+ * storage.objects policies in supabase/migrations/0012_attachments.sql.
+ * @returns {import("../backend").FileStore}
+ */
+export function createSupabaseFileStore(supabase, bucket = "attachments") {
+  const files = () => supabase.storage.from(bucket);
+  return {
+    async put(path, blob, contentType) {
+      const { error } = await files().upload(path, blob, { contentType, upsert: false });
+      if (error) throw error;
+    },
+    async url(path) {
+      const { data, error } = await files().createSignedUrl(path, 60 * 60);
+      if (error) throw error;
+      return data.signedUrl;
+    },
+    async remove(paths) {
+      const { error } = await files().remove(paths);
+      if (error) throw error;
+    },
+  };
+}
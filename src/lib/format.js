@@ -0,0 +1,14 @@
+import { BASE_CURRENCY, minorUnits } from "./currencies";
+
+/**
+ * Formats an amount with its currency's minor-unit precision. The code is
+ * shown for KWD only when `showKwd` is on, and always for other currencies.
+ */
+export const currency = (n, showKwd, code = BASE_CURRENCY) => {
+  const digits = minorUnits(code);
+  const prefix = showKwd || code !== BASE_CURRENCY ? `${code} ` : "";
+  return `${prefix}${Number(n || 0).toLocaleString(undefined, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  })}`;
+};
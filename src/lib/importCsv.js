@@ -0,0 +1,121 @@
+import Papa from "papaparse";
+import { BASE_CURRENCY, CURRENCIES } from "./currencies";
+import { parseAmount } from "./money";
+
+export const PERIODS = ["monthly", "yearly"];
+
+// Header spellings we accept for each field, compared after normalising
+// (lower-case, spaces/dashes -> underscores).
+const ALIASES = {
+  amount: ["amount", "amt", "value"],
+  currency: ["currency", "ccy", "currency_code"],
+  client_account: ["client_account", "account", "account_number", "client_account_#", "account_#", "acc"],
+  client_name: ["client_name", "name", "client"],
+  period: ["period", "preference", "frequency"],
+  note: ["note", "notes", "memo", "comment"],
+};
+
+const normalise = (h) => String(h || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+function mapHeaders(fields) {
+  const map = {};
+  for (const field of fields) {
+    const key = normalise(field);
+    const target = Object.keys(ALIASES).find((t) => ALIASES[t].includes(key));
+    if (target && !(target in map)) map[target] = field;
+  }
+  return map;
+}
+
+/**
+ * Validates one CSV record for the given kind ("IN" -> transactions,
+ * "OUT" -> withdrawals). Mirrors the checks addIN/addOUT apply to the forms.
+ * Returns { value, errors }; `value` is insert-ready when errors is empty.
+ */
+export function validateImportRow(record, kind) {
+  const errors = [];
+  const client_account = String(record.client_account ?? "").trim();
+  const client_name = String(record.client_name ?? "").trim();
+  const note = String(record.note ?? "").trim();
+  const rawPeriod = String(record.period ?? "").trim().toLowerCase();
+  const code = String(record.currency ?? "").trim().toUpperCase() || BASE_CURRENCY;
+
+  const known = code in CURRENCIES;
+  if (!known) errors.push(`Unknown currency "${record.currency}"`);
+  const { amount, error } = parseAmount(record.amount, known ? code : BASE_CURRENCY);
+  if (error) errors.push(error);
+
+  if (!client_account) errors.push("Client account is required");
+
+  const value = {
+    amount,
+    currency: code,
+    client_account,
+    client_name: client_name || null,
+    note: note || null,
+  };
+
+  if (kind === "IN") {
+    const period = rawPeriod || "monthly";
+    if (!PERIODS.includes(period)) errors.push(`Unknown period "${record.period}"`);
+    value.period = period;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Parses a CSV File and validates every data row.
+ * Resolves to { rows: [{ line, record, value, errors }], missing: [field] }.
+ */
+export function parseImportFile(file, kind) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: "greedy",
+      complete: ({ data, meta }) => {
+        const headers = mapHeaders(meta.fields || []);
+        const missing = ["amount", "client_account"].filter((f) => !headers[f]);
+        const rows = data.map((raw, i) => {
+          const record = Object.fromEntries(
+            Object.entries(headers).map(([target, source]) => [target, raw[source]])
+          );
+          // line 1 is the header row
+          return { line: i + 2, record, ...validateImportRow(record, kind) };
+        });
+        resolve({ rows, missing });
+      },
+      error: reject,
+    });
+  });
+}
+
+/**
+ * Parses an exchange-rate CSV with columns currency, rate (KWD per unit)
+ * and effective_date (YYYY-MM-DD).
+ * Resolves to { rows: [{ line, value, errors }], missing: [field] }.
+ */
+export function parseRatesFile(file) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: "greedy",
+      transformHeader: normalise,
+      complete: ({ data, meta }) => {
+        const missing = ["currency", "rate", "effective_date"].filter((f) => !(meta.fields || []).includes(f));
+        const rows = data.map((raw, i) => {
+          const errors = [];
+          const code = String(raw.currency ?? "").trim().toUpperCase();
+          const rawRate = String(raw.rate ?? "").trim();
+          const effective_date = String(raw.effective_date ?? "").trim();
+          if (!(code in CURRENCIES) || code === BASE_CURRENCY) errors.push(`Unsupported currency "${raw.currency ?? ""}"`);
+          if (!/^\d+(\.\d+)?$/.test(rawRate) || !(Number(rawRate) > 0)) errors.push(`Rate "${rawRate}" is not a positive number`);
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(effective_date)) errors.push(`Date "${effective_date}" is not YYYY-MM-DD`);
+          return { line: i + 2, value: { currency: code, rate: Number(rawRate), effective_date }, errors };
+        });
+        resolve({ rows, missing });
+      },
+      error: reject,
+    });
+  });
+}
@@ -0,0 +1,92 @@
+// Pure ledger calculations shared by the screens and exports. Totals are in
+// the KWD base currency; pass the exchange rates (see ./currencies.js). All
+// arithmetic goes through ./money.js. Voided rows (./voids.js) never count.
+
+import { toBase } from "./currencies";
+import { dayRange, monthBounds } from "./dates";
+import { subtractAmounts, sumAmounts } from "./money";
+import { isVoided } from "./voids";
+
+/** ISO bounds of a calendar month (0-11) in Kuwait time; `end` is exclusive. */
+export function monthStartEnd(month, year) {
+  const { from, to } = monthBounds(month, year);
+  return dayRange(from, to);
+}
+
+/** Does a deposit count towards IN totals? */
+export const countsAsIn = (t) => !isVoided(t);
+
+/**
+ * Does a withdrawal count towards OUT totals under the "Count pending OUT"
+ * toggle? Rejected, cancelled and voided ones never do.
+ */
+export const countsAsOut = (w, includePending) =>
+  !isVoided(w) && (w.status === "approved" || (includePending && w.status === "pending"));
+
+/**
+ * A row's amount in KWD. Rows in a currency with no rate yet count as 0;
+ * screens warn about them with missingRates().
+ */
+export const baseAmount = (r, rates = []) => toBase(r, rates) ?? 0;
+
+export const sumIn = (rows, rates) => sumAmounts(rows.filter(countsAsIn).map(r => baseAmount(r, rates)));
+
+export const sumOut = (rows, includePending, rates) =>
+  sumAmounts(rows.filter(r => countsAsOut(r, includePending)).map(r => baseAmount(r, rates)));
+
+/**
+ * Withdrawal `w` against a client's balance `b` (from fetchClientBalance()),
+ * in KWD: its `amount` (null without a rate) and what is `available` to it,
+ * the balance less the `otherPending` requests. A pending `w`, i.e. one
+ * being approved, is already in `b.pending` and is not counted twice.
+ * @param {string} [date]  for rows without created_at, as in toBase()
+ */
+export function withdrawalHeadroom(b, w, rates = [], date) {
+  const amount = toBase(w, rates, date);
+  const own = w.status === "pending" && !isVoided(w) ? amount ?? 0 : 0;
+  const otherPending = subtractAmounts(b.pending, own);
+  return { amount, available: subtractAmounts(b.balance, otherPending), otherPending };
+}
+
+/**
+ * KPIs per employee: Map<user_id, { inTotal, outTotal, net, pendingCount }>.
+ * `pendingCount` counts open requests whatever `includePending` says.
+ */
+export function perEmployeeTotals(tx, wd, includePending = false, rates = []) {
+  const map = new Map();
+  const get = (uid) => {
+    if (!map.has(uid)) map.set(uid, { inTotal: 0, outTotal: 0, net: 0, pendingCount: 0 });
+    return map.get(uid);
+  };
+  const add = (uid, key, row) => {
+    const r = get(uid);
+    r[key] = sumAmounts([r[key], baseAmount(row, rates)]);
+  };
+  tx.filter(countsAsIn).forEach(t => add(t.user_id, "inTotal", t));
+  wd.filter(w => countsAsOut(w, includePending)).forEach(w => add(w.user_id, "outTotal", w));
+  wd.filter(w => !isVoided(w) && w.status === "pending").forEach(w => { get(w.user_id).pendingCount += 1; });
+  for (const r of map.values()) r.net = subtractAmounts(r.inTotal, r.outTotal);
+  return map;
+}
+
+/**
+ * A client's deposits and withdrawals in date order with a running KWD
+ * balance. Only approved withdrawals reduce the balance; other withdrawals
+ * and voided rows are listed with `effect: 0`.
+ */
+export function clientLedgerLines(transactions, withdrawals, rates = []) {
+  const lines = [
+    ...transactions.map(t => ({ ...t, kind: "IN", effect: countsAsIn(t) ? baseAmount(t, rates) : 0 })),
+    ...withdrawals.map(w => ({
+      ...w,
+      kind: "OUT",
+      effect: countsAsOut(w, false) ? -baseAmount(w, rates) : 0,
+    })),
+  ].sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0));
+
+  let balance = 0;
+  return lines.map(l => {
+    balance = sumAmounts([balance, l.effect]);
+    return { ...l, balance };
+  });
+}
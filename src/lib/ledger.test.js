@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { withdrawalHeadroom } from "./ledger";
+
+const balance = { deposits: 1000, withdrawn: 0, pending: 600, balance: 1000 };
+
+describe("withdrawalHeadroom", () => {
+  it("does not count a pending request being approved twice", () => {
+    const w = { amount: 600, currency: "KWD", status: "pending", created_at: "2026-03-01T10:00:00Z" };
+    expect(withdrawalHeadroom(balance, w)).toEqual({ amount: 600, available: 1000, otherPending: 0 });
+  });
+
+  it("subtracts every pending request from a new one", () => {
+    const w = { amount: 500, currency: "KWD" };
+    expect(withdrawalHeadroom(balance, w, [], "2026-03-01")).toEqual({ amount: 500, available: 400, otherPending: 600 });
+  });
+
+  it("converts to KWD and reports a missing rate as null", () => {
+    const w = { amount: 1000, currency: "USD", status: "pending", created_at: "2026-03-01T10:00:00Z" };
+    const rates = [{ currency: "USD", rate: 0.3, effective_date: "2026-01-01" }];
+    expect(withdrawalHeadroom({ ...balance, pending: 900 }, w, rates))
+      .toEqual({ amount: 300, available: 400, otherPending: 600 });
+    expect(withdrawalHeadroom(balance, w, []).amount).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+// Exact money arithmetic. Amounts travel as plain numbers (or decimal strings
+// from inputs and files) with at most their currency's minor-unit digits;
+// every sum and difference is done on integer minor units (fils for KWD), so
+// totals cannot drift however many rows are added.
+
+export const BASE_CURRENCY = "KWD";
+
+/** Minor-unit digits per currency (ISO 4217). */
+export const CURRENCIES = { KWD: 3, USD: 2, EUR: 2, SAR: 2 };
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+export const minorUnits = (code) => CURRENCIES[code || BASE_CURRENCY] ?? 2;
+
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Integer minor units for an amount. Decimal strings are read digit by
+ * digit; extra digits round half away from zero.
+ * @param {number|string|null|undefined} amount
+ */
+export function toMinor(amount, code = BASE_CURRENCY) {
+  const digits = minorUnits(code);
+  const text = typeof amount === "string" ? amount.trim() : String(amount ?? 0);
+  const m = DECIMAL.exec(text);
+  if (!m || (!m[2] && !m[3])) {
+    // e.g. "1e-7"; not something a form or the database produces.
+    return Math.round(Number(text) * 10 ** digits) || 0;
+  }
+  const [, sign, whole, frac = ""] = m;
+  let minor = Number(whole || 0) * 10 ** digits + Number(frac.slice(0, digits).padEnd(digits, "0"));
+  if (Number(frac[digits] || 0) >= 5) minor += 1;
+  return sign === "-" ? -minor : minor;
+}
+
+/** The amount for `minor` units, as a number with at most the currency's digits. */
+export const fromMinor = (minor, code = BASE_CURRENCY) => minor / 10 ** minorUnits(code);
+
+/** Exact sum of amounts in one currency. */
+export const sumAmounts = (amounts, code = BASE_CURRENCY) =>
+  fromMinor(amounts.reduce((s, a) => s + toMinor(a, code), 0), code);
+
+/** Exact `a - b`. */
+export const subtractAmounts = (a, b, code = BASE_CURRENCY) =>
+  fromMinor(toMinor(a, code) - toMinor(b, code), code);
+
+/** Fixed-point text, e.g. "12.500" for KWD; used by exports. */
+export function formatDecimal(amount, code = BASE_CURRENCY) {
+  const digits = minorUnits(code);
+  const minor = toMinor(amount, code);
+  const abs = String(Math.abs(minor)).padStart(digits + 1, "0");
+  const whole = abs.slice(0, abs.length - digits);
+  const frac = digits ? `.${abs.slice(-digits)}` : "";
+  return `${minor < 0 ? "-" : ""}${whole}${frac}`;
+}
+
+/**
+ * Validates amount input from a form or file: a positive decimal with no
+ * more digits after the point than the currency allows. Thousands
+ * separators are ignored.
+ * @returns {{ amount: number|null, error: string|null }}
+ */
+export function parseAmount(input, code = BASE_CURRENCY) {
+  const text = String(input ?? "").trim().replace(/,/g, "");
+  if (!text) return { amount: null, error: "Amount is required" };
+  const m = /^-?\d*(?:\.(\d*))?$/.exec(text);
+  if (!m || !/\d/.test(text)) return { amount: null, error: `Amount "${input}" is not a number` };
+  const digits = minorUnits(code);
+  if ((m[1] || "").length > digits) {
+    return { amount: null, error: `${code} amounts allow at most ${digits} decimal${digits === 1 ? "" : "s"}` };
+  }
+  const minor = toMinor(text, code);
+  if (minor <= 0) return { amount: null, error: "Amount must be greater than zero" };
+  return { amount: fromMinor(minor, code), error: null };
+}
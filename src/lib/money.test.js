@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { formatDecimal, parseAmount, subtractAmounts, sumAmounts, toMinor } from "./money";
+
+describe("toMinor", () => {
+  it("reads decimal strings digit by digit", () => {
+    expect(toMinor("12.345")).toBe(12345);
+    expect(toMinor("0.1", "USD")).toBe(10);
+    expect(toMinor(" -3.5 ")).toBe(-3500);
+  });
+
+  it("rounds extra digits half away from zero", () => {
+    expect(toMinor("1.0005")).toBe(1001);
+    expect(toMinor("1.0004")).toBe(1000);
+    expect(toMinor("-1.0005")).toBe(-1001);
+  });
+
+  it("treats null and empty as zero", () => {
+    expect(toMinor(null)).toBe(0);
+    expect(toMinor(undefined)).toBe(0);
+  });
+});
+
+describe("sumAmounts / subtractAmounts", () => {
+  it("does not drift like float addition", () => {
+    expect(sumAmounts([0.1, 0.2], "USD")).toBe(0.3);
+    expect(sumAmounts(Array(1000).fill(0.001))).toBe(1);
+    expect(subtractAmounts(1, 0.999)).toBe(0.001);
+  });
+});
+
+describe("formatDecimal", () => {
+  it("pads to the currency's digits", () => {
+    expect(formatDecimal(12.5)).toBe("12.500");
+    expect(formatDecimal(0.05, "USD")).toBe("0.05");
+    expect(formatDecimal(-0.007)).toBe("-0.007");
+  });
+});
+
+describe("parseAmount", () => {
+  it("accepts positive amounts and ignores thousands separators", () => {
+    expect(parseAmount("1,234.5")).toEqual({ amount: 1234.5, error: null });
+  });
+
+  it("rejects too many decimals for the currency", () => {
+    expect(parseAmount("1.234", "USD").error).toBe("USD amounts allow at most 2 decimals");
+    expect(parseAmount("1.234").error).toBeNull();
+  });
+
+  it("rejects empty, non-numeric and non-positive input", () => {
+    expect(parseAmount("").error).toBe("Amount is required");
+    expect(parseAmount("abc").error).toBe('Amount "abc" is not a number');
+    expect(parseAmount("0").error).toBe("Amount must be greater than zero");
+    expect(parseAmount("-5").error).toBe("Amount must be greater than zero");
+  });
+});
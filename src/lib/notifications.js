@@ -0,0 +1,67 @@
+// Notifications about withdrawal requests. The database raises them from
+// triggers (supabase/migrations/0013_notifications.sql) and an outbound
+// channel mails or posts them (supabase/functions/notify-outbound/); the
+// local backend raises the same ones through this module and hands them to
+// a channel from ./notifyChannels/.
+
+import { formatDecimal } from "./money";
+import { isVoided } from "./voids";
+
+/**
+ * @typedef {"withdrawal_requested" | "withdrawal_approved" | "withdrawal_rejected" | "withdrawal_overdue"} NotificationKind
+ *
+ * @typedef {Object} Notification
+ * @property {string} id
+ * @property {string} user_id           recipient
+ * @property {NotificationKind} kind
+ * @property {string|null} withdrawal_id
+ * @property {string} message
+ * @property {string} created_at
+ * @property {string|null} read_at
+ */
+
+export const NOTIFICATION_KINDS = [
+  "withdrawal_requested",
+  "withdrawal_approved",
+  "withdrawal_rejected",
+  "withdrawal_overdue",
+];
+
+/** Default for the pending_reminder_days setting. */
+export const DEFAULT_REMINDER_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const describe = (w) => `${formatDecimal(w.amount, w.currency)} ${w.currency} for ${w.client_name || w.client_account}`;
+
+/** The text of a `kind` notification about withdrawal `w`. */
+export function notificationMessage(kind, w, { days } = {}) {
+  switch (kind) {
+    case "withdrawal_requested": return `New withdrawal request: ${describe(w)}.`;
+    case "withdrawal_approved": return `Your withdrawal of ${describe(w)} was approved.`;
+    case "withdrawal_rejected":
+      return `Your withdrawal of ${describe(w)} was rejected${w.status_note ? `: ${w.status_note}` : "."}`;
+    case "withdrawal_overdue": return `Withdrawal of ${describe(w)} has been pending for ${days} days.`;
+    default: return kind;
+  }
+}
+
+/**
+ * Which notification, if any, a status change from `before` to `after`
+ * raises for the requester. Only the final approval counts.
+ */
+export function decisionNotificationKind(before, after) {
+  if (before.status === after.status) return null;
+  if (after.status === "approved") return "withdrawal_approved";
+  if (after.status === "rejected") return "withdrawal_rejected";
+  return null;
+}
+
+/** Pending withdrawals older than `days` whole days at `now`. */
+export function overdueWithdrawals(wd, days, now = new Date()) {
+  if (days == null) return [];
+  const cutoff = now.getTime() - days * DAY_MS;
+  return wd.filter(w => w.status === "pending" && !isVoided(w) && Date.parse(w.created_at) <= cutoff);
+}
+
+export const unreadCount = (notifications) => notifications.filter(n => !n.read_at).length;
@@ -0,0 +1,12 @@
+/**
+ * Outbound channel that only logs, for local development. Swap in
+ * ./webhook.js to see real deliveries.
+ * @returns {import("../backend").NotifyChannel}
+ */
+export function createConsoleChannel(log = console.info) {
+  return {
+    async send(notification, recipient) {
+      log(`[notify → ${recipient.email || recipient.id}] ${notification.message}`);
+    },
+  };
+}
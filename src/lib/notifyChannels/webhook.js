@@ -0,0 +1,17 @@
+/**
+ * Outbound channel that POSTs each notification as JSON to `url`, e.g. a
+ * chat webhook or a mail relay.
+ * @returns {import("../backend").NotifyChannel}
+ */
+export function createWebhookChannel(url, { fetchImpl = globalThis.fetch } = {}) {
+  return {
+    async send(notification, recipient) {
+      const res = await fetchImpl(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ notification, recipient }),
+      });
+      if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+    },
+  };
+}
@@ -0,0 +1,106 @@
+// Month-end close. Closing a month freezes its totals into per-employee
+// snapshots and locks every deposit and withdrawal created in it, for every
+// team, so only org admins close and reopen months; reopening needs a
+// reason, which is logged.
+// supabase/migrations/0014_period_close.sql, as revised by
+// 0019_period_close_org_admin.sql, enforces the same rules; the local
+// backend and the UI use this module. A period is identified by the first
+// day of its month ("YYYY-MM-01", Kuwait time, see ./dates.js).
+
+import { calendarDate, isoDate } from "./dates";
+import { baseAmount, countsAsIn, countsAsOut } from "./ledger";
+import { subtractAmounts, sumAmounts } from "./money";
+import { isVoided } from "./voids";
+
+/**
+ * @typedef {Object} PeriodClose
+ * @property {string} month       "YYYY-MM-01"
+ * @property {string} closed_at
+ * @property {string} closed_by
+ *
+ * @typedef {Object} PeriodSnapshot
+ * One employee's totals for a closed month, in KWD.
+ * @property {string} month
+ * @property {string} user_id
+ * @property {number} in_total
+ * @property {number} out_total   approved withdrawals
+ * @property {number} net
+ * @property {number} deposit_count
+ * @property {number} withdrawal_count
+ */
+
+/** The period an entry created at `createdAt` (ISO timestamp) belongs to. */
+export const periodOf = (createdAt) => `${isoDate(new Date(createdAt)).slice(0, 7)}-01`;
+
+/** The period for month (0-11) of `year`. */
+export const periodFor = (month, year) => calendarDate(year, month, 1);
+
+/** "March 2026" for "2026-03-01". */
+export function periodLabel(month) {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, 1)).toLocaleString("en-US", { month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+/** Is the period of `createdAt` among the `closes`? */
+export const isClosedAt = (closes, createdAt) => closes.some(c => c.month === periodOf(createdAt));
+
+/** Why an entry created at `createdAt` cannot be added or changed, or null. */
+export function closedPeriodError(closes, createdAt) {
+  const month = periodOf(createdAt);
+  return closes.some(c => c.month === month)
+    ? `${periodLabel(month)} is closed; an org admin must reopen it before its entries change.`
+    : null;
+}
+
+/**
+ * Why `month` cannot be closed, or null. Only months that have ended can be
+ * closed, and not while withdrawals from them are still pending.
+ * @param {Object[]} wd  withdrawals created in `month`
+ */
+export function closePeriodError(month, closes, wd, today = isoDate()) {
+  if (closes.some(c => c.month === month)) return `${periodLabel(month)} is already closed.`;
+  if (month >= `${today.slice(0, 7)}-01`) return "Only months that have ended can be closed.";
+  const pending = wd.filter(w => w.status === "pending" && !isVoided(w)).length;
+  if (pending) return `Decide or cancel the ${pending} pending withdrawal${pending === 1 ? "" : "s"} from ${periodLabel(month)} first.`;
+  return null;
+}
+
+/** Why `month` cannot be reopened with `reason`, or null. */
+export function reopenPeriodError(month, closes, reason) {
+  if (!closes.some(c => c.month === month)) return `${periodLabel(month)} is not closed.`;
+  if (!reason || !reason.trim()) return "A reason is required to reopen a closed month.";
+  return null;
+}
+
+/**
+ * Per-employee snapshots of `month` from its deposits and withdrawals.
+ * @returns {PeriodSnapshot[]}
+ */
+export function periodSnapshots(month, tx, wd, rates = []) {
+  const map = new Map();
+  const get = (user_id) => {
+    if (!map.has(user_id)) {
+      map.set(user_id, { month, user_id, in_total: 0, out_total: 0, net: 0, deposit_count: 0, withdrawal_count: 0 });
+    }
+    return map.get(user_id);
+  };
+  for (const t of tx.filter(countsAsIn)) {
+    const s = get(t.user_id);
+    s.in_total = sumAmounts([s.in_total, baseAmount(t, rates)]);
+    s.deposit_count += 1;
+  }
+  for (const w of wd.filter(w => countsAsOut(w, false))) {
+    const s = get(w.user_id);
+    s.out_total = sumAmounts([s.out_total, baseAmount(w, rates)]);
+    s.withdrawal_count += 1;
+  }
+  for (const s of map.values()) s.net = subtractAmounts(s.in_total, s.out_total);
+  return [...map.values()];
+}
+
+/** Snapshots added up, e.g. for the header. */
+export function snapshotTotals(snapshots) {
+  const inTotal = sumAmounts(snapshots.map(s => Number(s.in_total)));
+  const outTotal = sumAmounts(snapshots.map(s => Number(s.out_total)));
+  return { inTotal, outTotal, net: subtractAmounts(inTotal, outTotal) };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import {
+  closePeriodError,
+  closedPeriodError,
+  periodOf,
+  periodSnapshots,
+  reopenPeriodError,
+  snapshotTotals,
+} from "./periods";
+
+const closes = [{ month: "2026-08-01", closed_at: "2026-09-02T00:00:00Z", closed_by: "admin" }];
+
+describe("periodOf", () => {
+  it("takes the month in Kuwait time", () => {
+    expect(periodOf("2026-08-31T20:59:59Z")).toBe("2026-08-01");
+    expect(periodOf("2026-08-31T21:00:00Z")).toBe("2026-09-01");
+  });
+});
+
+describe("closedPeriodError", () => {
+  it("blocks entries dated in a closed month only", () => {
+    expect(closedPeriodError(closes, "2026-08-15T10:00:00Z")).toMatch(/^August 2026 is closed/);
+    expect(closedPeriodError(closes, "2026-09-15T10:00:00Z")).toBeNull();
+  });
+});
+
+describe("closePeriodError", () => {
+  it("only closes months that have ended", () => {
+    expect(closePeriodError("2026-10-01", [], [], "2026-10-19")).toBe("Only months that have ended can be closed.");
+    expect(closePeriodError("2026-09-01", [], [], "2026-10-19")).toBeNull();
+  });
+
+  it("refuses a month already closed or with pending withdrawals", () => {
+    expect(closePeriodError("2026-08-01", closes, [], "2026-10-19")).toBe("August 2026 is already closed.");
+    const wd = [{ status: "pending" }, { status: "pending", voided_at: "2026-09-01T00:00:00Z" }, { status: "approved" }];
+    expect(closePeriodError("2026-09-01", [], wd, "2026-10-19"))
+      .toBe("Decide or cancel the 1 pending withdrawal from September 2026 first.");
+  });
+});
+
+describe("reopenPeriodError", () => {
+  it("requires a closed month and a reason", () => {
+    expect(reopenPeriodError("2026-07-01", closes, "late slip")).toBe("July 2026 is not closed.");
+    expect(reopenPeriodError("2026-08-01", closes, "  ")).toBe("A reason is required to reopen a closed month.");
+    expect(reopenPeriodError("2026-08-01", closes, "late slip")).toBeNull();
+  });
+});
+
+describe("periodSnapshots", () => {
+  it("totals approved, unvoided entries per employee in KWD", () => {
+    const tx = [
+      { user_id: "u1", amount: 100.0005, currency: "KWD" },
+      { user_id: "u1", amount: 50, currency: "KWD", voided_at: "2026-08-03T00:00:00Z" },
+      { user_id: "u2", amount: 10, currency: "USD", created_at: "2026-08-10T00:00:00Z" },
+    ];
+    const wd = [
+      { user_id: "u1", amount: 30, currency: "KWD", status: "approved" },
+      { user_id: "u1", amount: 99, currency: "KWD", status: "rejected" },
+    ];
+    const rates = [{ currency: "USD", rate: 0.30333, effective_date: "2026-01-01" }];
+    const snapshots = periodSnapshots("2026-08-01", tx, wd, rates);
+    expect(snapshots).toEqual([
+      { month: "2026-08-01", user_id: "u1", in_total: 100.001, out_total: 30, net: 70.001, deposit_count: 1, withdrawal_count: 1 },
+      { month: "2026-08-01", user_id: "u2", in_total: 3.033, out_total: 0, net: 3.033, deposit_count: 1, withdrawal_count: 0 },
+    ]);
+    expect(snapshotTotals(snapshots)).toEqual({ inTotal: 103.034, outTotal: 30, net: 73.034 });
+  });
+});
@@ -0,0 +1,589 @@
+import { backend } from "./backend";
+
+/**
+ * Single data-access module. Every screen reads and writes through these
+ * functions; they delegate to the configured backend (./backend.js), which
+ * is the only code that knows about table and column names.
+ *
+ * All functions throw on failure.
+ */
+
+/**
+ * @typedef {"employee" | "manager" | "org_admin"} Role
+ *   managers see the members of the teams they manage; org admins see everyone
+ *
+ * @typedef {Object} Profile
+ * @property {string} id            auth user id
+ * @property {string|null} display_name
+ * @property {Role} role
+ *
+ * @typedef {Object} DirectoryEntry
+ * @property {string} id
+ * @property {string|null} display_name
+ * @property {string|null} email      only for users you can see
+ *
+ * @typedef {"monthly" | "yearly"} Period
+ *
+ * @typedef {Object} Transaction    a deposit (IN)
+ * @property {string} id
+ * @property {string} created_at    ISO timestamp
+ * @property {string} user_id       employee who recorded it
+ * @property {number} amount
+ * @property {string} currency      ISO 4217 code, see ./currencies.js
+ * @property {string} client_account
+ * @property {string|null} client_name
+ * @property {Period} period
+ * @property {string|null} note
+ * @property {string|null} [voided_at]    set when voided; see ./voids.js
+ * @property {string|null} [voided_by]
+ * @property {string|null} [void_reason]
+ *
+ * @typedef {"pending" | "approved" | "rejected" | "cancelled"} WithdrawalStatus
+ *
+ * @typedef {Object} Withdrawal     a withdrawal request (OUT)
+ * @property {string} id
+ * @property {string} created_at
+ * @property {string} user_id
+ * @property {number} amount
+ * @property {string} currency
+ * @property {string} client_account
+ * @property {string|null} client_name
+ * @property {string|null} note
+ * @property {WithdrawalStatus} status
+ * @property {string[]} approved_by     managers who approved in the current round
+ * @property {string|null} status_note  latest approval note / rejection or reopen reason
+ * @property {string|null} [voided_at]
+ * @property {string|null} [voided_by]
+ * @property {string|null} [void_reason]
+ *
+ * @typedef {Object} Client
+ * @property {string} id
+ * @property {string} account_number  referenced by transactions/withdrawals.client_account
+ * @property {string} name
+ * @property {string|null} phone
+ * @property {string|null} email
+ * @property {string|null} notes
+ *
+ * @typedef {Object} ClientBalance   over every employee's entries
+ * @property {number} deposits
+ * @property {number} withdrawn       approved withdrawals
+ * @property {number} pending         pending withdrawals
+ * @property {number} balance         deposits - withdrawn
+ *
+ * @typedef {Object} DepositSchedule  a recurring deposit
+ * @property {string} id
+ * @property {string} user_id         employee responsible for collecting it
+ * @property {string} client_account
+ * @property {number} amount
+ * @property {string} currency
+ * @property {Period} period
+ * @property {string} start_date      "YYYY-MM-DD"; also fixes the due day (and month, if yearly)
+ * @property {boolean} active
+ *
+ * @typedef {Object} ExpectedDeposit  one month's instance of a schedule
+ * @property {string} id
+ * @property {string} schedule_id
+ * @property {string} user_id
+ * @property {string} client_account
+ * @property {number} amount
+ * @property {string} currency
+ * @property {string} due_date        "YYYY-MM-DD"
+ *
+ * @typedef {Object} ExchangeRate
+ * @property {string} id
+ * @property {string} currency
+ * @property {number} rate            KWD per unit of `currency`
+ * @property {string} effective_date  "YYYY-MM-DD"; applies until the next rate
+ *
+ * @typedef {Object} Team
+ * @property {string} id
+ * @property {string} name
+ *
+ * @typedef {Object} TeamMember
+ * @property {string} team_id
+ * @property {string} user_id
+ * @property {"member" | "manager"} role   "manager" scopes a manager to the team
+ *
+ * @typedef {Object} AuditEntry
+ * @property {number} id
+ * @property {string} at
+ * @property {string|null} actor
+ * @property {"insert" | "update" | "delete"} action
+ * @property {Object|null} before
+ * @property {Object|null} after
+ *
+ * @typedef {Object} Attachment     a file on a deposit or withdrawal
+ * @property {string} id
+ * @property {"transactions" | "withdrawals"} table_name
+ * @property {string} row_id
+ * @property {string} path            in the file store
+ * @property {string|null} thumb_path small JPEG preview, for images
+ * @property {string} file_name
+ * @property {string} content_type
+ * @property {number} size            bytes
+ * @property {string} uploaded_by
+ * @property {string} created_at
+ *
+ * @typedef {Object} LedgerChange
+ * @property {"transactions" | "withdrawals"} table
+ * @property {"INSERT" | "UPDATE" | "DELETE"} type
+ * @property {Object|null} row      new row (null for DELETE)
+ * @property {Object|null} old      previous row when known; for DELETE at least { id }
+ *
+ * @typedef {Object} RangeQuery
+ * @property {string} [start]       inclusive ISO timestamp; omit for "since the beginning"
+ * @property {string} end           exclusive ISO timestamp
+ * @property {string|null} [userId] restrict to one employee
+ * @property {string[]} [userIds]   restrict to these employees (e.g. one team)
+ * @property {WithdrawalStatus} [status]  withdrawals only: restrict to this status
+ * @property {number} [limit]       page size; omit to load the whole range
+ * @property {number} [offset]      rows to skip, with `limit`
+ */
+
+// PostgREST caps a response at 1000 rows by default, so whole-range reads
+// are fetched in pages of this size until a short page comes back.
+const PAGE_SIZE = 1000;
+
+/** Every row of a range query, page by page (see PAGE_SIZE). */
+async function fetchAllPages(fetchPage, query) {
+  if (query.limit) return fetchPage(query);
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await fetchPage({ ...query, limit: PAGE_SIZE, offset });
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+/** @returns {Promise<string|null>} */
+export function getCurrentUserId() {
+  return backend.getCurrentUserId();
+}
+
+// profiles -----------------------------------------------------------------
+
+/** @returns {Promise<Profile|null>} the signed-in user's profile */
+export function fetchProfile() {
+  return backend.fetchProfile();
+}
+
+/** @returns {Promise<Profile[]>} */
+export function listProfiles() {
+  return backend.listProfiles();
+}
+
+/**
+ * Names and emails for any user ids, including people whose profile RLS
+ * hides. Screens go through the cache in ./directory.js instead.
+ * @param {string[]} ids
+ * @returns {Promise<DirectoryEntry[]>} unknown ids are left out
+ */
+export async function fetchDirectory(ids) {
+  if (!ids.length) return [];
+  return backend.fetchDirectory(ids);
+}
+
+/** @param {string} display_name */
+export function upsertDisplayName(display_name) {
+  return backend.upsertDisplayName(display_name);
+}
+
+/**
+ * Manager-only; enforced server-side by set_profile_role().
+ * @param {string} target
+ * @param {Role} role
+ */
+export function setProfileRole(target, role) {
+  return backend.setProfileRole(target, role);
+}
+
+// transactions (IN) --------------------------------------------------------
+
+/**
+ * One page when `query.limit` is set, otherwise the whole range.
+ * @param {RangeQuery} query
+ * @returns {Promise<Transaction[]>} newest first
+ */
+export function fetchTransactions(query) {
+  return fetchAllPages(backend.fetchTransactions, query);
+}
+
+/**
+ * Inserts one or more deposits for the signed-in user as a single batch.
+ * @param {Omit<Transaction, "id" | "created_at" | "user_id">[]} values
+ * @returns {Promise<Transaction[]>} the inserted rows
+ */
+export function createTransactions(values) {
+  return backend.createTransactions(values);
+}
+
+/**
+ * @param {string} id
+ * @param {Partial<Transaction>} patch
+ * @returns {Promise<Transaction>} the updated row
+ */
+export function updateTransaction(id, patch) {
+  return backend.updateTransaction(id, patch);
+}
+
+// withdrawals (OUT) --------------------------------------------------------
+
+/**
+ * One page when `query.limit` is set, otherwise the whole range.
+ * @param {RangeQuery} query
+ * @returns {Promise<Withdrawal[]>} newest first
+ */
+export function fetchWithdrawals(query) {
+  return fetchAllPages(backend.fetchWithdrawals, query);
+}
+
+/**
+ * Files one or more pending withdrawal requests for the signed-in user.
+ * @param {Omit<Withdrawal, "id" | "created_at" | "user_id" | "status">[]} values
+ * @returns {Promise<Withdrawal[]>} the inserted rows
+ */
+export function createWithdrawals(values) {
+  return backend.createWithdrawals(values);
+}
+
+/**
+ * @param {string} id
+ * @param {Partial<Withdrawal>} patch
+ * @returns {Promise<Withdrawal>} the updated row
+ */
+export function updateWithdrawal(id, patch) {
+  return backend.updateWithdrawal(id, patch);
+}
+
+/**
+ * Approves, rejects or reopens a withdrawal, or cancels the caller's own
+ * pending request; the only way to change its status. Rules are in
+ * ./withdrawalWorkflow.js.
+ * @param {string} id
+ * @param {import("./withdrawalWorkflow").Decision} decision
+ * @param {string} [note]  required for reject and reopen
+ * @returns {Promise<Withdrawal>} the updated row
+ */
+export function decideWithdrawal(id, decision, note) {
+  return backend.decideWithdrawal(id, decision, note);
+}
+
+/**
+ * Marks a deposit or withdrawal void; the row is kept but leaves every
+ * total. Rules are in ./voids.js.
+ * @param {"transactions" | "withdrawals"} table
+ * @param {string} id
+ * @param {string} reason
+ * @returns {Promise<Transaction|Withdrawal>} the updated row
+ */
+export function voidEntry(table, id, reason) {
+  return backend.voidEntry(table, id, reason);
+}
+
+/**
+ * Amount above which two managers must approve; null when dual approval
+ * is off.
+ * @returns {Promise<number|null>}
+ */
+export function fetchApprovalThreshold() {
+  return backend.fetchApprovalThreshold();
+}
+
+/** Org-admin-only. @param {number|null} amount */
+export function setApprovalThreshold(amount) {
+  return backend.setApprovalThreshold(amount);
+}
+
+/**
+ * Live changes to transactions and withdrawals the caller may see, from any
+ * user. Our own mutations are echoed too, so handlers must be idempotent.
+ * @param {(change: LedgerChange) => void} onChange
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeLedger(onChange) {
+  return backend.subscribeLedger(onChange);
+}
+
+// month-end close ----------------------------------------------------------
+
+/** @returns {Promise<import("./periods").PeriodClose[]>} newest first */
+export function listPeriodCloses() {
+  return backend.listPeriodCloses();
+}
+
+/**
+ * Frozen per-employee totals of a closed month, for the employees the
+ * caller can see.
+ * @param {string} month  "YYYY-MM-01"
+ * @returns {Promise<import("./periods").PeriodSnapshot[]>}
+ */
+export function fetchPeriodSnapshots(month) {
+  return backend.fetchPeriodSnapshots(month);
+}
+
+/**
+ * Org-admin-only. Snapshots `month` and locks its entries; see
+ * closePeriodError() for when this is refused.
+ * @param {string} month  "YYYY-MM-01"
+ * @returns {Promise<import("./periods").PeriodClose>}
+ */
+export function closePeriod(month) {
+  return backend.closePeriod(month);
+}
+
+/** Org-admin-only; `reason` is required and logged. */
+export function reopenPeriod(month, reason) {
+  return backend.reopenPeriod(month, reason);
+}
+
+/**
+ * Closes and reopenings of `month`, newest first; empty for employees.
+ * @returns {Promise<{ id: string, month: string, action: "close" | "reopen", reason: string|null, actor: string, at: string }[]>}
+ */
+export function listPeriodLog(month) {
+  return backend.listPeriodLog(month);
+}
+
+// clients ------------------------------------------------------------------
+
+/** @returns {Promise<Client[]>} sorted by name */
+export function listClients() {
+  return backend.listClients();
+}
+
+/**
+ * @param {Omit<Client, "id">} values
+ * @returns {Promise<Client>}
+ */
+export function createClient(values) {
+  return backend.createClient(values);
+}
+
+/**
+ * Org admins, or the user who registered the client.
+ * @param {string} id
+ * @param {Partial<Client>} patch
+ */
+export function updateClient(id, patch) {
+  return backend.updateClient(id, patch);
+}
+
+/**
+ * @param {string} account
+ * @returns {Promise<ClientBalance>}
+ */
+export function fetchClientBalance(account) {
+  return backend.fetchClientBalance(account);
+}
+
+/**
+ * All of a client's deposits and withdrawals the caller may see.
+ * @param {string} account
+ * @returns {Promise<{ transactions: Transaction[], withdrawals: Withdrawal[] }>}
+ */
+export async function fetchClientActivity(account) {
+  const all = (table) => fetchAllPages((page) => backend.fetchClientRows(table, account, page), {});
+  const [transactions, withdrawals] = await Promise.all([all("transactions"), all("withdrawals")]);
+  return { transactions, withdrawals };
+}
+
+// deposit schedules --------------------------------------------------------
+
+/** @returns {Promise<DepositSchedule[]>} active first, then by client */
+export function listSchedules() {
+  return backend.listSchedules();
+}
+
+/**
+ * Creates a schedule owned by the signed-in user.
+ * @param {Omit<DepositSchedule, "id" | "user_id" | "active">} values
+ * @returns {Promise<DepositSchedule>}
+ */
+export function createSchedule(values) {
+  return backend.createSchedule(values);
+}
+
+/**
+ * @param {string} id
+ * @param {Partial<DepositSchedule>} patch
+ * @returns {Promise<DepositSchedule>}
+ */
+export function updateSchedule(id, patch) {
+  return backend.updateSchedule(id, patch);
+}
+
+/**
+ * Expected entries due in [from, to).
+ * @param {{ from: string, to: string }} range  "YYYY-MM-DD" dates, see monthDates()
+ * @returns {Promise<ExpectedDeposit[]>}
+ */
+export function fetchExpectedDeposits(range) {
+  return backend.fetchExpectedDeposits(range);
+}
+
+/**
+ * Manager-only. Creates the expected entries for every schedule due in the
+ * month; entries that already exist are kept.
+ * @param {number} month  0-11
+ * @param {number} year
+ * @returns {Promise<number>} how many entries were created
+ */
+export function generateExpectedDeposits(month, year) {
+  return backend.generateExpectedDeposits(month, year);
+}
+
+// exchange rates -----------------------------------------------------------
+
+/** @returns {Promise<ExchangeRate[]>} by currency, newest first */
+export function listExchangeRates() {
+  return backend.listExchangeRates();
+}
+
+/**
+ * Org-admin-only. Adds rates, replacing any for the same currency and
+ * effective date.
+ * @param {Omit<ExchangeRate, "id">[]} rates
+ */
+export function saveExchangeRates(rates) {
+  return backend.saveExchangeRates(rates);
+}
+
+/** Org-admin-only. @param {string} id */
+export function deleteExchangeRate(id) {
+  return backend.deleteExchangeRate(id);
+}
+
+// teams --------------------------------------------------------------------
+
+/** @returns {Promise<Team[]>} teams you belong to (all of them for org admins), by name */
+export function listTeams() {
+  return backend.listTeams();
+}
+
+/** Org-admin only. @param {string} name @returns {Promise<Team>} */
+export function createTeam(name) {
+  return backend.createTeam(name);
+}
+
+/** Org-admin only; removes its memberships too. @param {string} id */
+export function deleteTeam(id) {
+  return backend.deleteTeam(id);
+}
+
+/** @returns {Promise<TeamMember[]>} memberships of the users you can see */
+export function listTeamMembers() {
+  return backend.listTeamMembers();
+}
+
+/**
+ * Org-admin only. Adds `userId` to the team or changes their team role.
+ * @param {string} teamId
+ * @param {string} userId
+ * @param {TeamMember["role"]} role
+ */
+export function setTeamMember(teamId, userId, role) {
+  return backend.setTeamMember(teamId, userId, role);
+}
+
+/** Org-admin only. */
+export function removeTeamMember(teamId, userId) {
+  return backend.removeTeamMember(teamId, userId);
+}
+
+// audit --------------------------------------------------------------------
+
+/**
+ * @param {"transactions" | "withdrawals"} table
+ * @param {string} rowId
+ * @returns {Promise<AuditEntry[]>} newest first
+ */
+export function fetchAuditLog(table, rowId) {
+  return backend.fetchAuditLog(table, rowId);
+}
+
+// attachments --------------------------------------------------------------
+
+// Row ids go into the query string; keep each request well under URL limits.
+const ATTACHMENT_BATCH = 100;
+
+/**
+ * Attachments of the given rows, oldest first.
+ * @param {"transactions" | "withdrawals"} table
+ * @param {string[]} rowIds
+ * @returns {Promise<Attachment[]>}
+ */
+export async function listAttachments(table, rowIds) {
+  const batches = [];
+  for (let i = 0; i < rowIds.length; i += ATTACHMENT_BATCH) {
+    batches.push(backend.listAttachments(table, rowIds.slice(i, i + ATTACHMENT_BATCH)));
+  }
+  return (await Promise.all(batches)).flat();
+}
+
+/**
+ * Stores `file` (checked with attachmentFileError() in ./attachments.js)
+ * and its optional preview, and records it on the row. Allowed for the
+ * row's owner and managers who can see them.
+ * @param {"transactions" | "withdrawals"} table
+ * @param {string} rowId
+ * @param {File} file
+ * @param {Blob|null} [thumbnail]
+ * @returns {Promise<Attachment>}
+ */
+export function uploadAttachment(table, rowId, file, thumbnail = null) {
+  return backend.uploadAttachment(table, rowId, file, thumbnail);
+}
+
+/**
+ * A short-lived URL for a stored file.
+ * @param {string} path  Attachment.path or thumb_path
+ * @returns {Promise<string>}
+ */
+export function attachmentUrl(path) {
+  return backend.attachmentUrl(path);
+}
+
+/** Removes an attachment; not allowed once its withdrawal is approved. */
+export function deleteAttachment(id) {
+  return backend.deleteAttachment(id);
+}
+
+/**
+ * KWD amount above which a withdrawal needs an attachment before approval;
+ * null when not required.
+ * @returns {Promise<number|null>}
+ */
+export function fetchAttachmentThreshold() {
+  return backend.fetchAttachmentThreshold();
+}
+
+/** Org-admin-only. @param {number|null} amount */
+export function setAttachmentThreshold(amount) {
+  return backend.setAttachmentThreshold(amount);
+}
+
+// notifications ------------------------------------------------------------
+
+/**
+ * The signed-in user's notifications, newest first. The local backend
+ * raises overdue reminders here; Supabase does it on a schedule.
+ * @param {{ limit?: number }} [options]  default 50
+ * @returns {Promise<import("./notifications").Notification[]>}
+ */
+export function listNotifications(options) {
+  return backend.listNotifications(options);
+}
+
+/** @param {string[]} [ids]  all unread when omitted */
+export function markNotificationsRead(ids) {
+  return backend.markNotificationsRead(ids);
+}
+
+/**
+ * Calls `onNotification` with each new notification for the signed-in user.
+ * @param {(n: import("./notifications").Notification) => void} onNotification
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeNotifications(onNotification) {
+  return backend.subscribeNotifications(onNotification);
+}
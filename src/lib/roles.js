@@ -0,0 +1,12 @@
+// Roles (Role in ./repository.js). Managers work within the teams they
+// manage; org admins see every team and are the only ones who manage teams
+// and the org admin role itself.
+
+export const ROLES = ["employee", "manager", "org_admin"];
+
+export const ROLE_LABELS = { employee: "Employee", manager: "Manager", org_admin: "Org admin" };
+
+/** Can this role use the manager screens (dashboard, approvals, rates)? */
+export const isManagerRole = (role) => role === "manager" || role === "org_admin";
+
+export const isOrgAdmin = (role) => role === "org_admin";
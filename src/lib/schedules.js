@@ -0,0 +1,84 @@
+// Recurring deposit schedules: when a schedule falls due and how a month's
+// deposits measure up against what was expected. generate_expected_deposits()
+// (supabase/migrations/0007_deposit_schedules.sql) applies the same due rules;
+// the local backend and the UI use this module.
+
+import { calendarDate } from "./dates";
+import { baseAmount, countsAsIn } from "./ledger";
+import { toBase } from "./currencies";
+import { sumAmounts } from "./money";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** First day of the month (0-11) and of the month after, as "YYYY-MM-DD". */
+export function monthDates(month, year) {
+  return { from: calendarDate(year, month, 1), to: calendarDate(year, month + 1, 1) };
+}
+
+/**
+ * Due date of `schedule` in month (0-11) of `year` as "YYYY-MM-DD", or null
+ * when it is not due that month. Monthly schedules fall due every month from
+ * the one they start in, yearly ones in their start month; both on the start
+ * day, clamped to the length of the month.
+ * @param {import("./repository").DepositSchedule} schedule
+ */
+export function dueDate(schedule, month, year) {
+  if (!schedule.active) return null;
+  const [sy, sm, sd] = schedule.start_date.split("-").map(Number);
+  if (year * 12 + month < sy * 12 + sm - 1) return null;
+  if (schedule.period === "yearly" && month !== sm - 1) return null;
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return `${year}-${pad(month + 1)}-${pad(Math.min(sd, lastDay))}`;
+}
+
+/**
+ * The expected entries `schedules` produce for a month, not yet saved.
+ * @returns {Omit<import("./repository").ExpectedDeposit, "id">[]}
+ */
+export function expectedForMonth(schedules, month, year) {
+  return schedules.flatMap(s => {
+    const due_date = dueDate(s, month, year);
+    if (!due_date) return [];
+    return [{
+      schedule_id: s.id,
+      user_id: s.user_id,
+      client_account: s.client_account,
+      amount: s.amount,
+      currency: s.currency,
+      due_date,
+    }];
+  });
+}
+
+/**
+ * Expected vs received per client for one month, in KWD. `expected` holds
+ * the saved expected entries plus projected ones (no id) for schedules that
+ * have none yet; `transactions` are the month's deposits. A client is overdue
+ * once its earliest due date has passed and it has deposited less than
+ * expected.
+ *
+ * @param {string} today  "YYYY-MM-DD"
+ * @param {import("./repository").ExchangeRate[]} [rates]
+ * @returns {{ client_account: string, expected: number, received: number,
+ *   due_date: string, overdue: boolean, projected: boolean }[]}
+ *   overdue clients first, then by due date
+ */
+export function expectedVsReceived(expected, transactions, today, rates = []) {
+  const byClient = new Map();
+  for (const e of expected) {
+    const r = byClient.get(e.client_account) || {
+      client_account: e.client_account, expected: 0, received: 0, due_date: e.due_date, projected: true,
+    };
+    r.expected = sumAmounts([r.expected, toBase(e, rates, e.due_date) ?? 0]);
+    if (e.due_date < r.due_date) r.due_date = e.due_date;
+    if (e.id) r.projected = false;
+    byClient.set(e.client_account, r);
+  }
+  for (const t of transactions.filter(countsAsIn)) {
+    const r = byClient.get(t.client_account);
+    if (r) r.received = sumAmounts([r.received, baseAmount(t, rates)]);
+  }
+  return [...byClient.values()]
+    .map(r => ({ ...r, overdue: r.due_date < today && r.received < r.expected }))
+    .sort((a, b) => (b.overdue - a.overdue) || a.due_date.localeCompare(b.due_date));
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { dueDate, expectedForMonth, expectedVsReceived } from "./schedules";
+
+const monthly = { id: "s1", user_id: "u1", client_account: "A1", amount: 100, currency: "KWD", period: "monthly", start_date: "2026-01-31", active: true };
+const yearly = { ...monthly, id: "s2", client_account: "B2", period: "yearly", start_date: "2025-03-15" };
+
+describe("dueDate", () => {
+  it("falls on the start day, clamped to the month's length", () => {
+    expect(dueDate(monthly, 0, 2026)).toBe("2026-01-31");
+    expect(dueDate(monthly, 1, 2026)).toBe("2026-02-28");
+    expect(dueDate(monthly, 1, 2028)).toBe("2028-02-29");
+  });
+
+  it("is not due before the start month or when inactive", () => {
+    expect(dueDate(monthly, 11, 2025)).toBeNull();
+    expect(dueDate({ ...monthly, active: false }, 2, 2026)).toBeNull();
+  });
+
+  it("makes yearly schedules due in their start month only", () => {
+    expect(dueDate(yearly, 2, 2026)).toBe("2026-03-15");
+    expect(dueDate(yearly, 3, 2026)).toBeNull();
+  });
+});
+
+describe("expectedForMonth", () => {
+  it("lists one entry per schedule due that month", () => {
+    expect(expectedForMonth([monthly, yearly], 2, 2026).map(e => [e.schedule_id, e.due_date]))
+      .toEqual([["s1", "2026-03-31"], ["s2", "2026-03-15"]]);
+  });
+});
+
+describe("expectedVsReceived", () => {
+  it("flags clients past their due date that deposited less than expected", () => {
+    const expected = expectedForMonth([monthly, yearly], 2, 2026);
+    const deposits = [
+      { client_account: "A1", amount: 100, currency: "KWD", created_at: "2026-03-02T08:00:00Z" },
+      { client_account: "B2", amount: 40, currency: "KWD", created_at: "2026-03-02T08:00:00Z" },
+      { client_account: "B2", amount: 60, currency: "KWD", created_at: "2026-03-03T08:00:00Z", voided_at: "2026-03-04T00:00:00Z" },
+    ];
+    expect(expectedVsReceived(expected, deposits, "2026-03-20")).toEqual([
+      { client_account: "B2", expected: 100, received: 40, due_date: "2026-03-15", overdue: true, projected: true },
+      { client_account: "A1", expected: 100, received: 100, due_date: "2026-03-31", overdue: false, projected: true },
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+// Account statements over a date range. Balances follow clientLedgerLines():
+// in KWD, deposits add and only approved withdrawals subtract.
+
+import { clientLedgerLines } from "./ledger";
+import { subtractAmounts, sumAmounts } from "./money";
+
+/**
+ * @typedef {Object} Statement
+ * @property {number} opening   balance before `start`
+ * @property {Object[]} lines   ledger lines in the range, oldest first, each with `effect` and running `balance`
+ * @property {number} totalIn
+ * @property {number} totalOut  approved withdrawals only
+ * @property {number} closing   balance at `end`
+ */
+
+/**
+ * Builds a statement from every deposit and withdrawal up to `end`; rows
+ * before `start` only feed the opening balance.
+ * @param {{ start: string, end: string }} range  ISO timestamps, end exclusive
+ * @returns {Statement}
+ */
+export function buildStatement(transactions, withdrawals, { start, end }, rates) {
+  const all = clientLedgerLines(transactions, withdrawals, rates).filter(l => l.created_at < end);
+  const before = all.filter(l => l.created_at < start);
+  const lines = all.filter(l => l.created_at >= start);
+  const opening = before.length ? before[before.length - 1].balance : 0;
+  const totalIn = sumAmounts(lines.filter(l => l.effect > 0).map(l => l.effect));
+  const totalOut = sumAmounts(lines.filter(l => l.effect < 0).map(l => -l.effect));
+  return { opening, lines, totalIn, totalOut, closing: subtractAmounts(sumAmounts([opening, totalIn]), totalOut) };
+}
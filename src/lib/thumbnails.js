@@ -0,0 +1,21 @@
+/**
+ * A small JPEG preview of an image file, at most `size` pixels on its long
+ * side, or null for PDFs and images the browser cannot decode (e.g. HEIC).
+ * @param {File} file
+ * @returns {Promise<Blob|null>}
+ */
+export async function makeThumbnail(file, size = 160) {
+  if (!file.type.startsWith("image/") || typeof createImageBitmap !== "function") return null;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", 0.8));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { deleteAttachment, listAttachments, uploadAttachment } from "./repository";
+import { attachmentFileError } from "./attachments";
+import { makeThumbnail } from "./thumbnails";
+
+/**
+ * Attachments of the `table` rows with `rowIds`, grouped by row, plus
+ * upload and remove actions that keep the list current.
+ */
+export function useAttachments(table, rowIds) {
+  // Optimistic rows have no server id yet and cannot carry files.
+  const key = rowIds.filter(id => !String(id).startsWith("optimistic-")).sort().join(",");
+  const [attachments, setAttachments] = useState([]);
+
+  useEffect(() => {
+    if (!key) { setAttachments([]); return; }
+    let cancelled = false;
+    listAttachments(table, key.split(","))
+      .then((rows) => !cancelled && setAttachments(rows))
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [table, key]);
+
+  const byRow = useMemo(() => {
+    const map = {};
+    for (const a of attachments) (map[a.row_id] ||= []).push(a);
+    return map;
+  }, [attachments]);
+
+  const upload = useCallback(async (rowId, file) => {
+    const problem = attachmentFileError(file);
+    if (problem) throw new Error(problem);
+    const saved = await uploadAttachment(table, rowId, file, await makeThumbnail(file));
+    setAttachments(list => [...list, saved]);
+  }, [table]);
+
+  const remove = useCallback(async (attachment) => {
+    await deleteAttachment(attachment.id);
+    setAttachments(list => list.filter(a => a.id !== attachment.id));
+  }, []);
+
+  return { byRow, upload, remove };
+}
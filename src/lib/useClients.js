@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { listClients } from "./repository";
+
+/**
+ * The client registry, plus a lookup by account number. `error` holds the
+ * message if the last load failed.
+ */
+export function useClients() {
+  const [clients, setClients] = useState([]);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(
+    () => listClients()
+      .then((list) => { setClients(list); setError(null); })
+      .catch((e) => setError(e.message)),
+    []
+  );
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const byAccount = useMemo(
+    () => Object.fromEntries(clients.map(c => [c.account_number, c])),
+    [clients]
+  );
+
+  return { clients, byAccount, error, reload };
+}
@@ -0,0 +1,36 @@
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { monthBounds, presetRange } from "./dates";
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Selected date range, kept in the URL of `basePath` so a view can be
+ * bookmarked: ?preset=qtd follows the preset as days pass, ?from=..&to=.. is
+ * a fixed range, and the legacy /app/:year/:month (month 1-12) still opens
+ * one month. Falls back to this month.
+ */
+export function useDateRange(basePath) {
+  const params = useParams();
+  const [search] = useSearchParams();
+  const navigate = useNavigate();
+  const y = Number(params.year);
+  const m = Number(params.month);
+  const from = search.get("from");
+  const to = search.get("to");
+
+  let preset = "custom";
+  let range;
+  if (Number.isInteger(y) && y > 0 && Number.isInteger(m) && m >= 1 && m <= 12) {
+    range = monthBounds(m - 1, y);
+  } else if (DAY.test(from || "") && DAY.test(to || "") && from <= to) {
+    range = { from, to };
+  } else {
+    preset = presetRange(search.get("preset")) ? search.get("preset") : "month";
+    range = presetRange(preset);
+  }
+
+  const setRange = (next) => navigate(next.preset === "custom"
+    ? `${basePath}?from=${next.from}&to=${next.to}`
+    : `${basePath}?preset=${next.preset}`);
+  return { preset, ...range, setRange };
+}
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from "react";
+import { employeeLabel, resolveEmployees } from "./directory";
+
+/**
+ * Directory entries for `ids` (see ./directory.js), with `nameOf(id)` and
+ * `emailOf(id)` lookups that fall back gracefully while loading. `error`
+ * holds the message if the last lookup failed.
+ * @param {string[]} ids
+ */
+export function useDirectory(ids) {
+  const key = Array.from(new Set(ids.filter(Boolean))).sort().join(",");
+  const [entries, setEntries] = useState({});
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+    resolveEmployees(key.split(","))
+      .then((found) => {
+        if (cancelled) return;
+        setEntries(prev => ({ ...prev, ...found }));
+        setError(null);
+      })
+      .catch((e) => !cancelled && setError(e.message));
+    return () => { cancelled = true; };
+  }, [key, version]);
+
+  const nameOf = useCallback((id) => employeeLabel(entries[id], id), [entries]);
+  const emailOf = useCallback((id) => entries[id]?.email ?? null, [entries]);
+  const reload = useCallback(() => setVersion(v => v + 1), []);
+
+  return { nameOf, emailOf, error, reload };
+}
@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+
+const KEY = "inout.displayPrefs";
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * "Show KWD" and "Count pending OUT" toggles, shared by every view and
+ * remembered across reloads.
+ */
+export function useDisplayPrefs() {
+  const [prefs, setPrefs] = useState(() => ({ showKwd: true, includePending: false, ...load() }));
+
+  useEffect(() => {
+    localStorage.setItem(KEY, JSON.stringify(prefs));
+  }, [prefs]);
+
+  const setter = (key) => (v) =>
+    setPrefs((p) => ({ ...p, [key]: typeof v === "function" ? v(p[key]) : v }));
+
+  return {
+    showKwd: prefs.showKwd,
+    setShowKwd: setter("showKwd"),
+    includePending: prefs.includePending,
+    setIncludePending: setter("includePending"),
+  };
+}
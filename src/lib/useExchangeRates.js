@@ -0,0 +1,16 @@
+import { useCallback, useEffect, useState } from "react";
+import { listExchangeRates } from "./repository";
+
+/** Exchange rates for converting amounts to KWD; see ./currencies.js. */
+export function useExchangeRates() {
+  const [rates, setRates] = useState([]);
+
+  const reload = useCallback(
+    () => listExchangeRates().then(setRates).catch((e) => console.error(e)),
+    []
+  );
+
+  useEffect(() => { reload(); }, [reload]);
+
+  return { rates, reload };
+}
@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { sumIn, sumOut } from "./ledger";
+import { fetchTransactions, fetchWithdrawals, subscribeLedger } from "./repository";
+
+const byNewest = (a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0);
+
+/** Replace-or-insert `row` by id, dropping it if it no longer belongs in view. */
+function upsert(rows, row, inView) {
+  const rest = rows.filter(r => r.id !== row.id);
+  return inView(row) ? [row, ...rest].sort(byNewest) : rest;
+}
+
+let tempIds = 0;
+
+/**
+ * IN/OUT rows created in [start, end) (ISO timestamps, e.g. from dayRange()).
+ * Loads once per range/user (`error` holds the message if that fails), then
+ * stays current through subscribeLedger() and optimistic updates from our
+ * own mutations.
+ *
+ * `mutate(table, draft, run)` shows `draft` immediately (a row, or an array
+ * of rows for inserts; rows without an id are treated as new), awaits
+ * `run()`, then swaps in the saved row(s) it resolves to. On failure only
+ * the optimistic changes are rolled back, keeping realtime changes that
+ * arrived meanwhile, and the error is rethrown.
+ */
+export function useLedgerRange({ start, end, forUserId, includePendingOutInTotals, rates }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [inRows, setInRows] = useState([]);
+  const [outRows, setOutRows] = useState([]);
+
+  const inView = useCallback(
+    (row) => row.created_at >= start && row.created_at < end && (!forUserId || row.user_id === forUserId),
+    [start, end, forUserId]
+  );
+
+  const setters = { transactions: setInRows, withdrawals: setOutRows };
+  const rowsRef = useRef({ transactions: inRows, withdrawals: outRows });
+  rowsRef.current = { transactions: inRows, withdrawals: outRows };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    Promise.all([
+      fetchTransactions({ start, end, userId: forUserId }),
+      fetchWithdrawals({ start, end, userId: forUserId }),
+    ])
+      .then(([ins, outs]) => {
+        if (cancelled) return;
+        setInRows(ins);
+        setOutRows(outs);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setInRows([]);
+        setOutRows([]);
+        setError(e.message);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [start, end, forUserId]);
+
+  useEffect(() => subscribeLedger((change) => {
+    const set = setters[change.table];
+    if (!set) return;
+    if (change.type === "DELETE") {
+      set(rows => rows.filter(r => r.id !== change.old?.id));
+    } else {
+      set(rows => upsert(rows, change.row, inView));
+    }
+  }), [inView]); // setters are stable; inView changes with the range
+
+  const mutate = useCallback(async (table, draft, run) => {
+    const set = setters[table];
+    const current = rowsRef.current[table];
+    const drafts = (Array.isArray(draft) ? draft : [draft]).map(d => d.id ? d : {
+      id: `optimistic-${++tempIds}`,
+      created_at: new Date().toISOString(),
+      ...d,
+    });
+    const tempIdSet = new Set(drafts.filter(d => d.id.startsWith("optimistic-")).map(d => d.id));
+    // Versions of the patched rows before this mutation; undefined if not shown.
+    const originals = new Map(drafts.filter(d => !tempIdSet.has(d.id)).map(d => [d.id, current.find(r => r.id === d.id)]));
+    set(rows => drafts.reduce((acc, d) => upsert(acc, { ...acc.find(r => r.id === d.id), ...d }, inView), rows));
+    try {
+      const saved = await run();
+      set(rows => [].concat(saved || []).reduce(
+        (acc, r) => upsert(acc, r, inView),
+        rows.filter(r => !tempIdSet.has(r.id))
+      ));
+      return saved;
+    } catch (e) {
+      set(rows => [...originals].reduce(
+        (acc, [id, original]) => (original ? upsert(acc, original, inView) : acc.filter(r => r.id !== id)),
+        rows.filter(r => !tempIdSet.has(r.id))
+      ));
+      throw e;
+    }
+  }, [inView]);
+
+  // Totals are in KWD; optionally include pending. The listing still shows all.
+  const inTotal = useMemo(() => sumIn(inRows, rates), [inRows, rates]);
+  const outTotalApproved = useMemo(
+    () => sumOut(outRows, includePendingOutInTotals, rates),
+    [outRows, includePendingOutInTotals, rates]
+  );
+
+  return { loading, error, inRows, outRows, inTotal, outTotalApproved, mutate };
+}
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from "react";
+import { listNotifications, markNotificationsRead, subscribeNotifications } from "./repository";
+import { unreadCount } from "./notifications";
+
+/**
+ * The signed-in user's notifications, kept current as new ones arrive, with
+ * the unread count and a way to mark them read.
+ * @param {string|null} userId  the session user; nothing loads without one
+ */
+export function useNotifications(userId) {
+  const [notifications, setNotifications] = useState([]);
+
+  const reload = useCallback(async () => {
+    if (!userId) { setNotifications([]); return; }
+    try {
+      setNotifications(await listNotifications());
+    } catch (e) {
+      console.error(e);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    reload();
+    if (!userId) return;
+    return subscribeNotifications((n) => {
+      setNotifications(list => (list.some(x => x.id === n.id) ? list : [n, ...list]));
+    });
+  }, [userId, reload]);
+
+  const markRead = useCallback(async (ids) => {
+    const at = new Date().toISOString();
+    setNotifications(list => list.map(n => (!n.read_at && (!ids || ids.includes(n.id)) ? { ...n, read_at: at } : n)));
+    try {
+      await markNotificationsRead(ids);
+    } catch (e) {
+      console.error(e);
+      reload();
+    }
+  }, [reload]);
+
+  return { notifications, unread: unreadCount(notifications), markRead, reload };
+}
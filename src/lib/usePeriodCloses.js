@@ -0,0 +1,19 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { listPeriodCloses } from "./repository";
+import { isClosedAt } from "./periods";
+
+/** Closed months (see ./periods.js), plus a check for an entry's date. */
+export function usePeriodCloses() {
+  const [closes, setCloses] = useState([]);
+
+  const reload = useCallback(
+    () => listPeriodCloses().then(setCloses).catch((e) => console.error(e)),
+    []
+  );
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const isClosed = useMemo(() => (createdAt) => isClosedAt(closes, createdAt), [closes]);
+
+  return { closes, isClosed, reload };
+}
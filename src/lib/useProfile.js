@@ -1,34 +1,28 @@
 import { useEffect, useState } from "react";
-import { supabase } from "./supabaseClient";
+import { fetchProfile } from "./repository";
 
+/** The signed-in user's profile; `error` holds the message if loading fails. */
 export function useProfile() {
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
     let ignore = false;
-    (async () => {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) { 
-        setProfile(null); 
-        setLoading(false); 
-        return; 
-      }
-
-      const { data, error } = await supabase
-        .from("profile")
-        .select("user_id, full_name, email, role")
-        .eq("user_id", user.id)
-        .single();
-
-      if (!ignore) {
-        if (error) console.error(error);
+    fetchProfile()
+      .then((data) => {
+        if (ignore) return;
         setProfile(data || null);
-        setLoading(false);
-      }
-    })();
+        setError(null);
+      })
+      .catch((e) => {
+        if (ignore) return;
+        setProfile(null);
+        setError(e.message);
+      })
+      .finally(() => !ignore && setLoading(false));
     return () => { ignore = true; };
   }, []);
 
-  return { profile, loading };
+  return { profile, loading, error };
 }
@@ -0,0 +1,44 @@
+import { useEffect, useRef, useState } from "react";
+import { getSession, noteSessionEnded, onAuthStateChange } from "./auth";
+
+/**
+ * Current auth session. `undefined` while the initial session is still
+ * being read, `null` when signed out — route guards rely on the difference.
+ *
+ * Once the access token's expiry passes the session is read again: the
+ * backend refreshes it if it can, otherwise it becomes `null` and the login
+ * screen explains that the session expired.
+ */
+export function useSession() {
+  const [session, setSession] = useState(undefined);
+  const held = useRef(false);
+  const mounted = useRef(true);
+
+  const update = useRef((s) => {
+    if (!mounted.current) return;
+    if (held.current && !s) noteSessionEnded();
+    held.current = Boolean(s);
+    setSession(s ?? null);
+  }).current;
+
+  useEffect(() => {
+    mounted.current = true;
+    getSession().then(update, () => update(null));
+    const unsubscribe = onAuthStateChange(update);
+    return () => {
+      mounted.current = false;
+      unsubscribe();
+    };
+  }, [update]);
+
+  const expiresAt = session?.expires_at;
+  useEffect(() => {
+    if (!expiresAt) return;
+    // A little after expiry, so an automatic refresh has had its chance.
+    const wait = Math.max(0, expiresAt * 1000 - Date.now()) + 5000;
+    const timer = setTimeout(() => getSession().then(update, () => update(null)), wait);
+    return () => clearTimeout(timer);
+  }, [expiresAt, update]);
+
+  return session;
+}
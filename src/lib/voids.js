@@ -0,0 +1,26 @@
+// Voiding. A mistaken deposit or withdrawal is never deleted: it is marked
+// void with a reason, stays in the history and is left out of every total.
+// void_entry() (supabase/migrations/0010_voids.sql) enforces the same rules;
+// the local backend and the UI use this module.
+
+/** @param {{ voided_at?: string|null }} row */
+export const isVoided = (row) => Boolean(row.voided_at);
+
+/**
+ * Why `actorId` may not void `row` of `table`, or null if allowed. Deposits
+ * can be voided by their owner or a manager; withdrawals by a manager.
+ * @param {"transactions" | "withdrawals"} table
+ * @param {{ actorId: string, isManager: boolean, reason?: string }} ctx
+ */
+export function voidError(table, row, { actorId, isManager, reason }) {
+  if (isVoided(row)) return "This entry is already void.";
+  if (table === "withdrawals" && !isManager) return "Only managers can void withdrawals.";
+  if (table === "transactions" && !isManager && row.user_id !== actorId) return "You can only void your own deposits.";
+  if (!reason || !reason.trim()) return "A reason is required to void an entry.";
+  return null;
+}
+
+/** The fields voiding sets. Assumes voidError() returned null. */
+export function applyVoid({ actorId, reason, at = new Date().toISOString() }) {
+  return { voided_at: at, voided_by: actorId, void_reason: reason.trim() };
+}
@@ -0,0 +1,83 @@
+// Withdrawal approval rules. The database enforces the same rules in
+// decide_withdrawal() (supabase/migrations/0004_withdrawal_workflow.sql,
+// redefined by 0008_currencies.sql, 0010_voids.sql and
+// 0015_business_day_rates.sql); the local backend and the UI use this
+// module.
+
+import { toBase } from "./currencies";
+import { isVoided } from "./voids";
+
+/** @typedef {"approve" | "reject" | "reopen" | "cancel"} Decision */
+
+export const DECISIONS = ["approve", "reject", "reopen", "cancel"];
+
+/**
+ * Approvals needed before a withdrawal becomes "approved": two different
+ * managers above the threshold, one otherwise. Both are in KWD. A null
+ * threshold disables dual approval; a null amount (no exchange rate yet)
+ * needs one approval, as in SQL, where `null > threshold` is not true.
+ */
+export function requiredApprovals(amount, threshold) {
+  return amount != null && threshold != null && Number(amount) > Number(threshold) ? 2 : 1;
+}
+
+/**
+ * Why `actorId` may not take `decision` on withdrawal `w`, or null if allowed.
+ * "cancel" is the employee's own action on a request still pending; the
+ * others are for managers.
+ * @param {import("./repository").Withdrawal} w
+ * @param {Decision} decision
+ * @param {{ actorId: string, note?: string }} ctx
+ */
+export function decisionError(w, decision, { actorId, note }) {
+  const hasNote = Boolean(note && note.trim());
+  if (isVoided(w)) return "This request has been voided.";
+  switch (decision) {
+    case "approve":
+      if (w.status !== "pending") return "Only pending requests can be approved.";
+      if (w.user_id === actorId) return "You cannot approve your own request.";
+      if ((w.approved_by || []).includes(actorId)) return "You already approved this request.";
+      return null;
+    case "reject":
+      if (w.status !== "pending") return "Only pending requests can be rejected.";
+      if (w.user_id === actorId) return "You cannot reject your own request.";
+      if (!hasNote) return "A rejection reason is required.";
+      return null;
+    case "reopen":
+      if (w.status === "pending") return "Request is already pending.";
+      if (w.status === "cancelled") return "Cancelled requests cannot be reopened.";
+      if (!hasNote) return "A reason is required to reopen a decided request.";
+      return null;
+    case "cancel":
+      if (w.user_id !== actorId) return "You can only cancel your own request.";
+      if (w.status !== "pending") return "Only pending requests can be cancelled.";
+      return null;
+    default:
+      return `Unknown decision "${decision}".`;
+  }
+}
+
+/**
+ * The fields a decision changes. Assumes decisionError() returned null.
+ * `rates` convert the amount to KWD for the threshold check.
+ * @returns {{ status: string, approved_by: string[], status_note: string|null }}
+ */
+export function applyDecision(w, decision, { actorId, note, threshold, rates = [] }) {
+  const cleanNote = note?.trim() || null;
+  if (decision === "approve") {
+    const approved_by = [...(w.approved_by || []), actorId];
+    const done = approved_by.length >= requiredApprovals(toBase(w, rates), threshold);
+    return {
+      status: done ? "approved" : "pending",
+      approved_by,
+      status_note: cleanNote ?? w.status_note ?? null,
+    };
+  }
+  if (decision === "reject") {
+    return { status: "rejected", approved_by: w.approved_by || [], status_note: cleanNote };
+  }
+  if (decision === "cancel") {
+    return { status: "cancelled", approved_by: w.approved_by || [], status_note: cleanNote };
+  }
+  return { status: "pending", approved_by: [], status_note: cleanNote };
+}
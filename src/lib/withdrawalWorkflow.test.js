@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { applyDecision, decisionError, requiredApprovals } from "./withdrawalWorkflow";
+
+const pending = { id: "w1", user_id: "emp", amount: 500, currency: "KWD", status: "pending", approved_by: [], status_note: null };
+
+describe("requiredApprovals", () => {
+  it("needs two approvals only above the threshold", () => {
+    expect(requiredApprovals(1000, 1000)).toBe(1);
+    expect(requiredApprovals(1000.001, 1000)).toBe(2);
+    expect(requiredApprovals(5000, null)).toBe(1);
+  });
+
+  it("needs one approval when the amount has no rate, like SQL", () => {
+    expect(requiredApprovals(null, 1000)).toBe(1);
+  });
+});
+
+describe("decisionError", () => {
+  it("stops managers deciding their own requests", () => {
+    expect(decisionError(pending, "approve", { actorId: "emp" })).toBe("You cannot approve your own request.");
+    expect(decisionError(pending, "reject", { actorId: "emp", note: "no" })).toBe("You cannot reject your own request.");
+  });
+
+  it("requires a reason to reject or reopen", () => {
+    expect(decisionError(pending, "reject", { actorId: "mgr", note: " " })).toBe("A rejection reason is required.");
+    const approved = { ...pending, status: "approved" };
+    expect(decisionError(approved, "reopen", { actorId: "mgr" })).toBe("A reason is required to reopen a decided request.");
+    expect(decisionError(approved, "reopen", { actorId: "mgr", note: "typo" })).toBeNull();
+  });
+
+  it("refuses a second approval by the same manager", () => {
+    expect(decisionError({ ...pending, approved_by: ["mgr"] }, "approve", { actorId: "mgr" }))
+      .toBe("You already approved this request.");
+  });
+
+  it("lets only the requester cancel, and only while pending", () => {
+    expect(decisionError(pending, "cancel", { actorId: "emp" })).toBeNull();
+    expect(decisionError(pending, "cancel", { actorId: "mgr" })).toBe("You can only cancel your own request.");
+    expect(decisionError({ ...pending, status: "rejected" }, "cancel", { actorId: "emp" }))
+      .toBe("Only pending requests can be cancelled.");
+  });
+
+  it("refuses every decision on a voided request", () => {
+    expect(decisionError({ ...pending, voided_at: "2026-01-01T00:00:00Z" }, "approve", { actorId: "mgr" }))
+      .toBe("This request has been voided.");
+  });
+});
+
+describe("applyDecision", () => {
+  it("approves at once below the threshold", () => {
+    expect(applyDecision(pending, "approve", { actorId: "mgr", threshold: 1000 }))
+      .toEqual({ status: "approved", approved_by: ["mgr"], status_note: null });
+  });
+
+  it("stays pending after the first of two approvals", () => {
+    const big = { ...pending, amount: 2000 };
+    const first = applyDecision(big, "approve", { actorId: "m1", threshold: 1000 });
+    expect(first).toMatchObject({ status: "pending", approved_by: ["m1"] });
+    expect(applyDecision({ ...big, ...first }, "approve", { actorId: "m2", threshold: 1000 }))
+      .toMatchObject({ status: "approved", approved_by: ["m1", "m2"] });
+  });
+
+  it("compares foreign amounts in KWD", () => {
+    const usd = { ...pending, amount: 2000, currency: "USD", created_at: "2026-01-10T10:00:00Z" };
+    const rates = [{ currency: "USD", rate: 0.3, effective_date: "2026-01-01" }];
+    expect(applyDecision(usd, "approve", { actorId: "mgr", threshold: 1000, rates }).status).toBe("approved");
+    expect(applyDecision(usd, "approve", { actorId: "mgr", threshold: 500, rates }).status).toBe("pending");
+  });
+
+  it("clears approvals when reopening", () => {
+    const approved = { ...pending, status: "approved", approved_by: ["mgr"] };
+    expect(applyDecision(approved, "reopen", { actorId: "mgr", note: " recheck " }))
+      .toEqual({ status: "pending", approved_by: [], status_note: "recheck" });
+  });
+});
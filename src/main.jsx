@@ -1,7 +1,7 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
-import App from './App.jsx'
+import AppRouter from './AppRouter.jsx'
 
 const rootEl = document.getElementById('root')
 const root = createRoot(rootEl)
-root.render(<App />)
+root.render(<AppRouter />)
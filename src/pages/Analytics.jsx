@@ -0,0 +1,144 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { useSession } from "../lib/useSession";
+import { useProfile } from "../lib/useProfile";
+import { useDisplayPrefs } from "../lib/useDisplayPrefs";
+import { useExchangeRates } from "../lib/useExchangeRates";
+import { currency } from "../lib/format";
+import { fetchTransactions, fetchWithdrawals } from "../lib/repository";
+import { monthlySeries, topClients, trailingMonths } from "../lib/analytics";
+import { businessParts } from "../lib/dates";
+import { isManagerRole } from "../lib/roles";
+
+const GREEN = "#16a34a";
+const RED = "#dc2626";
+const BLUE = "#2563eb";
+const AMBER = "#d97706";
+
+export default function Analytics() {
+  const session = useSession();
+  const { profile, loading: profileLoading, error: profileError } = useProfile();
+  const { showKwd, setShowKwd, includePending, setIncludePending } = useDisplayPrefs();
+  const { rates } = useExchangeRates();
+  const [months, setMonths] = useState(12);
+  const [rows, setRows] = useState(null); // { inRows, outRows }
+  const [error, setError] = useState("");
+
+  const { month: endMonth, year: endYear } = businessParts();
+  const forUserId = isManagerRole(profile?.role) ? null : session?.user?.id ?? null;
+
+  useEffect(() => {
+    if (profileLoading || !session) return;
+    let cancelled = false;
+    const { start, end } = trailingMonths(months, endMonth, endYear);
+    setRows(null);
+    Promise.all([
+      fetchTransactions({ start, end, userId: forUserId }),
+      fetchWithdrawals({ start, end, userId: forUserId }),
+    ])
+      .then(([inRows, outRows]) => !cancelled && setRows({ inRows, outRows }))
+      .catch((e) => !cancelled && setError(e.message));
+    return () => { cancelled = true; };
+  }, [months, endMonth, endYear, forUserId, profileLoading, session]);
+
+  const series = useMemo(
+    () => rows ? monthlySeries({ ...rows, months, endMonth, endYear, includePending, rates }) : [],
+    [rows, months, endMonth, endYear, includePending, rates]
+  );
+  const clients = useMemo(() => rows ? topClients(rows.inRows, 10, rates) : [], [rows, rates]);
+
+  const money = (v) => currency(v, showKwd);
+  const axis = (v) => currency(v, false);
+  const outLabel = includePending ? "OUT (approved+pending)" : "OUT (approved)";
+
+  return (
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>Analytics</h1>
+          <div className="spacer" />
+          <select className="input" value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+            <option value={12}>Last 12 months</option>
+            <option value={24}>Last 24 months</option>
+          </select>
+          <button className="btn" onClick={() => setShowKwd(v => !v)}>
+            {showKwd ? "Hide KWD" : "Show KWD"}
+          </button>
+          <button className="btn" onClick={() => setIncludePending(v => !v)}>
+            {includePending ? "Exclude pending OUT" : "Count pending OUT"}
+          </button>
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+        {forUserId && <div className="muted mt8">Showing your own entries.</div>}
+      </div>
+
+      {profileError && <div className="card error">Could not load your profile: {profileError}</div>}
+      {error && <div className="card error">{error}</div>}
+      {!rows && !error && <div className="card muted">Loading…</div>}
+
+      {rows && (
+        <>
+          <div className="card">
+            <h2>IN vs OUT and net profit</h2>
+            <ResponsiveContainer width="100%" height={320}>
+              <ComposedChart data={series}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis tickFormatter={axis} width={90} />
+                <Tooltip formatter={money} />
+                <Legend />
+                <Bar dataKey="in" name="IN" fill={GREEN} />
+                <Bar dataKey="out" name={outLabel} fill={RED} />
+                <Line dataKey="net" name="Net profit" stroke={BLUE} strokeWidth={2} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="card">
+            <h2>Deposits by period</h2>
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={series}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis tickFormatter={axis} width={90} />
+                <Tooltip formatter={money} />
+                <Legend />
+                <Bar dataKey="monthly" name="Monthly" stackId="period" fill={GREEN} />
+                <Bar dataKey="yearly" name="Yearly" stackId="period" fill={AMBER} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="card">
+            <h2>Top client accounts (IN)</h2>
+            {clients.length === 0 ? (
+              <div className="muted">No deposits in this range.</div>
+            ) : (
+              <ResponsiveContainer width="100%" height={Math.max(160, clients.length * 36)}>
+                <BarChart data={clients} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" tickFormatter={axis} />
+                  <YAxis type="category" dataKey="label" width={180} />
+                  <Tooltip formatter={money} />
+                  <Bar dataKey="total" name="IN" fill={GREEN} />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { currency } from "../lib/format";
+import { clientLedgerLines } from "../lib/ledger";
+import { isVoided } from "../lib/voids";
+import { fetchClientActivity, fetchClientBalance } from "../lib/repository";
+import { useClients } from "../lib/useClients";
+import { useDisplayPrefs } from "../lib/useDisplayPrefs";
+import { useExchangeRates } from "../lib/useExchangeRates";
+
+export default function ClientLedger() {
+  const { account } = useParams();
+  const { byAccount, error: clientsError } = useClients();
+  const { showKwd } = useDisplayPrefs();
+  const { rates } = useExchangeRates();
+  const [activity, setActivity] = useState(null);
+  const [balance, setBalance] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setActivity(null);
+    setError("");
+    Promise.all([fetchClientActivity(account), fetchClientBalance(account)])
+      .then(([a, b]) => {
+        if (cancelled) return;
+        setActivity(a);
+        setBalance(b);
+      })
+      .catch((e) => !cancelled && setError(e.message));
+    return () => { cancelled = true; };
+  }, [account]);
+
+  const lines = useMemo(
+    () => activity ? clientLedgerLines(activity.transactions, activity.withdrawals, rates) : [],
+    [activity, rates]
+  );
+  const client = byAccount[account];
+  const partial = balance && lines.length && lines[lines.length - 1].balance !== balance.balance;
+
+  return (
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>{client?.name || account}</h1>
+          <span className="muted">{account}</span>
+          <div className="spacer" />
+          <Link className="btn" to={`/statements?client=${encodeURIComponent(account)}`}>Statement</Link>
+          <Link className="btn" to="/clients">All clients</Link>
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+        {client && (client.phone || client.email) && (
+          <div className="muted mt8">{[client.phone, client.email].filter(Boolean).join(" · ")}</div>
+        )}
+      </div>
+
+      {error && <div className="card error">{error}</div>}
+      {clientsError && <div className="card error">Could not load clients: {clientsError}</div>}
+
+      {balance && (
+        <div className="metrics row wrap">
+          <div className="metric green">
+            <div className="metric-title">Deposits</div>
+            <div className="metric-value">{currency(balance.deposits, showKwd)}</div>
+          </div>
+          <div className="metric red">
+            <div className="metric-title">Approved withdrawals</div>
+            <div className="metric-value">{currency(balance.withdrawn, showKwd)}</div>
+          </div>
+          <div className={`metric ${balance.balance >= 0 ? "green" : "red"}`}>
+            <div className="metric-title">Balance ({currency(balance.pending, showKwd)} pending)</div>
+            <div className="metric-value">{currency(balance.balance, showKwd)}</div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <h2>Ledger</h2>
+        {partial ? (
+          <div className="muted">Only your own entries are listed; the totals above cover all employees.</div>
+        ) : null}
+        <table className="table">
+          <thead>
+            <tr><th>Date</th><th>Type</th><th>Amount</th><th>Status</th><th>Note</th><th>Balance</th></tr>
+          </thead>
+          <tbody>
+            {!activity && !error && <tr><td colSpan="6" className="muted">Loading…</td></tr>}
+            {activity && lines.length === 0 && <tr><td colSpan="6" className="muted">No activity.</td></tr>}
+            {lines.map(l => (
+              <tr key={`${l.kind}-${l.id}`}>
+                <td>{new Date(l.created_at).toLocaleString()}</td>
+                <td>{l.kind === "IN" ? `IN (${l.period})` : "OUT"}</td>
+                <td>{l.kind === "IN" ? "+" : "−"}{currency(l.amount, showKwd, l.currency)}</td>
+                <td>
+                  {isVoided(l) ? <span className="pill voided">voided</span>
+                    : l.kind === "OUT" ? <span className={`pill ${l.status}`}>{l.status}</span> : "-"}
+                </td>
+                <td>{isVoided(l) ? l.void_reason : l.note || "-"}</td>
+                <td><b>{currency(l.balance, showKwd)}</b></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
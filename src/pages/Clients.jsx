@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { createClient, updateClient } from "../lib/repository";
+import { useClients } from "../lib/useClients";
+import { useProfile } from "../lib/useProfile";
+import { useSession } from "../lib/useSession";
+import { isOrgAdmin } from "../lib/roles";
+
+const EMPTY = { account_number: "", name: "", phone: "", email: "", notes: "" };
+
+const clean = (form) => ({
+  account_number: form.account_number.trim(),
+  name: form.name.trim(),
+  phone: form.phone.trim() || null,
+  email: form.email.trim() || null,
+  notes: form.notes.trim() || null,
+});
+
+function ClientFields({ form, setForm }) {
+  const field = (key, placeholder, type = "text") => (
+    <input
+      type={type}
+      className="input"
+      placeholder={placeholder}
+      value={form[key] ?? ""}
+      onChange={(e) => setForm(f => ({ ...f, [key]: e.target.value }))}
+    />
+  );
+  return (
+    <>
+      {field("account_number", "Account #")}
+      {field("name", "Name")}
+      {field("phone", "Phone", "tel")}
+      {field("email", "Email", "email")}
+      {field("notes", "Notes")}
+    </>
+  );
+}
+
+export default function Clients() {
+  const { clients, error: loadError, reload } = useClients();
+  const session = useSession();
+  const { profile } = useProfile();
+  // Same rule as the clients_update policy.
+  const canEdit = (c) => isOrgAdmin(profile?.role) || c.created_by === session?.user?.id;
+  const [form, setForm] = useState(EMPTY);
+  const [edit, setEdit] = useState(null); // { id, ...fields }
+  const [query, setQuery] = useState("");
+  const [error, setError] = useState("");
+
+  async function add() {
+    const values = clean(form);
+    if (!values.account_number || !values.name) { setError("Account # and name are required."); return; }
+    setError("");
+    try {
+      await createClient(values);
+      setForm(EMPTY);
+      await reload();
+    } catch (e) { setError(e.message); }
+  }
+
+  async function save() {
+    const values = clean(edit);
+    if (!values.account_number || !values.name) { setError("Account # and name are required."); return; }
+    setError("");
+    try {
+      await updateClient(edit.id, values);
+      setEdit(null);
+      await reload();
+    } catch (e) { setError(e.message); }
+  }
+
+  const q = query.trim().toLowerCase();
+  const shown = q
+    ? clients.filter(c => [c.account_number, c.name, c.phone, c.email].some(v => v?.toLowerCase().includes(q)))
+    : clients;
+
+  return (
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>Clients</h1>
+          <div className="spacer" />
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+      </div>
+
+      {loadError && <div className="card error">Could not load clients: {loadError}</div>}
+
+      <div className="card">
+        <h2>Register client</h2>
+        <div className="row wrap gap8">
+          <ClientFields form={form} setForm={setForm} />
+          <button className="btn-primary" onClick={add}>Add client</button>
+        </div>
+        {error && <div className="error mt8">{error}</div>}
+      </div>
+
+      <div className="card">
+        <div className="row wrap">
+          <h2>Registry</h2>
+          <div className="spacer" />
+          <input className="input" placeholder="Search" value={query} onChange={(e) => setQuery(e.target.value)} />
+        </div>
+        <table className="table">
+          <thead>
+            <tr><th>Account #</th><th>Name</th><th>Contact</th><th>Notes</th><th></th></tr>
+          </thead>
+          <tbody>
+            {shown.length === 0 && (
+              <tr><td colSpan="5" className="muted">No clients.</td></tr>
+            )}
+            {shown.map(c => edit?.id === c.id ? (
+              <tr key={c.id}>
+                <td colSpan="4">
+                  <div className="row wrap gap8"><ClientFields form={edit} setForm={setEdit} /></div>
+                </td>
+                <td>
+                  <div className="row-actions">
+                    <button className="btn-primary" onClick={save}>Save</button>
+                    <button className="btn" onClick={() => setEdit(null)}>Cancel</button>
+                  </div>
+                </td>
+              </tr>
+            ) : (
+              <tr key={c.id}>
+                <td><Link to={`/clients/${encodeURIComponent(c.account_number)}`}>{c.account_number}</Link></td>
+                <td>{c.name}</td>
+                <td>
+                  <div className="col">
+                    {c.phone && <span>{c.phone}</span>}
+                    {c.email && <span className="muted">{c.email}</span>}
+                    {!c.phone && !c.email && "-"}
+                  </div>
+                </td>
+                <td>{c.notes || "-"}</td>
+                <td>
+                  {canEdit(c) && <button className="btn" onClick={() => setEdit({ ...EMPTY, ...c })}>Edit</button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
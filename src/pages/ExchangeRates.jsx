@@ -0,0 +1,136 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { deleteExchangeRate, saveExchangeRates } from "../lib/repository";
+import { BASE_CURRENCY, CURRENCY_CODES } from "../lib/currencies";
+import { isoDate } from "../lib/dates";
+import { parseRatesFile } from "../lib/importCsv";
+import { useExchangeRates } from "../lib/useExchangeRates";
+import { useProfile } from "../lib/useProfile";
+import { isOrgAdmin } from "../lib/roles";
+
+const FOREIGN = CURRENCY_CODES.filter(c => c !== BASE_CURRENCY);
+
+const emptyForm = () => ({ currency: FOREIGN[0], rate: "", effective_date: isoDate() });
+
+export default function ExchangeRates() {
+  const { rates, reload } = useExchangeRates();
+  const { profile } = useProfile();
+  const canEdit = isOrgAdmin(profile?.role);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+  const [importNote, setImportNote] = useState("");
+
+  async function add() {
+    const rate = Number(form.rate);
+    if (!(rate > 0) || !form.effective_date) { setError("A positive rate and an effective date are required."); return; }
+    setError("");
+    try {
+      await saveExchangeRates([{ currency: form.currency, rate, effective_date: form.effective_date }]);
+      setForm(emptyForm());
+      await reload();
+    } catch (e) { setError(e.message); }
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    setError("");
+    setImportNote("");
+    try {
+      const { rows, missing } = await parseRatesFile(file);
+      if (missing.length) { setError(`Missing column(s): ${missing.join(", ")}`); return; }
+      const bad = rows.filter(r => r.errors.length);
+      if (bad.length) {
+        setError(bad.map(r => `Line ${r.line}: ${r.errors.join("; ")}`).join("\n"));
+        return;
+      }
+      await saveExchangeRates(rows.map(r => r.value));
+      setImportNote(`Imported ${rows.length} rate${rows.length === 1 ? "" : "s"}.`);
+      await reload();
+    } catch (e) { setError(e.message); }
+  }
+
+  async function remove(r) {
+    if (!window.confirm(`Delete the ${r.currency} rate effective ${r.effective_date}?`)) return;
+    try {
+      await deleteExchangeRate(r.id);
+      await reload();
+    } catch (e) { setError(e.message); }
+  }
+
+  return (
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>Exchange rates</h1>
+          <div className="spacer" />
+          <Link className="btn" to="/manager">Manager dashboard</Link>
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+        <div className="muted mt8">
+          Rates are {BASE_CURRENCY} per unit of the currency and apply from their effective date until the next one.
+          {!canEdit && " Only org admins can change them."}
+        </div>
+      </div>
+
+      {canEdit && (
+        <div className="card">
+          <h2>Add rate</h2>
+          <div className="row wrap gap8">
+            <select className="input" value={form.currency} onChange={(e) => setForm(f => ({ ...f, currency: e.target.value }))}>
+              {FOREIGN.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+            <input
+              type="number"
+              step="any"
+              className="input"
+              placeholder={`${BASE_CURRENCY} per unit`}
+              value={form.rate}
+              onChange={(e) => setForm(f => ({ ...f, rate: e.target.value }))}
+            />
+            <input
+              type="date"
+              className="input"
+              value={form.effective_date}
+              onChange={(e) => setForm(f => ({ ...f, effective_date: e.target.value }))}
+            />
+            <button className="btn-primary" onClick={add}>Save rate</button>
+            <div className="spacer" />
+            <label className="btn">
+              Import CSV…
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                hidden
+                onChange={(e) => { importFile(e.target.files?.[0]); e.target.value = ""; }}
+              />
+            </label>
+            <span className="muted">Columns: currency, rate, effective_date</span>
+          </div>
+          {error && <div className="error mt8" style={{ whiteSpace: "pre-line" }}>{error}</div>}
+          {importNote && <div className="muted mt8">{importNote}</div>}
+        </div>
+      )}
+
+      <div className="card">
+        <table className="table">
+          <thead>
+            <tr><th>Currency</th><th>Rate ({BASE_CURRENCY})</th><th>Effective from</th><th></th></tr>
+          </thead>
+          <tbody>
+            {rates.length === 0 && (
+              <tr><td colSpan="4" className="muted">No rates yet.</td></tr>
+            )}
+            {rates.map(r => (
+              <tr key={r.id}>
+                <td>{r.currency}</td>
+                <td>{Number(r.rate)}</td>
+                <td>{r.effective_date}</td>
+                <td>{canEdit && <button className="btn" onClick={() => remove(r)}>Delete</button>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
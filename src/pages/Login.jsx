@@ -0,0 +1,204 @@
+import { useState } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import {
+  credentialsError,
+  emailError,
+  resendConfirmation,
+  resetPassword,
+  sessionExpired,
+  signIn,
+  signUp,
+} from "../lib/auth";
+import { useSession } from "../lib/useSession";
+
+const TITLES = { signin: "Sign in", signup: "Create an account", forgot: "Reset your password" };
+
+/** Sign-in, sign-up and forgotten-password forms. */
+export default function Login() {
+  const session = useSession();
+  const location = useLocation();
+  const [mode, setMode] = useState("signin");
+  const [email, setEmail] = useState("");
+
+  if (session === undefined) return null;
+  if (session) return <Navigate to={location.state?.from || "/app"} replace />;
+
+  return (
+    <div className="page narrow-page">
+      <div className="card">
+        <h1>INOUT</h1>
+        <h2>{TITLES[mode]}</h2>
+        {mode === "signin" && sessionExpired() && (
+          <div className="muted mb8">Your session expired. Please sign in again.</div>
+        )}
+        {mode === "signin" && <SignInForm email={email} setEmail={setEmail} />}
+        {mode === "signup" && <SignUpForm email={email} setEmail={setEmail} />}
+        {mode === "forgot" && <ForgotForm email={email} setEmail={setEmail} />}
+
+        <div className="row wrap gap8 mt8">
+          {mode !== "signin" && <button className="link" onClick={() => setMode("signin")}>Back to sign in</button>}
+          {mode === "signin" && <button className="link" onClick={() => setMode("signup")}>Create an account</button>}
+          {mode === "signin" && <button className="link" onClick={() => setMode("forgot")}>Forgot password?</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function EmailField({ email, setEmail }) {
+  return (
+    <label className="col">
+      Email
+      <input
+        className="input"
+        type="email"
+        autoComplete="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+      />
+    </label>
+  );
+}
+
+function PasswordField({ label, value, onChange, autoComplete }) {
+  return (
+    <label className="col">
+      {label}
+      <input
+        className="input"
+        type="password"
+        autoComplete={autoComplete}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </label>
+  );
+}
+
+/** Resends the sign-up confirmation email, reporting the outcome inline. */
+function ResendConfirmation({ email }) {
+  const [note, setNote] = useState("");
+  async function resend() {
+    try {
+      await resendConfirmation(email.trim());
+      setNote("Confirmation email sent.");
+    } catch (e) { setNote(e.message); }
+  }
+  return (
+    <div className="row wrap gap8 mt8">
+      <button type="button" className="btn" onClick={resend}>Resend confirmation email</button>
+      {note && <span className="muted">{note}</span>}
+    </div>
+  );
+}
+
+function SignInForm({ email, setEmail }) {
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [unconfirmed, setUnconfirmed] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    const problem = credentialsError({ email, password });
+    if (problem) { setError(problem); return; }
+    setBusy(true);
+    setError("");
+    setUnconfirmed(false);
+    try {
+      await signIn(email.trim(), password);
+    } catch (err) {
+      setError(err.message);
+      setUnconfirmed(/not confirmed/i.test(err.message));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form className="col gap8" onSubmit={submit}>
+      <EmailField email={email} setEmail={setEmail} />
+      <PasswordField label="Password" value={password} onChange={setPassword} autoComplete="current-password" />
+      {error && <div className="error">{error}</div>}
+      {unconfirmed && <ResendConfirmation email={email} />}
+      <button className="btn-primary" type="submit" disabled={busy}>{busy ? "Signing in…" : "Sign in"}</button>
+    </form>
+  );
+}
+
+function SignUpForm({ email, setEmail }) {
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    const problem = credentialsError({ email, password, confirm });
+    if (problem) { setError(problem); return; }
+    setBusy(true);
+    setError("");
+    try {
+      const { needsConfirmation } = await signUp(email.trim(), password);
+      setSent(needsConfirmation);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (sent) {
+    return (
+      <div>
+        <p>We sent a confirmation link to <b>{email.trim()}</b>. Open it, then sign in.</p>
+        <ResendConfirmation email={email} />
+      </div>
+    );
+  }
+
+  return (
+    <form className="col gap8" onSubmit={submit}>
+      <EmailField email={email} setEmail={setEmail} />
+      <PasswordField label="Password" value={password} onChange={setPassword} autoComplete="new-password" />
+      <PasswordField label="Repeat password" value={confirm} onChange={setConfirm} autoComplete="new-password" />
+      {error && <div className="error">{error}</div>}
+      <button className="btn-primary" type="submit" disabled={busy}>{busy ? "Creating account…" : "Create account"}</button>
+    </form>
+  );
+}
+
+function ForgotForm({ email, setEmail }) {
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    const problem = emailError(email);
+    if (problem) { setError(problem); return; }
+    setBusy(true);
+    setError("");
+    try {
+      await resetPassword(email.trim());
+      setSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (sent) {
+    return <p>If <b>{email.trim()}</b> has an account, a link to choose a new password is on its way.</p>;
+  }
+
+  return (
+    <form className="col gap8" onSubmit={submit}>
+      <EmailField email={email} setEmail={setEmail} />
+      {error && <div className="error">{error}</div>}
+      <button className="btn-primary" type="submit" disabled={busy}>{busy ? "Sending…" : "Send reset link"}</button>
+    </form>
+  );
+}
@@ -1,58 +1,377 @@
-import { useEffect, useState } from "react";
-import { supabase } from "../lib/supabaseClient";
+import { useEffect, useMemo, useState } from "react";
+import { Link, useLocation, useParams } from "react-router-dom";
+import { currency } from "../lib/format";
+import { perEmployeeTotals, sumIn, sumOut } from "../lib/ledger";
+import { dayRange, isoDate } from "../lib/dates";
+import { delta, leaderboard, pendingAging, previousRange } from "../lib/dashboard";
+import { topClients } from "../lib/analytics";
+import { subtractAmounts } from "../lib/money";
+import { fetchTransactions, fetchWithdrawals, listProfiles, listTeamMembers, listTeams } from "../lib/repository";
+import { ROLES, ROLE_LABELS } from "../lib/roles";
+import { useDateRange } from "../lib/useDateRange";
+import { useDirectory } from "../lib/useDirectory";
+import { useExchangeRates } from "../lib/useExchangeRates";
+import DataTable from "../components/DataTable";
+import DateRangePicker from "../components/DateRangePicker";
+import Metric from "../components/Metric";
 
+const ROLE_FILTER = {
+  key: "role",
+  label: "Any role",
+  options: ROLES.map(r => ({ value: r, label: ROLE_LABELS[r] })),
+  value: (u) => u.role,
+};
+
+const EMPTY_TOTALS = { inTotal: 0, outTotal: 0, net: 0, pendingCount: 0 };
+
+const rangeLabel = ({ from, to }) => (from === to ? from : `${from} – ${to}`);
+
+/** Change against the comparison period, green when up and red when down. */
+function Delta({ current, previous }) {
+  const { change, pct } = delta(current, previous);
+  if (!change) return <span className="muted">no change</span>;
+  return (
+    <span className={change > 0 ? "up" : "down"}>
+      {change > 0 ? "+" : "−"}{currency(Math.abs(change))}
+      {pct != null && ` (${change > 0 ? "+" : "−"}${Math.abs(pct).toFixed(1)}%)`}
+    </span>
+  );
+}
+
+/**
+ * Team KPIs for a date range compared with the previous period, leaderboards
+ * and open withdrawal requests by age. /manager/employees/:id is the same
+ * view narrowed to one employee, with their client portfolio and entries.
+ */
 export default function ManagerDashboard() {
+  const { id: employeeId } = useParams();
+  const { search } = useLocation();
+  const { preset, from, to, setRange } = useDateRange(employeeId ? `/manager/employees/${employeeId}` : "/manager");
+  const previous = useMemo(() => previousRange({ from, to }), [from, to]);
   const [users, setUsers] = useState([]);
-  const [tx, setTx] = useState([]);
-  const [wd, setWd] = useState([]);
+  const [data, setData] = useState(null); // { tx, wd, prevTx, prevWd, pending }
+  const [error, setError] = useState("");
+  const [loadError, setLoadError] = useState("");
+  const [teams, setTeams] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [teamId, setTeamId] = useState("");
+  const { rates } = useExchangeRates();
 
   useEffect(() => {
-    (async () => {
-      const { data: profiles } = await supabase
-        .from("profile")
-        .select("user_id, full_name, email, role")
-        .order("role", { ascending: false });
-
-      const { data: transactions } = await supabase
-        .from("transactions")
-        .select("id, user_id, amount, note, created_at")
-        .order("created_at", { ascending: false })
-        .limit(200);
-
-      const { data: withdrawals } = await supabase
-        .from("withdrawals")
-        .select("id, user_id, amount, preference, status, updated_at")
-        .order("updated_at", { ascending: false })
-        .limit(200);
-
-      setUsers(profiles || []);
-      setTx(transactions || []);
-      setWd(withdrawals || []);
-    })();
+    Promise.all([listTeams(), listTeamMembers(), listProfiles()])
+      .then(([t, m, p]) => { setTeams(t); setMembers(m); setUsers(p); })
+      .catch((e) => setError(e.message));
   }, []);
 
+  // Everything is already limited to the teams you manage; picking a team
+  // narrows it further.
+  const teamUserIds = useMemo(
+    () => teamId ? members.filter(m => m.team_id === teamId).map(m => m.user_id) : null,
+    [teamId, members]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    const scope = { userId: employeeId, userIds: employeeId ? undefined : teamUserIds ?? undefined };
+    const current = { ...dayRange(from, to), ...scope };
+    const before = { ...dayRange(previous.from, previous.to), ...scope };
+    const today = isoDate();
+    setData(null);
+    setLoadError("");
+    Promise.all([
+      fetchTransactions(current),
+      fetchWithdrawals(current),
+      fetchTransactions(before),
+      fetchWithdrawals(before),
+      // Aging covers every open request, however old.
+      fetchWithdrawals({ end: dayRange(today, today).end, status: "pending", ...scope }),
+    ])
+      .then(([tx, wd, prevTx, prevWd, pending]) => !cancelled && setData({ tx, wd, prevTx, prevWd, pending }))
+      .catch((e) => !cancelled && setLoadError(e.message));
+    return () => { cancelled = true; };
+  }, [employeeId, teamUserIds, from, to, previous]);
+
+  const kpis = useMemo(() => {
+    if (!data) return null;
+    const summary = (tx, wd) => {
+      const inTotal = sumIn(tx, rates);
+      const outTotal = sumOut(wd, false, rates);
+      return { inTotal, outTotal, net: subtractAmounts(inTotal, outTotal) };
+    };
+    return {
+      current: summary(data.tx, data.wd),
+      previous: summary(data.prevTx, data.prevWd),
+      perEmployee: perEmployeeTotals(data.tx, data.wd, false, rates),
+      previousPerEmployee: perEmployeeTotals(data.prevTx, data.prevWd, false, rates),
+      aging: pendingAging(data.pending, rates),
+    };
+  }, [data, rates]);
+
+  const { nameOf, emailOf, error: namesError } = useDirectory([
+    ...users.map(u => u.id),
+    ...(data?.pending ?? []).map(w => w.user_id),
+    employeeId,
+  ]);
+  const totalsOf = (uid) => kpis?.perEmployee.get(uid) || EMPTY_TOTALS;
+  const previousOf = (uid) => kpis?.previousPerEmployee.get(uid) || EMPTY_TOTALS;
+  const employeeLink = (uid) => <Link to={`/manager/employees/${uid}${search}`}>{nameOf(uid)}</Link>;
+
+  const employeeColumns = [
+    {
+      key: "name",
+      header: "Employee",
+      sortValue: (u) => nameOf(u.id),
+      render: (u) => (
+        <div className="col">
+          {employeeLink(u.id)}
+          {emailOf(u.id) && <span className="muted">{emailOf(u.id)}</span>}
+        </div>
+      ),
+    },
+    { key: "role", header: "Role", sortValue: (u) => u.role, render: (u) => ROLE_LABELS[u.role] || u.role },
+    {
+      key: "in",
+      header: "IN (KWD)",
+      sortValue: (u) => totalsOf(u.id).inTotal,
+      render: (u) => (
+        <div className="col">
+          <b>{currency(totalsOf(u.id).inTotal)}</b>
+          <Delta current={totalsOf(u.id).inTotal} previous={previousOf(u.id).inTotal} />
+        </div>
+      ),
+    },
+    {
+      key: "out",
+      header: "OUT approved (KWD)",
+      sortValue: (u) => totalsOf(u.id).outTotal,
+      render: (u) => <b>{currency(totalsOf(u.id).outTotal)}</b>,
+    },
+    {
+      key: "net",
+      header: "Net (KWD)",
+      sortValue: (u) => totalsOf(u.id).net,
+      render: (u) => (
+        <div className="col">
+          <b>{currency(totalsOf(u.id).net)}</b>
+          <Delta current={totalsOf(u.id).net} previous={previousOf(u.id).net} />
+        </div>
+      ),
+    },
+    {
+      key: "pending",
+      header: "Pending",
+      sortValue: (u) => totalsOf(u.id).pendingCount,
+      render: (u) => totalsOf(u.id).pendingCount || "-",
+    },
+  ];
+
+  const entryColumns = [
+    {
+      key: "date",
+      header: "Date",
+      sortValue: (r) => r.created_at,
+      render: (r) => new Date(r.created_at).toLocaleString(),
+    },
+    { key: "amount", header: "Amount", sortValue: (r) => r.amount, render: (r) => currency(r.amount, true, r.currency) },
+    {
+      key: "client",
+      header: "Client",
+      sortValue: (r) => r.client_name || r.client_account,
+      render: (r) => (
+        <div className="col">
+          <div>{r.client_name || "-"}</div>
+          <Link className="muted" to={`/clients/${encodeURIComponent(r.client_account)}`}>{r.client_account}</Link>
+        </div>
+      ),
+    },
+    {
+      key: "status",
+      header: "Status",
+      sortValue: (r) => r.voided_at ? "voided" : r.status || "",
+      render: (r) => r.voided_at ? <span className="pill voided">voided</span>
+        : r.status ? <span className={`pill ${r.status}`}>{r.status}</span> : "-",
+    },
+  ];
+
+  const c = kpis?.current;
+  const p = kpis?.previous;
+  const compared = `vs ${rangeLabel(previous)}`;
+
   return (
-    <div className="p-6 space-y-6">
-      <h1 className="text-2xl font-bold">Manager Dashboard</h1>
-
-      <section>
-        <h2 className="text-xl font-semibold">Users</h2>
-        <ul className="list-disc pl-6">
-          {users.map(u => (
-            <li key={u.user_id}>{u.full_name || u.email} — {u.role}</li>
-          ))}
-        </ul>
-      </section>
-
-      <section>
-        <h2 className="text-xl font-semibold">Recent Transactions</h2>
-        <pre className="bg-gray-50 p-3 rounded">{JSON.stringify(tx, null, 2)}</pre>
-      </section>
-
-      <section>
-        <h2 className="text-xl font-semibold">Withdrawals</h2>
-        <pre className="bg-gray-50 p-3 rounded">{JSON.stringify(wd, null, 2)}</pre>
-      </section>
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>{employeeId ? `Employee — ${nameOf(employeeId)}` : "Manager Dashboard"}</h1>
+          <div className="spacer" />
+          {employeeId && <Link className="btn" to={`/statements?employee=${employeeId}&from=${from}&to=${to}`}>Statement</Link>}
+          {employeeId && <Link className="btn" to={`/manager${search}`}>All employees</Link>}
+          <Link className="btn" to="/manager/teams">Teams</Link>
+          <Link className="btn" to="/manager/roles">Roles</Link>
+          <Link className="btn" to="/manager/rates">Exchange rates</Link>
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+        <div className="row wrap gap8 mt8">
+          <DateRangePicker preset={preset} from={from} to={to} onChange={setRange} />
+          {!employeeId && teams.length > 0 && (
+            <select className="input" value={teamId} onChange={(e) => setTeamId(e.target.value)}>
+              <option value="">All my teams</option>
+              {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          )}
+        </div>
+        {error && <div className="error mt8">{error}</div>}
+        {namesError && <div className="error mt8">Could not load employee names: {namesError}</div>}
+      </div>
+
+      {loadError ? (
+        <div className="card error">Could not load the dashboard: {loadError}</div>
+      ) : !kpis ? (
+        <div className="card muted">Loading…</div>
+      ) : (
+        <>
+          <div className="metrics four">
+            <Metric
+              title={`IN — ${rangeLabel({ from, to })}`}
+              value={currency(c.inTotal, true)}
+              tone="green"
+              note={<>{compared}: <Delta current={c.inTotal} previous={p.inTotal} /></>}
+            />
+            <Metric
+              title="OUT (approved)"
+              value={currency(c.outTotal, true)}
+              tone="red"
+              note={<>{compared}: <Delta current={c.outTotal} previous={p.outTotal} /></>}
+            />
+            <Metric
+              title="Net"
+              value={currency(c.net, true)}
+              tone={c.net >= 0 ? "green" : "red"}
+              note={<>{compared}: <Delta current={c.net} previous={p.net} /></>}
+            />
+            <Metric
+              title="Open withdrawal requests"
+              value={kpis.aging.rows.length}
+              note={kpis.aging.rows.length > 0 && `oldest waiting ${kpis.aging.rows[0].ageDays} days`}
+            />
+          </div>
+
+          {!employeeId && (
+            <>
+              <section className="card">
+                <h2>Per-employee KPIs</h2>
+                <DataTable
+                  rows={teamUserIds ? users.filter(u => teamUserIds.includes(u.id)) : users}
+                  columns={employeeColumns}
+                  searchText={(u) => `${nameOf(u.id)} ${emailOf(u.id) || ""} ${u.id}`}
+                  searchPlaceholder="Search employees…"
+                  filters={[ROLE_FILTER]}
+                  initialSort={{ key: "in", dir: "desc" }}
+                  emptyText="No users."
+                />
+              </section>
+
+              <div className="row wrap gap8">
+                <Leaderboard title="Top by IN" entries={leaderboard(kpis.perEmployee, "inTotal")} render={employeeLink} />
+                <Leaderboard title="Top by net" entries={leaderboard(kpis.perEmployee, "net")} render={employeeLink} />
+              </div>
+            </>
+          )}
+
+          <section className="card">
+            <h2>Pending withdrawals by age</h2>
+            <div className="row wrap gap8 mb8">
+              {kpis.aging.buckets.map(b => (
+                <span key={b.label} className={`pill ${b.count && b.maxDays > 7 ? "rejected" : ""}`}>
+                  {b.label}: {b.count} · {currency(b.total)}
+                </span>
+              ))}
+            </div>
+            <table className="table">
+              <thead>
+                <tr><th>Waiting</th>{!employeeId && <th>Employee</th>}<th>Client</th><th>Amount</th><th>Requested</th></tr>
+              </thead>
+              <tbody>
+                {kpis.aging.rows.length === 0 && (
+                  <tr><td colSpan={employeeId ? 4 : 5} className="muted">No open requests.</td></tr>
+                )}
+                {kpis.aging.rows.map(w => (
+                  <tr key={w.id}>
+                    <td><b>{w.ageDays} d</b></td>
+                    {!employeeId && <td>{employeeLink(w.user_id)}</td>}
+                    <td>{w.client_name || w.client_account}</td>
+                    <td>{currency(w.amount, true, w.currency)}</td>
+                    <td>{new Date(w.created_at).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          {employeeId && (
+            <>
+              <section className="card">
+                <h2>Client portfolio — {rangeLabel({ from, to })}</h2>
+                <table className="table">
+                  <thead>
+                    <tr><th>Client</th><th>Deposits</th><th>IN (KWD)</th></tr>
+                  </thead>
+                  <tbody>
+                    {data.tx.length === 0 && <tr><td colSpan="3" className="muted">No deposits.</td></tr>}
+                    {topClients(data.tx, 10, rates).map(cl => (
+                      <tr key={cl.account}>
+                        <td>
+                          <Link to={`/clients/${encodeURIComponent(cl.account)}`}>{cl.name || cl.account}</Link>
+                        </td>
+                        <td>{cl.count}</td>
+                        <td>{currency(cl.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+
+              <section className="card">
+                <h2>Deposits</h2>
+                <DataTable
+                  rows={data.tx}
+                  columns={entryColumns}
+                  searchText={(r) => `${r.client_name || ""} ${r.client_account || ""} ${r.note || ""}`}
+                  initialSort={{ key: "date", dir: "desc" }}
+                  emptyText="No deposits."
+                />
+              </section>
+
+              <section className="card">
+                <h2>Withdrawals</h2>
+                <DataTable
+                  rows={data.wd}
+                  columns={entryColumns}
+                  searchText={(r) => `${r.client_name || ""} ${r.client_account || ""} ${r.note || ""}`}
+                  initialSort={{ key: "date", dir: "desc" }}
+                  emptyText="No withdrawals."
+                />
+              </section>
+            </>
+          )}
+        </>
+      )}
     </div>
   );
 }
+
+function Leaderboard({ title, entries, render }) {
+  return (
+    <section className="card" style={{ flex: 1, minWidth: 260 }}>
+      <h2>{title}</h2>
+      {entries.length === 0 ? (
+        <div className="muted">No activity in this range.</div>
+      ) : (
+        <ol>
+          {entries.map(e => (
+            <li key={e.userId}>{render(e.userId)} — <b>{currency(e.value)}</b></li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
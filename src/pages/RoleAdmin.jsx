@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { listProfiles, setProfileRole } from "../lib/repository";
+import { useSession } from "../lib/useSession";
+import { useProfile } from "../lib/useProfile";
+import { ROLES, ROLE_LABELS, isManagerRole, isOrgAdmin } from "../lib/roles";
+import { useDirectory } from "../lib/useDirectory";
+
+export default function RoleAdmin() {
+  const session = useSession();
+  const { profile: me, error: profileError } = useProfile();
+  const orgAdmin = isOrgAdmin(me?.role);
+  const [profiles, setProfiles] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+  const { nameOf, emailOf, error: namesError } = useDirectory(profiles.map(p => p.id));
+
+  useEffect(() => {
+    listProfiles().then(setProfiles).catch((e) => setError(e.message));
+  }, []);
+
+  async function changeRole(p, role) {
+    const self = p.id === session?.user?.id;
+    if (self && !isManagerRole(role) && !window.confirm("Revoke your own manager role? You will lose access to this page.")) {
+      return;
+    }
+    // set_profile_role() re-checks server-side: caller must be a manager who
+    // can see the user, only org admins touch org_admin, and the last org
+    // admin cannot be demoted.
+    setBusyId(p.id);
+    setError("");
+    try {
+      await setProfileRole(p.id, role);
+      setProfiles(await listProfiles());
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>Roles</h1>
+          <div className="spacer" />
+          <Link className="btn" to="/manager">Manager dashboard</Link>
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+      </div>
+
+      <div className="card">
+        {error && <div className="error">{error}</div>}
+        {profileError && <div className="error">Could not load your profile: {profileError}</div>}
+        {namesError && <div className="error">Could not load employee names: {namesError}</div>}
+        <table className="table">
+          <thead>
+            <tr><th>Name</th><th>Email</th><th>Role</th><th></th></tr>
+          </thead>
+          <tbody>
+            {profiles.length === 0 && (
+              <tr><td colSpan="4" className="muted">No profiles.</td></tr>
+            )}
+            {profiles.map((p) => (
+              <tr key={p.id}>
+                <td>{nameOf(p.id)}{p.id === session?.user?.id && <span className="muted"> (you)</span>}</td>
+                <td className="muted">{emailOf(p.id) || p.id}</td>
+                <td><span className="pill">{ROLE_LABELS[p.role] || p.role}</span></td>
+                <td>
+                  <select
+                    className="input"
+                    value={p.role}
+                    disabled={busyId === p.id || (isOrgAdmin(p.role) && !orgAdmin)}
+                    onChange={(e) => changeRole(p, e.target.value)}
+                  >
+                    {ROLES.filter(r => orgAdmin || !isOrgAdmin(r) || r === p.role).map(r => (
+                      <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { createSchedule, listSchedules, updateSchedule } from "../lib/repository";
+import { isoDate } from "../lib/dates";
+import { currency } from "../lib/format";
+import { BASE_CURRENCY, minorUnits } from "../lib/currencies";
+import { parseAmount } from "../lib/money";
+import { useClients } from "../lib/useClients";
+import { useDisplayPrefs } from "../lib/useDisplayPrefs";
+import ClientAccountInput from "../components/ClientAccountInput";
+import CurrencySelect from "../components/CurrencySelect";
+
+const emptyForm = () => ({
+  client_account: "",
+  amount: "",
+  currency: BASE_CURRENCY,
+  period: "monthly",
+  start_date: isoDate(),
+});
+
+export default function Schedules() {
+  const { clients, byAccount, error: clientsError } = useClients();
+  const { showKwd } = useDisplayPrefs();
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+
+  const reload = useCallback(
+    () => listSchedules().then(setSchedules).catch((e) => setError(e.message)),
+    []
+  );
+
+  useEffect(() => { reload(); }, [reload]);
+
+  async function add() {
+    const client_account = form.client_account.trim();
+    if (!client_account) { setError("Client account is required."); return; }
+    const { amount, error: amountError } = parseAmount(form.amount, form.currency);
+    if (amountError) { setError(amountError); return; }
+    if (!byAccount[client_account]) { setError(`Client account "${client_account}" is not registered.`); return; }
+    setError("");
+    try {
+      await createSchedule({
+        client_account,
+        amount,
+        currency: form.currency,
+        period: form.period,
+        start_date: form.start_date,
+      });
+      setForm(emptyForm());
+      await reload();
+    } catch (e) { setError(e.message); }
+  }
+
+  async function toggle(s) {
+    try {
+      await updateSchedule(s.id, { active: !s.active });
+      await reload();
+    } catch (e) { alert(e.message); }
+  }
+
+  return (
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>Recurring deposits</h1>
+          <div className="spacer" />
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+      </div>
+
+      {clientsError && <div className="card error">Could not load clients: {clientsError}</div>}
+
+      <div className="card">
+        <h2>New schedule</h2>
+        <div className="row wrap gap8">
+          <ClientAccountInput
+            value={form.client_account}
+            onChange={(v) => setForm(f => ({ ...f, client_account: v }))}
+            clients={clients}
+          />
+          <input
+            type="number"
+            step={1 / 10 ** minorUnits(form.currency)}
+            className="input"
+            placeholder="Amount"
+            value={form.amount}
+            onChange={(e) => setForm(f => ({ ...f, amount: e.target.value }))}
+          />
+          <CurrencySelect value={form.currency} onChange={(v) => setForm(f => ({ ...f, currency: v }))} />
+          <select className="input" value={form.period} onChange={(e) => setForm(f => ({ ...f, period: e.target.value }))}>
+            <option value="monthly">Monthly</option>
+            <option value="yearly">Yearly</option>
+          </select>
+          <label className="inline">
+            Starts&nbsp;
+            <input
+              type="date"
+              className="input"
+              value={form.start_date}
+              onChange={(e) => setForm(f => ({ ...f, start_date: e.target.value }))}
+            />
+          </label>
+          <button className="btn-primary" onClick={add}>Add schedule</button>
+        </div>
+        {error && <div className="error mt8">{error}</div>}
+      </div>
+
+      <div className="card">
+        <h2>Schedules</h2>
+        <table className="table">
+          <thead>
+            <tr><th>Client</th><th>Amount</th><th>Period</th><th>Starts</th><th>Status</th><th></th></tr>
+          </thead>
+          <tbody>
+            {schedules.length === 0 && (
+              <tr><td colSpan="6" className="muted">No schedules.</td></tr>
+            )}
+            {schedules.map(s => (
+              <tr key={s.id}>
+                <td>
+                  <Link to={`/clients/${encodeURIComponent(s.client_account)}`}>{s.client_account}</Link>
+                  {byAccount[s.client_account] && <span className="muted"> {byAccount[s.client_account].name}</span>}
+                </td>
+                <td>{currency(s.amount, showKwd, s.currency)}</td>
+                <td>{s.period}</td>
+                <td>{s.start_date}</td>
+                <td><span className={`pill ${s.active ? "approved" : ""}`}>{s.active ? "Active" : "Stopped"}</span></td>
+                <td>
+                  <button className="btn" onClick={() => toggle(s)}>{s.active ? "Stop" : "Resume"}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
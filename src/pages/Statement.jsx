@@ -0,0 +1,203 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { fetchClientActivity, fetchTransactions, fetchWithdrawals, listProfiles } from "../lib/repository";
+import { buildStatement } from "../lib/statements";
+import { isVoided } from "../lib/voids";
+import { dayRange, isoDate, presetRange } from "../lib/dates";
+import { currency } from "../lib/format";
+import { BASE_CURRENCY } from "../lib/currencies";
+import { useClients } from "../lib/useClients";
+import { useExchangeRates } from "../lib/useExchangeRates";
+import { useDirectory } from "../lib/useDirectory";
+import ClientAccountInput from "../components/ClientAccountInput";
+
+/** Loads everything the statement needs up to the end of the range. */
+async function loadActivity({ client, employee }, end) {
+  if (client) return fetchClientActivity(client);
+  const [transactions, withdrawals] = await Promise.all([
+    fetchTransactions({ end, userId: employee }),
+    fetchWithdrawals({ end, userId: employee }),
+  ]);
+  return { transactions, withdrawals };
+}
+
+/**
+ * Statement for one client (?client=) or employee (?employee=) over
+ * ?from=..&to= (inclusive dates, Kuwait time), laid out to print or save as PDF.
+ */
+export default function Statement() {
+  const [params, setParams] = useSearchParams();
+  const { clients, byAccount, error: clientsError } = useClients();
+  const { rates } = useExchangeRates();
+  const [profiles, setProfiles] = useState([]);
+  const [activity, setActivity] = useState(null);
+  const [error, setError] = useState("");
+
+  const subject = {
+    client: params.get("client") || "",
+    employee: params.get("employee") || "",
+  };
+  const from = params.get("from") || presetRange("month").from;
+  const to = params.get("to") || isoDate();
+  const range = useMemo(() => dayRange(from, to), [from, to]);
+
+  const [form, setForm] = useState({
+    kind: subject.employee ? "employee" : "client",
+    client: subject.client,
+    employee: subject.employee,
+    from,
+    to,
+  });
+
+  useEffect(() => {
+    listProfiles().then(setProfiles).catch(() => setProfiles([]));
+  }, []);
+
+  useEffect(() => {
+    if (!subject.client && !subject.employee) { setActivity(null); return; }
+    let cancelled = false;
+    setActivity(null);
+    setError("");
+    loadActivity({ client: subject.client, employee: subject.employee }, range.end)
+      .then((a) => !cancelled && setActivity(a))
+      .catch((e) => !cancelled && setError(e.message));
+    return () => { cancelled = true; };
+  }, [subject.client, subject.employee, range.end]);
+
+  const { nameOf, error: namesError } = useDirectory([...profiles.map(p => p.id), subject.employee]);
+
+  const statement = useMemo(
+    () => activity ? buildStatement(activity.transactions, activity.withdrawals, range, rates) : null,
+    [activity, range, rates]
+  );
+
+  function generate() {
+    if (form.from > form.to) { setError("The start date must be on or before the end date."); return; }
+    const key = form.kind;
+    const value = form[key].trim();
+    if (!value) { setError(key === "client" ? "Choose a client account." : "Choose an employee."); return; }
+    setError("");
+    setParams({ [key]: value, from: form.from, to: form.to });
+  }
+
+  const client = subject.client && byAccount[subject.client];
+  const title = subject.client
+    ? `${client?.name || subject.client} — account ${subject.client}`
+    : nameOf(subject.employee);
+
+  return (
+    <div className="page">
+      <div className="card header no-print">
+        <div className="row wrap">
+          <h1>Statements</h1>
+          <div className="spacer" />
+          {statement && <button className="btn-primary" onClick={() => window.print()}>Print / Save as PDF</button>}
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+        <div className="row wrap gap8 mt8">
+          <select className="input" value={form.kind} onChange={(e) => setForm(f => ({ ...f, kind: e.target.value }))}>
+            <option value="client">Client</option>
+            <option value="employee">Employee</option>
+          </select>
+          {form.kind === "client" ? (
+            <ClientAccountInput
+              value={form.client}
+              onChange={(v) => setForm(f => ({ ...f, client: v }))}
+              clients={clients}
+            />
+          ) : (
+            <select className="input" value={form.employee} onChange={(e) => setForm(f => ({ ...f, employee: e.target.value }))}>
+              <option value="">Choose employee…</option>
+              {profiles.map(p => <option key={p.id} value={p.id}>{nameOf(p.id)}</option>)}
+            </select>
+          )}
+          <label className="inline">
+            From&nbsp;
+            <input type="date" className="input" value={form.from} onChange={(e) => setForm(f => ({ ...f, from: e.target.value }))} />
+          </label>
+          <label className="inline">
+            To&nbsp;
+            <input type="date" className="input" value={form.to} onChange={(e) => setForm(f => ({ ...f, to: e.target.value }))} />
+          </label>
+          <button className="btn" onClick={generate}>Generate</button>
+        </div>
+        {error && <div className="error mt8">{error}</div>}
+      </div>
+
+      {clientsError && <div className="card error no-print">Could not load clients: {clientsError}</div>}
+      {namesError && <div className="card error no-print">Could not load employee names: {namesError}</div>}
+
+      {(subject.client || subject.employee) && !statement && !error && (
+        <div className="card muted">Loading…</div>
+      )}
+
+      {statement && (
+        <div className="card statement">
+          <div className="row wrap">
+            <div>
+              <h2>Statement of account</h2>
+              <div><b>{title}</b></div>
+              {client && (client.phone || client.email) && (
+                <div className="muted">{[client.phone, client.email].filter(Boolean).join(" · ")}</div>
+              )}
+            </div>
+            <div className="spacer" />
+            <div className="col">
+              <span>Period: <b>{from}</b> to <b>{to}</b></span>
+              <span className="muted">Generated {new Date().toLocaleString()}</span>
+              <span className="muted">Balances in {BASE_CURRENCY}</span>
+            </div>
+          </div>
+
+          <table className="table mt8">
+            <thead>
+              <tr>
+                <th>Date</th><th>Description</th><th>In</th><th>Out</th><th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>{from}</td>
+                <td><b>Opening balance</b></td>
+                <td></td><td></td>
+                <td><b>{currency(statement.opening, true)}</b></td>
+              </tr>
+              {statement.lines.length === 0 && (
+                <tr><td colSpan="5" className="muted">No activity in this period.</td></tr>
+              )}
+              {statement.lines.map(l => (
+                <tr key={`${l.kind}-${l.id}`}>
+                  <td>{new Date(l.created_at).toLocaleDateString()}</td>
+                  <td>
+                    <div className="col">
+                      <span>
+                        {l.kind === "IN" ? `Deposit (${l.period})` : "Withdrawal"}
+                        {subject.employee && ` — ${byAccount[l.client_account]?.name || l.client_name || l.client_account}`}
+                      </span>
+                      {isVoided(l) ? (
+                        <span className="muted">voided: {l.void_reason}; not counted</span>
+                      ) : l.kind === "OUT" && l.status !== "approved" && (
+                        <span className="muted">{l.status}; not deducted</span>
+                      )}
+                      {l.note && <span className="muted">{l.note}</span>}
+                    </div>
+                  </td>
+                  <td>{l.kind === "IN" ? currency(l.amount, true, l.currency) : ""}</td>
+                  <td>{l.kind === "OUT" ? currency(l.amount, true, l.currency) : ""}</td>
+                  <td>{currency(l.balance, true)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td>{to}</td>
+                <td><b>Closing balance</b></td>
+                <td><b>{currency(statement.totalIn, true)}</b></td>
+                <td><b>{currency(statement.totalOut, true)}</b></td>
+                <td><b>{currency(statement.closing, true)}</b></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
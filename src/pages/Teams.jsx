@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  createTeam,
+  deleteTeam,
+  listProfiles,
+  listTeamMembers,
+  listTeams,
+  removeTeamMember,
+  setTeamMember,
+} from "../lib/repository";
+import { useProfile } from "../lib/useProfile";
+import { isOrgAdmin } from "../lib/roles";
+import { useDirectory } from "../lib/useDirectory";
+
+const TEAM_ROLES = [
+  { value: "member", label: "Member" },
+  { value: "manager", label: "Manager" },
+];
+
+/**
+ * Teams (branches) and their members. A team's managers see its members'
+ * entries; org admins edit teams here, managers get a read-only view of
+ * their own.
+ */
+export default function Teams() {
+  const { profile, error: profileError } = useProfile();
+  const canEdit = isOrgAdmin(profile?.role);
+  const [teams, setTeams] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+
+  const reload = useCallback(() => Promise.all([listTeams(), listTeamMembers(), listProfiles()])
+    .then(([t, m, p]) => { setTeams(t); setMembers(m); setProfiles(p); })
+    .catch((e) => setError(e.message)), []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  async function run(action) {
+    setError("");
+    try {
+      await action();
+      await reload();
+    } catch (e) { setError(e.message); }
+  }
+
+  function add() {
+    if (!name.trim()) { setError("Enter a team name."); return; }
+    run(async () => { await createTeam(name); setName(""); });
+  }
+
+  function remove(team) {
+    if (!window.confirm(`Delete team "${team.name}"? Its managers lose access to its members.`)) return;
+    run(() => deleteTeam(team.id));
+  }
+
+  const { nameOf, error: namesError } = useDirectory([...profiles.map(p => p.id), ...members.map(m => m.user_id)]);
+
+  return (
+    <div className="page">
+      <div className="card header">
+        <div className="row wrap">
+          <h1>Teams</h1>
+          <div className="spacer" />
+          <Link className="btn" to="/manager/roles">Roles</Link>
+          <Link className="btn" to="/manager">Manager dashboard</Link>
+          <Link className="btn" to="/app">Back to app</Link>
+        </div>
+        {canEdit && (
+          <div className="row wrap gap8 mt8">
+            <input className="input" placeholder="New team or branch" value={name} onChange={(e) => setName(e.target.value)} />
+            <button className="btn-primary" onClick={add}>Add team</button>
+          </div>
+        )}
+        {error && <div className="error mt8">{error}</div>}
+      </div>
+
+      {profileError && <div className="card error">Could not load your profile: {profileError}</div>}
+      {namesError && <div className="card error">Could not load employee names: {namesError}</div>}
+
+      {teams.length === 0 && <div className="card muted">No teams yet.</div>}
+
+      {teams.map(team => {
+        const inTeam = members.filter(m => m.team_id === team.id);
+        const others = profiles.filter(p => !inTeam.some(m => m.user_id === p.id));
+        return (
+          <div className="card" key={team.id}>
+            <div className="row wrap">
+              <h2>{team.name}</h2>
+              <div className="spacer" />
+              {canEdit && <button className="btn" onClick={() => remove(team)}>Delete team</button>}
+            </div>
+            <table className="table">
+              <thead>
+                <tr><th>Employee</th><th>Team role</th>{canEdit && <th></th>}</tr>
+              </thead>
+              <tbody>
+                {inTeam.length === 0 && (
+                  <tr><td colSpan={canEdit ? 3 : 2} className="muted">No members.</td></tr>
+                )}
+                {inTeam.map(m => (
+                  <tr key={m.user_id}>
+                    <td>{nameOf(m.user_id)}</td>
+                    <td>
+                      {canEdit ? (
+                        <select className="input" value={m.role} onChange={(e) => run(() => setTeamMember(team.id, m.user_id, e.target.value))}>
+                          {TEAM_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                        </select>
+                      ) : TEAM_ROLES.find(r => r.value === m.role)?.label}
+                    </td>
+                    {canEdit && (
+                      <td><button className="btn" onClick={() => run(() => removeTeamMember(team.id, m.user_id))}>Remove</button></td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {canEdit && others.length > 0 && <AddMember team={team} candidates={others} nameOf={nameOf} onAdd={run} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function AddMember({ team, candidates, nameOf, onAdd }) {
+  const [userId, setUserId] = useState("");
+  const [role, setRole] = useState("member");
+  return (
+    <div className="row wrap gap8 mt8">
+      <select className="input" value={userId} onChange={(e) => setUserId(e.target.value)}>
+        <option value="">Add employee…</option>
+        {candidates.map(p => <option key={p.id} value={p.id}>{nameOf(p.id)}</option>)}
+      </select>
+      <select className="input" value={role} onChange={(e) => setRole(e.target.value)}>
+        {TEAM_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+      </select>
+      <button
+        className="btn"
+        disabled={!userId}
+        onClick={() => onAdd(async () => { await setTeamMember(team.id, userId, role); setUserId(""); })}
+      >Add</button>
+    </div>
+  );
+}
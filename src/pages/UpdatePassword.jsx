@@ -0,0 +1,64 @@
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { newPasswordError, updatePassword } from "../lib/auth";
+import { useSession } from "../lib/useSession";
+
+/**
+ * Choose a new password. Reached from the reset email, whose link signs the
+ * user in with a recovery session first; also works for a signed-in user.
+ */
+export default function UpdatePassword() {
+  const session = useSession();
+  const navigate = useNavigate();
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    const problem = newPasswordError(password, confirm);
+    if (problem) { setError(problem); return; }
+    setBusy(true);
+    setError("");
+    try {
+      await updatePassword(password);
+      navigate("/app", { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (session === undefined) return null;
+
+  return (
+    <div className="page narrow-page">
+      <div className="card">
+        <h1>INOUT</h1>
+        <h2>Choose a new password</h2>
+        {!session ? (
+          <>
+            <p className="error">This reset link is invalid or has expired.</p>
+            <Link className="btn" to="/login">Back to sign in</Link>
+          </>
+        ) : (
+          <form className="col gap8" onSubmit={submit}>
+            <div className="muted">Signed in as {session.user.email}</div>
+            <label className="col">
+              New password
+              <input className="input" type="password" autoComplete="new-password" value={password} onChange={(e) => setPassword(e.target.value)} />
+            </label>
+            <label className="col">
+              Repeat new password
+              <input className="input" type="password" autoComplete="new-password" value={confirm} onChange={(e) => setConfirm(e.target.value)} />
+            </label>
+            {error && <div className="error">{error}</div>}
+            <button className="btn-primary" type="submit" disabled={busy}>{busy ? "Saving…" : "Save password"}</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+// Shared stylesheet, injected once by the router layout.
+export const styles = `
+.page {
+  max-width: 1150px; margin: 0 auto; padding: 18px; font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial;
+}
+.narrow-page { max-width: 420px; }
+.card { background:#fff; border:1px solid #e8ecf1; border-radius: 12px; padding: 18px; margin: 0 0 16px; box-shadow: 0 1px 0 rgba(0,0,0,0.02); }
+.header { position: sticky; top: 0; z-index: 10; backdrop-filter: blur(6px); }
+.row { display: flex; align-items: center; gap: 10px; }
+.wrap { flex-wrap: wrap; }
+.col { display: grid; gap: 4px; }
+.spacer { flex: 1; }
+.mt8 { margin-top: 8px; }
+.mb8 { margin-bottom: 8px; }
+.gap8 { gap: 8px; }
+
+.metrics { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin: 0 0 12px; }
+.metric { border-radius: 12px; padding: 14px; border:1px solid #eef3f8; background: #fafcff; }
+.metric .metric-title { color:#6b7280; font-size: 13px; }
+.metric .metric-value { font-weight: 700; font-size: 20px; margin-top: 4px; }
+.metric .metric-note { color:#6b7280; font-size: 12px; margin-top: 4px; }
+.metrics.four { grid-template-columns: repeat(4, 1fr); }
+.up { color:#0a8a3a; }
+.down { color:#b42318; }
+.metric.green { background:#f0fff7; border-color:#dbfbe8; }
+.metric.red { background:#fff5f5; border-color:#ffe3e3; }
+
+.input { border:1px solid #d9e1ea; border-radius: 10px; padding: 8px 10px; background:#fff; min-width: 140px; }
+.input.narrow { min-width: 0; width: 90px; }
+.btn { border:1px solid #d9e1ea; background:#fff; padding: 8px 12px; border-radius: 10px; cursor: pointer; }
+.btn:hover { background:#f7fafc; }
+.link { border: none; background: none; padding: 0; color:#2563eb; cursor: pointer; }
+.link:hover { text-decoration: underline; }
+.btn-primary { border:1px solid #2563eb; background:#2563eb; color:#fff; padding: 8px 14px; border-radius: 10px; cursor: pointer; }
+.btn-primary:hover { filter: brightness(0.95); }
+
+.table { width:100%; border-collapse: collapse; }
+.table th, .table td { padding: 10px 12px; border-bottom: 1px solid #eef3f8; text-align: left; vertical-align: top; }
+.table th { color:#6b7280; font-weight: 600; font-size: 13px; }
+.table th.sortable { cursor: pointer; user-select: none; }
+.muted { color:#6b7280; }
+.error { color:#b42318; }
+
+.pill { padding: 3px 8px; border-radius: 999px; font-size: 12px; border:1px solid #e2e8f0; background:#f8fafc; }
+.pill.approved { background:#eafff0; border-color:#d2f9e0; color:#0a8a3a; }
+.pill.pending { background:#fff9e6; border-color:#ffedba; color:#9a6b00; }
+.pill.rejected { background:#ffecec; border-color:#ffd2d2; color:#b42318; }
+.pill.cancelled { color:#64748b; }
+.pill.open { background:#eef6ff; border-color:#d6e8ff; color:#1d4ed8; }
+.pill.closed { background:#f1f5f9; border-color:#cbd5e1; color:#334155; }
+.pill.voided { background:#f1f5f9; border-color:#cbd5e1; color:#475569; text-decoration: line-through; }
+
+.row-actions { display:flex; gap:8px; }
+
+.thumb { position: relative; width: 48px; height: 48px; border:1px solid #e2e8f0; border-radius: 8px; overflow: hidden; background:#f8fafc; display:flex; align-items:center; justify-content:center; font-size: 11px; color:#64748b; }
+.thumb a { display:flex; width:100%; height:100%; align-items:center; justify-content:center; color: inherit; text-decoration: none; }
+.thumb img { width: 100%; height: 100%; object-fit: cover; }
+.thumb-remove { position:absolute; top:0; right:0; border:none; background:rgba(255,255,255,.85); cursor:pointer; padding:0 4px; line-height:16px; }
+
+.drawer-backdrop { position: fixed; inset: 0; background: rgba(15,23,42,0.25); z-index: 50; }
+.drawer { position: absolute; top: 0; right: 0; bottom: 0; width: min(420px, 100%); background:#fff; padding: 18px; overflow-y: auto; box-shadow: -4px 0 16px rgba(0,0,0,0.08); }
+.statement h2 { margin: 0 0 4px; }
+
+@media print {
+  .no-print { display: none !important; }
+  .page { max-width: none; padding: 0; }
+  .card { border: none; box-shadow: none; padding: 0; }
+  .statement .table th, .statement .table td { padding: 4px 6px; font-size: 12px; }
+  .statement tr { break-inside: avoid; }
+}
+
+.drawer-entry { border-bottom: 1px solid #eef3f8; padding: 10px 0; display: grid; gap: 2px; }
+
+.notify { position: relative; }
+.notify-badge { display:inline-block; margin-left: 6px; min-width: 18px; padding: 0 5px; border-radius: 999px; background:#b42318; color:#fff; font-size: 11px; line-height: 18px; text-align: center; }
+.notify-panel { position: absolute; right: 0; top: calc(100% + 6px); width: min(360px, 90vw); max-height: 420px; overflow-y: auto; background:#fff; border:1px solid #e2e8f0; border-radius: 12px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.08); z-index: 20; }
+.notify-entry { border-bottom: 1px solid #eef3f8; padding: 8px 0; display: grid; gap: 2px; font-size: 14px; }
+.notify-entry.unread { font-weight: 600; cursor: pointer; }
+.notify-entry .muted { font-size: 12px; font-weight: normal; }
+`;
+
@@ -0,0 +1,85 @@
+// Outbound channels for notify-outbound. NOTIFY_CHANNEL picks one:
+//   smtp     SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_FROM
+//   webhook  NOTIFY_WEBHOOK_URL; receives { notification, recipient } as JSON
+//   log      prints only (the default, for local `supabase functions serve`)
+
+import nodemailer from "npm:nodemailer@6";
+
+export type Notification = {
+  id: string;
+  user_id: string;
+  kind: string;
+  withdrawal_id: string | null;
+  message: string;
+  created_at: string;
+};
+
+export type Recipient = { id: string; email: string | null };
+
+export type Channel = {
+  send(notification: Notification, recipient: Recipient): Promise<void>;
+};
+
+const SUBJECTS: Record<string, string> = {
+  withdrawal_requested: "New withdrawal request",
+  withdrawal_approved: "Withdrawal approved",
+  withdrawal_rejected: "Withdrawal rejected",
+  withdrawal_overdue: "Withdrawal request waiting",
+};
+
+function env(name: string): string {
+  const value = Deno.env.get(name);
+  if (!value) throw new Error(`${name} is not set`);
+  return value;
+}
+
+export function smtpChannel(): Channel {
+  const transport = nodemailer.createTransport({
+    host: env("SMTP_HOST"),
+    port: Number(Deno.env.get("SMTP_PORT") ?? 587),
+    auth: { user: env("SMTP_USER"), pass: env("SMTP_PASSWORD") },
+  });
+  const from = env("SMTP_FROM");
+  return {
+    async send(notification, recipient) {
+      if (!recipient.email) return;
+      const appUrl = Deno.env.get("APP_URL");
+      await transport.sendMail({
+        from,
+        to: recipient.email,
+        subject: `INOUT: ${SUBJECTS[notification.kind] ?? "Notification"}`,
+        text: appUrl ? `${notification.message}\n\n${appUrl}/app` : notification.message,
+      });
+    },
+  };
+}
+
+export function webhookChannel(url = env("NOTIFY_WEBHOOK_URL")): Channel {
+  return {
+    async send(notification, recipient) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ notification, recipient }),
+      });
+      if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+    },
+  };
+}
+
+export function logChannel(): Channel {
+  return {
+    async send(notification, recipient) {
+      console.log(`[notify → ${recipient.email ?? recipient.id}] ${notification.message}`);
+    },
+  };
+}
+
+export function channelFromEnv(): Channel {
+  switch (Deno.env.get("NOTIFY_CHANNEL") ?? "log") {
+    case "smtp": return smtpChannel();
+    case "webhook": return webhookChannel();
+    case "log": return logChannel();
+    default: throw new Error(`Unknown NOTIFY_CHANNEL "${Deno.env.get("NOTIFY_CHANNEL")}"`);
+  }
+}
@@ -0,0 +1,80 @@
+// Delivers notifications (supabase/migrations/0013_notifications.sql)
+// through the channel configured in ./channels.ts, then marks them
+// delivered. Invoke it on a schedule, e.g. every few minutes from pg_cron
+// or an external cron; it also raises overdue reminders when pg_cron is not
+// doing so. Uses the service role key, so it sees every user's rows, and
+// answers only callers presenting that key or the NOTIFY_SECRET shared
+// secret (as "Authorization: Bearer <key or secret>").
+
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { channelFromEnv, type Notification } from "./channels.ts";
+
+const BATCH = 100;
+
+function safeEqual(a: string, b: string): boolean {
+  const x = new TextEncoder().encode(a);
+  const y = new TextEncoder().encode(b);
+  if (x.length !== y.length) return false;
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+function authorized(req: Request): boolean {
+  const token = req.headers.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (!token) return false;
+  return [Deno.env.get("SUPABASE_SERVICE_ROLE_KEY"), Deno.env.get("NOTIFY_SECRET")]
+    .some((key) => Boolean(key) && safeEqual(token, key!));
+}
+
+Deno.serve(async (req) => {
+  if (!authorized(req)) return new Response("Unauthorized", { status: 401 });
+
+  const supabase = createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!);
+  const channel = channelFromEnv();
+
+  const { error: overdueError } = await supabase.rpc("notify_overdue_withdrawals");
+  if (overdueError) console.error("overdue reminders:", overdueError.message);
+
+  const { data, error } = await supabase
+    .from("notifications")
+    .select("id, user_id, kind, withdrawal_id, message, created_at")
+    .is("delivered_at", null)
+    .order("created_at", { ascending: true })
+    .limit(BATCH);
+  if (error) return new Response(error.message, { status: 500 });
+
+  const emails = new Map<string, string | null>();
+  const emailOf = async (id: string) => {
+    if (!emails.has(id)) {
+      const { data: user } = await supabase.auth.admin.getUserById(id);
+      emails.set(id, user?.user?.email ?? null);
+    }
+    return emails.get(id) ?? null;
+  };
+
+  let delivered = 0;
+  const failures: string[] = [];
+  for (const n of (data ?? []) as Notification[]) {
+    try {
+      await channel.send(n, { id: n.user_id, email: await emailOf(n.user_id) });
+    } catch (e) {
+      // Left undelivered; the next run retries it.
+      failures.push(`${n.id}: ${e instanceof Error ? e.message : String(e)}`);
+      continue;
+    }
+    const { error: markError } = await supabase
+      .from("notifications")
+      .update({ delivered_at: new Date().toISOString() })
+      .eq("id", n.id);
+    if (markError) {
+      // Sent but still undelivered, so the next run sends it again; stop
+      // before the rest of the batch goes the same way.
+      failures.push(`${n.id}: sent, but not marked delivered: ${markError.message}`);
+      break;
+    }
+    delivered += 1;
+  }
+
+  return Response.json({ delivered, failed: failures.length, failures });
+});
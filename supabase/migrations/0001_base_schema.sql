@@ -0,0 +1,34 @@
+-- Base tables used by the app. Safe to run against an existing project:
+-- everything is "if not exists".
+
+create table if not exists public.profile (
+  id uuid primary key references auth.users (id) on delete cascade,
+  display_name text,
+  role text not null default 'employee',
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.transactions (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  user_id uuid not null references auth.users (id),
+  amount numeric(14, 3) not null,
+  client_account text not null,
+  client_name text,
+  period text not null default 'monthly',
+  note text
+);
+
+create table if not exists public.withdrawals (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  user_id uuid not null references auth.users (id),
+  amount numeric(14, 3) not null,
+  client_account text not null,
+  client_name text,
+  note text,
+  status text not null default 'pending'
+);
+
+create index if not exists transactions_created_at_idx on public.transactions (created_at);
+create index if not exists withdrawals_created_at_idx on public.withdrawals (created_at);
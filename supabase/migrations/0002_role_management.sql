@@ -0,0 +1,129 @@
+-- Roles are server-enforced: a profile owner can edit their display name but
+-- never their role. Only managers can change roles, through set_profile_role().
+--
+-- Bootstrapping: promote the first manager from the SQL editor (auth.uid() is
+-- null there, so the guard below lets it through):
+--   update public.profile set role = 'manager' where id = '<user uuid>';
+
+alter table public.profile
+  drop constraint if exists profile_role_check,
+  add constraint profile_role_check check (role in ('employee', 'manager'));
+
+create or replace function public.is_manager()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profile where id = auth.uid() and role = 'manager'
+  );
+$$;
+
+create or replace function public.profile_guard_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Service role / SQL editor: no end-user session, allow.
+  if auth.uid() is null then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.role := 'employee';
+  elsif new.role is distinct from old.role
+    and coalesce(current_setting('inout.role_change', true), '') <> 'on' then
+    raise exception 'role can only be changed by a manager'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profile_guard_role on public.profile;
+create trigger profile_guard_role
+  before insert or update on public.profile
+  for each row execute function public.profile_guard_role();
+
+create or replace function public.set_profile_role(target uuid, new_role text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_manager() then
+    raise exception 'only managers can change roles' using errcode = '42501';
+  end if;
+  if new_role not in ('employee', 'manager') then
+    raise exception 'unknown role %', new_role using errcode = '22023';
+  end if;
+  if new_role <> 'manager'
+    and (select role from public.profile where id = target) = 'manager'
+    and (select count(*) from public.profile where role = 'manager') <= 1 then
+    raise exception 'cannot revoke the last manager' using errcode = '42501';
+  end if;
+
+  perform set_config('inout.role_change', 'on', true);
+  update public.profile set role = new_role where id = target;
+  if not found then
+    raise exception 'profile % not found', target using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+revoke all on function public.set_profile_role(uuid, text) from public;
+grant execute on function public.set_profile_role(uuid, text) to authenticated;
+
+-- profile ------------------------------------------------------------------
+
+alter table public.profile enable row level security;
+
+drop policy if exists profile_select on public.profile;
+create policy profile_select on public.profile
+  for select using (id = auth.uid() or public.is_manager());
+
+drop policy if exists profile_insert on public.profile;
+create policy profile_insert on public.profile
+  for insert with check (id = auth.uid());
+
+drop policy if exists profile_update on public.profile;
+create policy profile_update on public.profile
+  for update using (id = auth.uid()) with check (id = auth.uid());
+
+-- transactions ---------------------------------------------------------------
+
+alter table public.transactions enable row level security;
+
+drop policy if exists transactions_select on public.transactions;
+create policy transactions_select on public.transactions
+  for select using (user_id = auth.uid() or public.is_manager());
+
+drop policy if exists transactions_insert on public.transactions;
+create policy transactions_insert on public.transactions
+  for insert with check (user_id = auth.uid());
+
+drop policy if exists transactions_update on public.transactions;
+create policy transactions_update on public.transactions
+  for update using (user_id = auth.uid() or public.is_manager())
+  with check (user_id = auth.uid() or public.is_manager());
+
+-- withdrawals ----------------------------------------------------------------
+
+alter table public.withdrawals enable row level security;
+
+drop policy if exists withdrawals_select on public.withdrawals;
+create policy withdrawals_select on public.withdrawals
+  for select using (user_id = auth.uid() or public.is_manager());
+
+-- Employees can only file pending requests for themselves.
+drop policy if exists withdrawals_insert on public.withdrawals;
+create policy withdrawals_insert on public.withdrawals
+  for insert with check (user_id = auth.uid() and status = 'pending');
+
+-- Edits and approvals are manager-only.
+drop policy if exists withdrawals_update on public.withdrawals;
+create policy withdrawals_update on public.withdrawals
+  for update using (public.is_manager()) with check (public.is_manager());
@@ -0,0 +1,59 @@
+-- Append-only audit trail for transactions and withdrawals. Rows are written
+-- by triggers, so every mutation is recorded no matter which client made it;
+-- there are no insert/update/delete policies, so clients cannot tamper with it.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  at timestamptz not null default now(),
+  actor uuid default auth.uid(),
+  table_name text not null,
+  row_id text not null,
+  action text not null check (action in ('insert', 'update', 'delete')),
+  before jsonb,
+  after jsonb
+);
+
+create index if not exists audit_log_row_idx on public.audit_log (table_name, row_id, at desc);
+
+create or replace function public.audit_row_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into public.audit_log (table_name, row_id, action, after)
+    values (tg_table_name, new.id::text, 'insert', to_jsonb(new));
+  elsif tg_op = 'UPDATE' then
+    if to_jsonb(new) is distinct from to_jsonb(old) then
+      insert into public.audit_log (table_name, row_id, action, before, after)
+      values (tg_table_name, new.id::text, 'update', to_jsonb(old), to_jsonb(new));
+    end if;
+  else
+    insert into public.audit_log (table_name, row_id, action, before)
+    values (tg_table_name, old.id::text, 'delete', to_jsonb(old));
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists audit_transactions on public.transactions;
+create trigger audit_transactions
+  after insert or update or delete on public.transactions
+  for each row execute function public.audit_row_change();
+
+drop trigger if exists audit_withdrawals on public.withdrawals;
+create trigger audit_withdrawals
+  after insert or update or delete on public.withdrawals
+  for each row execute function public.audit_row_change();
+
+alter table public.audit_log enable row level security;
+
+-- Managers see everything; employees see the history of their own rows.
+drop policy if exists audit_log_select on public.audit_log;
+create policy audit_log_select on public.audit_log
+  for select using (
+    public.is_manager()
+    or coalesce(after, before) ->> 'user_id' = auth.uid()::text
+  );
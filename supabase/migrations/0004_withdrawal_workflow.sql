@@ -0,0 +1,148 @@
+-- Withdrawal approval workflow. Status changes go through decide_withdrawal()
+-- only; a direct update of status/approved_by is rejected by the guard
+-- trigger. Mirrors src/lib/withdrawalWorkflow.js.
+
+alter table public.withdrawals
+  add column if not exists approved_by uuid[] not null default '{}',
+  add column if not exists status_note text;
+
+alter table public.withdrawals
+  drop constraint if exists withdrawals_status_check,
+  add constraint withdrawals_status_check check (status in ('pending', 'approved', 'rejected'));
+
+-- settings -------------------------------------------------------------------
+
+create table if not exists public.app_settings (
+  key text primary key,
+  value jsonb
+);
+
+-- Above this amount two different managers must approve. null disables it.
+insert into public.app_settings (key, value)
+values ('dual_approval_threshold', '1000')
+on conflict (key) do nothing;
+
+alter table public.app_settings enable row level security;
+
+drop policy if exists app_settings_select on public.app_settings;
+create policy app_settings_select on public.app_settings
+  for select using (auth.uid() is not null);
+
+drop policy if exists app_settings_write on public.app_settings;
+create policy app_settings_write on public.app_settings
+  for all using (public.is_manager()) with check (public.is_manager());
+
+-- guard ----------------------------------------------------------------------
+
+create or replace function public.withdrawals_guard_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('inout.workflow', true), '') = 'on' then
+    return new;
+  end if;
+  if new.status is distinct from old.status
+    or new.approved_by is distinct from old.approved_by
+    or new.status_note is distinct from old.status_note then
+    raise exception 'status changes must go through decide_withdrawal()'
+      using errcode = '42501';
+  end if;
+  if old.status <> 'pending'
+    and (new.amount, new.client_account) is distinct from (old.amount, old.client_account) then
+    raise exception 'only pending withdrawals can be edited; reopen it first'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists withdrawals_guard_status on public.withdrawals;
+create trigger withdrawals_guard_status
+  before update on public.withdrawals
+  for each row execute function public.withdrawals_guard_status();
+
+-- decisions ------------------------------------------------------------------
+
+create or replace function public.decide_withdrawal(p_id uuid, p_decision text, p_note text default null)
+returns public.withdrawals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  w public.withdrawals;
+  threshold numeric;
+  required int;
+  note text := nullif(trim(p_note), '');
+begin
+  if not public.is_manager() then
+    raise exception 'only managers can decide withdrawals' using errcode = '42501';
+  end if;
+
+  select * into w from public.withdrawals where id = p_id for update;
+  if not found then
+    raise exception 'withdrawal % not found', p_id using errcode = 'P0002';
+  end if;
+
+  select (value #>> '{}')::numeric into threshold
+  from public.app_settings where key = 'dual_approval_threshold';
+  required := case when threshold is not null and w.amount > threshold then 2 else 1 end;
+
+  perform set_config('inout.workflow', 'on', true);
+
+  if p_decision = 'approve' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be approved.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot approve your own request.' using errcode = '42501';
+    end if;
+    if auth.uid() = any (w.approved_by) then
+      raise exception 'You already approved this request.' using errcode = '42501';
+    end if;
+    update public.withdrawals
+      set approved_by = approved_by || auth.uid(),
+          status = case when cardinality(approved_by) + 1 >= required then 'approved' else 'pending' end,
+          status_note = coalesce(note, status_note)
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reject' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be rejected.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot reject your own request.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A rejection reason is required.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'rejected', status_note = note
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reopen' then
+    if w.status = 'pending' then
+      raise exception 'Request is already pending.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A reason is required to reopen a decided request.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'pending', approved_by = '{}', status_note = note
+      where id = p_id
+      returning * into w;
+
+  else
+    raise exception 'Unknown decision "%".', p_decision using errcode = '22023';
+  end if;
+
+  return w;
+end;
+$$;
+
+revoke all on function public.decide_withdrawal(uuid, text, text) from public;
+grant execute on function public.decide_withdrawal(uuid, text, text) to authenticated;
@@ -0,0 +1,82 @@
+-- Client registry. transactions/withdrawals.client_account now reference a
+-- registered client, so one client can no longer appear under several
+-- spellings.
+
+create table if not exists public.clients (
+  id uuid primary key default gen_random_uuid(),
+  account_number text not null unique,
+  name text not null,
+  phone text,
+  email text,
+  notes text,
+  created_at timestamptz not null default now(),
+  created_by uuid default auth.uid() references auth.users (id)
+);
+
+-- Backfill from existing free-text entries (first non-empty name wins).
+insert into public.clients (account_number, name, created_by)
+select trim(client_account),
+       coalesce(max(nullif(trim(client_name), '')), trim(client_account)),
+       null
+from (
+  select client_account, client_name from public.transactions
+  union all
+  select client_account, client_name from public.withdrawals
+) src
+where nullif(trim(client_account), '') is not null
+group by trim(client_account)
+on conflict (account_number) do nothing;
+
+update public.transactions set client_account = trim(client_account) where client_account <> trim(client_account);
+update public.withdrawals set client_account = trim(client_account) where client_account <> trim(client_account);
+
+alter table public.transactions
+  drop constraint if exists transactions_client_account_fkey,
+  add constraint transactions_client_account_fkey
+    foreign key (client_account) references public.clients (account_number) on update cascade;
+
+alter table public.withdrawals
+  drop constraint if exists withdrawals_client_account_fkey,
+  add constraint withdrawals_client_account_fkey
+    foreign key (client_account) references public.clients (account_number) on update cascade;
+
+create index if not exists transactions_client_account_idx on public.transactions (client_account);
+create index if not exists withdrawals_client_account_idx on public.withdrawals (client_account);
+
+alter table public.clients enable row level security;
+
+drop policy if exists clients_select on public.clients;
+create policy clients_select on public.clients
+  for select using (auth.uid() is not null);
+
+drop policy if exists clients_insert on public.clients;
+create policy clients_insert on public.clients
+  for insert with check (auth.uid() is not null);
+
+drop policy if exists clients_update on public.clients;
+create policy clients_update on public.clients
+  for update using (public.is_manager() or created_by = auth.uid());
+
+-- Balance across every employee's entries, which an employee cannot read
+-- row by row; hence security definer. Only totals are exposed.
+create or replace function public.client_balance(p_account text)
+returns table (deposits numeric, withdrawn numeric, pending numeric, balance numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select d.total, w.approved, w.pending, d.total - w.approved
+  from (
+    select coalesce(sum(amount), 0) as total
+    from public.transactions where client_account = p_account
+  ) d,
+  (
+    select coalesce(sum(amount) filter (where status = 'approved'), 0) as approved,
+           coalesce(sum(amount) filter (where status = 'pending'), 0) as pending
+    from public.withdrawals where client_account = p_account
+  ) w;
+$$;
+
+revoke all on function public.client_balance(text) from public;
+grant execute on function public.client_balance(text) to authenticated;
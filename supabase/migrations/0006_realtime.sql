@@ -0,0 +1,24 @@
+-- Stream ledger changes to clients (subscribeLedger). Realtime applies the
+-- select policies, so each user only receives rows they can read.
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'transactions'
+  ) then
+    alter publication supabase_realtime add table public.transactions;
+  end if;
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'withdrawals'
+  ) then
+    alter publication supabase_realtime add table public.withdrawals;
+  end if;
+end;
+$$;
+
+-- Send the full previous row on update/delete, so clients can tell which
+-- rows left their view.
+alter table public.transactions replica identity full;
+alter table public.withdrawals replica identity full;
@@ -0,0 +1,85 @@
+-- Recurring deposits. A schedule says a client is expected to deposit
+-- `amount` every month, or every year in the month it started, on the day
+-- of month it started (clamped to short months). Managers turn the
+-- schedules due in a month into expected_deposits rows, which the app
+-- compares with that month's actual deposits.
+
+create table if not exists public.deposit_schedules (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  user_id uuid not null default auth.uid() references auth.users (id),
+  client_account text not null references public.clients (account_number) on update cascade,
+  amount numeric(14, 3) not null check (amount > 0),
+  period text not null check (period in ('monthly', 'yearly')),
+  start_date date not null default current_date,
+  active boolean not null default true
+);
+
+create table if not exists public.expected_deposits (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  schedule_id uuid not null references public.deposit_schedules (id) on delete cascade,
+  user_id uuid not null references auth.users (id),
+  client_account text not null references public.clients (account_number) on update cascade,
+  amount numeric(14, 3) not null,
+  due_date date not null,
+  unique (schedule_id, due_date)
+);
+
+create index if not exists expected_deposits_due_date_idx on public.expected_deposits (due_date);
+
+alter table public.deposit_schedules enable row level security;
+alter table public.expected_deposits enable row level security;
+
+drop policy if exists deposit_schedules_select on public.deposit_schedules;
+create policy deposit_schedules_select on public.deposit_schedules
+  for select using (user_id = auth.uid() or public.is_manager());
+
+drop policy if exists deposit_schedules_insert on public.deposit_schedules;
+create policy deposit_schedules_insert on public.deposit_schedules
+  for insert with check (user_id = auth.uid());
+
+drop policy if exists deposit_schedules_update on public.deposit_schedules;
+create policy deposit_schedules_update on public.deposit_schedules
+  for update using (user_id = auth.uid() or public.is_manager())
+  with check (user_id = auth.uid() or public.is_manager());
+
+-- Expected entries are only written by generate_expected_deposits().
+drop policy if exists expected_deposits_select on public.expected_deposits;
+create policy expected_deposits_select on public.expected_deposits
+  for select using (user_id = auth.uid() or public.is_manager());
+
+-- Same due rules as dueDate() in src/lib/schedules.js. Idempotent: entries
+-- that already exist for the month are left alone. Returns how many were
+-- created.
+create or replace function public.generate_expected_deposits(p_year int, p_month int)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  first_day date := make_date(p_year, p_month, 1);
+  last_day int := extract(day from (make_date(p_year, p_month, 1) + interval '1 month - 1 day'))::int;
+  created int;
+begin
+  if not public.is_manager() then
+    raise exception 'only managers can generate expected deposits' using errcode = '42501';
+  end if;
+
+  insert into public.expected_deposits (schedule_id, user_id, client_account, amount, due_date)
+  select s.id, s.user_id, s.client_account, s.amount,
+         make_date(p_year, p_month, least(extract(day from s.start_date)::int, last_day))
+  from public.deposit_schedules s
+  where s.active
+    and date_trunc('month', s.start_date) <= first_day
+    and (s.period = 'monthly' or extract(month from s.start_date) = p_month)
+  on conflict (schedule_id, due_date) do nothing;
+
+  get diagnostics created = row_count;
+  return created;
+end;
+$$;
+
+revoke all on function public.generate_expected_deposits(int, int) from public;
+grant execute on function public.generate_expected_deposits(int, int) to authenticated;
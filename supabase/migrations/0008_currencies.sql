@@ -0,0 +1,189 @@
+-- Multi-currency amounts. Every amount carries an ISO 4217 currency code;
+-- totals are reported in KWD using exchange_rates, where each rate is KWD
+-- per unit of the currency and applies from its effective date until the
+-- next one.
+
+alter table public.transactions add column if not exists currency text not null default 'KWD';
+alter table public.withdrawals add column if not exists currency text not null default 'KWD';
+alter table public.deposit_schedules add column if not exists currency text not null default 'KWD';
+alter table public.expected_deposits add column if not exists currency text not null default 'KWD';
+
+alter table public.transactions drop constraint if exists transactions_currency_check;
+alter table public.transactions add constraint transactions_currency_check check (currency ~ '^[A-Z]{3}$');
+alter table public.withdrawals drop constraint if exists withdrawals_currency_check;
+alter table public.withdrawals add constraint withdrawals_currency_check check (currency ~ '^[A-Z]{3}$');
+alter table public.deposit_schedules drop constraint if exists deposit_schedules_currency_check;
+alter table public.deposit_schedules add constraint deposit_schedules_currency_check check (currency ~ '^[A-Z]{3}$');
+
+create table if not exists public.exchange_rates (
+  id uuid primary key default gen_random_uuid(),
+  currency text not null check (currency ~ '^[A-Z]{3}$' and currency <> 'KWD'),
+  rate numeric(18, 8) not null check (rate > 0),
+  effective_date date not null,
+  created_at timestamptz not null default now(),
+  created_by uuid default auth.uid() references auth.users (id),
+  unique (currency, effective_date)
+);
+
+alter table public.exchange_rates enable row level security;
+
+drop policy if exists exchange_rates_select on public.exchange_rates;
+create policy exchange_rates_select on public.exchange_rates
+  for select using (auth.uid() is not null);
+
+drop policy if exists exchange_rates_write on public.exchange_rates;
+create policy exchange_rates_write on public.exchange_rates
+  for all using (public.is_manager()) with check (public.is_manager());
+
+-- KWD value of `amount` on day `at`; null when no rate is in force yet.
+-- Same lookup as rateOn() in src/lib/currencies.js.
+create or replace function public.to_base(p_amount numeric, p_currency text, p_at date)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select case
+    when p_currency = 'KWD' then p_amount
+    else p_amount * (
+      select rate from public.exchange_rates
+      where currency = p_currency and effective_date <= p_at
+      order by effective_date desc
+      limit 1
+    )
+  end;
+$$;
+
+-- Balances are now in KWD. Amounts without a rate count as zero, like the
+-- app's totals.
+create or replace function public.client_balance(p_account text)
+returns table (deposits numeric, withdrawn numeric, pending numeric, balance numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select d.total, w.approved, w.pending, d.total - w.approved
+  from (
+    select coalesce(sum(public.to_base(amount, currency, created_at::date)), 0) as total
+    from public.transactions where client_account = p_account
+  ) d,
+  (
+    select coalesce(sum(public.to_base(amount, currency, created_at::date)) filter (where status = 'approved'), 0) as approved,
+           coalesce(sum(public.to_base(amount, currency, created_at::date)) filter (where status = 'pending'), 0) as pending
+    from public.withdrawals where client_account = p_account
+  ) w;
+$$;
+
+-- Expected entries take the schedule's currency.
+create or replace function public.generate_expected_deposits(p_year int, p_month int)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  first_day date := make_date(p_year, p_month, 1);
+  last_day int := extract(day from (make_date(p_year, p_month, 1) + interval '1 month - 1 day'))::int;
+  created int;
+begin
+  if not public.is_manager() then
+    raise exception 'only managers can generate expected deposits' using errcode = '42501';
+  end if;
+
+  insert into public.expected_deposits (schedule_id, user_id, client_account, amount, currency, due_date)
+  select s.id, s.user_id, s.client_account, s.amount, s.currency,
+         make_date(p_year, p_month, least(extract(day from s.start_date)::int, last_day))
+  from public.deposit_schedules s
+  where s.active
+    and date_trunc('month', s.start_date) <= first_day
+    and (s.period = 'monthly' or extract(month from s.start_date) = p_month)
+  on conflict (schedule_id, due_date) do nothing;
+
+  get diagnostics created = row_count;
+  return created;
+end;
+$$;
+
+-- The dual-approval threshold is in KWD, so compare the converted amount.
+create or replace function public.decide_withdrawal(p_id uuid, p_decision text, p_note text default null)
+returns public.withdrawals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  w public.withdrawals;
+  threshold numeric;
+  required int;
+  note text := nullif(trim(p_note), '');
+begin
+  if not public.is_manager() then
+    raise exception 'only managers can decide withdrawals' using errcode = '42501';
+  end if;
+
+  select * into w from public.withdrawals where id = p_id for update;
+  if not found then
+    raise exception 'withdrawal % not found', p_id using errcode = 'P0002';
+  end if;
+
+  select (value #>> '{}')::numeric into threshold
+  from public.app_settings where key = 'dual_approval_threshold';
+  required := case
+    when threshold is not null and public.to_base(w.amount, w.currency, w.created_at::date) > threshold then 2
+    else 1
+  end;
+
+  perform set_config('inout.workflow', 'on', true);
+
+  if p_decision = 'approve' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be approved.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot approve your own request.' using errcode = '42501';
+    end if;
+    if auth.uid() = any (w.approved_by) then
+      raise exception 'You already approved this request.' using errcode = '42501';
+    end if;
+    update public.withdrawals
+      set approved_by = approved_by || auth.uid(),
+          status = case when cardinality(approved_by) + 1 >= required then 'approved' else 'pending' end,
+          status_note = coalesce(note, status_note)
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reject' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be rejected.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot reject your own request.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A rejection reason is required.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'rejected', status_note = note
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reopen' then
+    if w.status = 'pending' then
+      raise exception 'Request is already pending.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A reason is required to reopen a decided request.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'pending', approved_by = '{}', status_note = note
+      where id = p_id
+      returning * into w;
+
+  else
+    raise exception 'Unknown decision "%".', p_decision using errcode = '22023';
+  end if;
+
+  return w;
+end;
+$$;
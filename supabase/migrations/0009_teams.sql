@@ -0,0 +1,225 @@
+-- Teams (branches). Employees belong to one or more teams; a manager sees
+-- only the employees of the teams they manage, and the new org_admin role
+-- sees everyone. canSee() in src/lib/backends/local.js mirrors
+-- can_see_user().
+--
+-- Existing managers become org admins so nobody loses access; demote them
+-- to branch managers once their teams are set up.
+
+alter table public.profile
+  drop constraint if exists profile_role_check,
+  add constraint profile_role_check check (role in ('employee', 'manager', 'org_admin'));
+
+update public.profile set role = 'org_admin' where role = 'manager';
+
+create table if not exists public.teams (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique check (trim(name) <> ''),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.team_members (
+  team_id uuid not null references public.teams (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null default 'member' check (role in ('member', 'manager')),
+  primary key (team_id, user_id)
+);
+
+create index if not exists team_members_user_id_idx on public.team_members (user_id);
+
+create or replace function public.is_org_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profile where id = auth.uid() and role = 'org_admin'
+  );
+$$;
+
+-- Manager-only features stay open to org admins.
+create or replace function public.is_manager()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profile where id = auth.uid() and role in ('manager', 'org_admin')
+  );
+$$;
+
+-- Can the caller see `p_user`'s rows? Themselves, anyone for org admins,
+-- and members of the teams a manager manages.
+create or replace function public.can_see_user(p_user uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p_user = auth.uid()
+    or public.is_org_admin()
+    or (public.is_manager() and exists (
+      select 1
+      from public.team_members m
+      join public.team_members e on e.team_id = m.team_id
+      where m.user_id = auth.uid() and m.role = 'manager' and e.user_id = p_user
+    ));
+$$;
+
+-- teams -----------------------------------------------------------------------
+
+alter table public.teams enable row level security;
+alter table public.team_members enable row level security;
+
+drop policy if exists teams_select on public.teams;
+create policy teams_select on public.teams
+  for select using (
+    public.is_org_admin()
+    or exists (select 1 from public.team_members m where m.team_id = teams.id and m.user_id = auth.uid())
+  );
+
+drop policy if exists teams_write on public.teams;
+create policy teams_write on public.teams
+  for all using (public.is_org_admin()) with check (public.is_org_admin());
+
+drop policy if exists team_members_select on public.team_members;
+create policy team_members_select on public.team_members
+  for select using (user_id = auth.uid() or public.can_see_user(user_id));
+
+drop policy if exists team_members_write on public.team_members;
+create policy team_members_write on public.team_members
+  for all using (public.is_org_admin()) with check (public.is_org_admin());
+
+-- Scope the existing policies ---------------------------------------------------
+
+drop policy if exists profile_select on public.profile;
+create policy profile_select on public.profile
+  for select using (public.can_see_user(id));
+
+drop policy if exists transactions_select on public.transactions;
+create policy transactions_select on public.transactions
+  for select using (public.can_see_user(user_id));
+
+drop policy if exists transactions_update on public.transactions;
+create policy transactions_update on public.transactions
+  for update using (user_id = auth.uid() or (public.is_manager() and public.can_see_user(user_id)))
+  with check (user_id = auth.uid() or (public.is_manager() and public.can_see_user(user_id)));
+
+drop policy if exists withdrawals_select on public.withdrawals;
+create policy withdrawals_select on public.withdrawals
+  for select using (public.can_see_user(user_id));
+
+drop policy if exists withdrawals_update on public.withdrawals;
+create policy withdrawals_update on public.withdrawals
+  for update using (public.is_manager() and public.can_see_user(user_id))
+  with check (public.is_manager() and public.can_see_user(user_id));
+
+drop policy if exists deposit_schedules_select on public.deposit_schedules;
+create policy deposit_schedules_select on public.deposit_schedules
+  for select using (public.can_see_user(user_id));
+
+drop policy if exists deposit_schedules_update on public.deposit_schedules;
+create policy deposit_schedules_update on public.deposit_schedules
+  for update using (user_id = auth.uid() or (public.is_manager() and public.can_see_user(user_id)))
+  with check (user_id = auth.uid() or (public.is_manager() and public.can_see_user(user_id)));
+
+drop policy if exists expected_deposits_select on public.expected_deposits;
+create policy expected_deposits_select on public.expected_deposits
+  for select using (public.can_see_user(user_id));
+
+drop policy if exists audit_log_select on public.audit_log;
+create policy audit_log_select on public.audit_log
+  for select using (public.can_see_user((coalesce(after, before) ->> 'user_id')::uuid));
+
+-- decide_withdrawal() is security definer, so it bypasses the update policy;
+-- this keeps managers to their own teams' requests there too.
+create or replace function public.withdrawals_scope_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null and not public.can_see_user(old.user_id) then
+    raise exception 'This request belongs to another team.' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists withdrawals_scope_guard on public.withdrawals;
+create trigger withdrawals_scope_guard
+  before update on public.withdrawals
+  for each row execute function public.withdrawals_scope_guard();
+
+-- Roles: managers manage roles within their teams; only org admins grant or
+-- revoke org_admin, and the last org admin stays.
+create or replace function public.set_profile_role(target uuid, new_role text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_role text;
+begin
+  if not public.is_manager() then
+    raise exception 'only managers can change roles' using errcode = '42501';
+  end if;
+  if new_role not in ('employee', 'manager', 'org_admin') then
+    raise exception 'unknown role %', new_role using errcode = '22023';
+  end if;
+  if not public.can_see_user(target) then
+    raise exception 'that user is not in your teams' using errcode = '42501';
+  end if;
+
+  select role into old_role from public.profile where id = target;
+  if not found then
+    raise exception 'profile % not found', target using errcode = 'P0002';
+  end if;
+  if (new_role = 'org_admin' or old_role = 'org_admin') and not public.is_org_admin() then
+    raise exception 'only org admins can change the org admin role' using errcode = '42501';
+  end if;
+  if old_role = 'org_admin' and new_role <> 'org_admin'
+    and (select count(*) from public.profile where role = 'org_admin') <= 1 then
+    raise exception 'cannot revoke the last org admin' using errcode = '42501';
+  end if;
+
+  perform set_config('inout.role_change', 'on', true);
+  update public.profile set role = new_role where id = target;
+end;
+$$;
+
+-- Managers generate expected deposits for their own teams only.
+create or replace function public.generate_expected_deposits(p_year int, p_month int)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  first_day date := make_date(p_year, p_month, 1);
+  last_day int := extract(day from (make_date(p_year, p_month, 1) + interval '1 month - 1 day'))::int;
+  created int;
+begin
+  if not public.is_manager() then
+    raise exception 'only managers can generate expected deposits' using errcode = '42501';
+  end if;
+
+  insert into public.expected_deposits (schedule_id, user_id, client_account, amount, currency, due_date)
+  select s.id, s.user_id, s.client_account, s.amount, s.currency,
+         make_date(p_year, p_month, least(extract(day from s.start_date)::int, last_day))
+  from public.deposit_schedules s
+  where s.active
+    and public.can_see_user(s.user_id)
+    and date_trunc('month', s.start_date) <= first_day
+    and (s.period = 'monthly' or extract(month from s.start_date) = p_month)
+  on conflict (schedule_id, due_date) do nothing;
+
+  get diagnostics created = row_count;
+  return created;
+end;
+$$;
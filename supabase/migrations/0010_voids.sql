@@ -0,0 +1,233 @@
+-- Voiding and cancelling. A mistaken deposit or withdrawal is kept but
+-- marked void with a reason, and no total counts it; void_entry() is the
+-- only way to set the void columns, and voided rows are read-only. The
+-- requester can also cancel a withdrawal that is still pending. Mirrors
+-- src/lib/voids.js and src/lib/withdrawalWorkflow.js.
+
+alter table public.transactions
+  add column if not exists voided_at timestamptz,
+  add column if not exists voided_by uuid references auth.users (id),
+  add column if not exists void_reason text;
+
+alter table public.withdrawals
+  add column if not exists voided_at timestamptz,
+  add column if not exists voided_by uuid references auth.users (id),
+  add column if not exists void_reason text;
+
+alter table public.withdrawals
+  drop constraint if exists withdrawals_status_check,
+  add constraint withdrawals_status_check check (status in ('pending', 'approved', 'rejected', 'cancelled'));
+
+-- guard ----------------------------------------------------------------------
+
+create or replace function public.ledger_guard_void()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('inout.workflow', true), '') = 'on' then
+    return new;
+  end if;
+  if old.voided_at is not null then
+    raise exception 'voided entries cannot be changed' using errcode = '42501';
+  end if;
+  if (new.voided_at, new.voided_by, new.void_reason) is distinct from (old.voided_at, old.voided_by, old.void_reason) then
+    raise exception 'entries are voided through void_entry()' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists transactions_guard_void on public.transactions;
+create trigger transactions_guard_void
+  before update on public.transactions
+  for each row execute function public.ledger_guard_void();
+
+drop trigger if exists withdrawals_guard_void on public.withdrawals;
+create trigger withdrawals_guard_void
+  before update on public.withdrawals
+  for each row execute function public.ledger_guard_void();
+
+-- void -----------------------------------------------------------------------
+
+-- Same rules as voidError(): deposits by their owner or a manager who can
+-- see them, withdrawals by such a manager; a reason is required. Returns the
+-- updated row.
+create or replace function public.void_entry(p_table text, p_id uuid, p_reason text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  reason text := nullif(trim(p_reason), '');
+  owner uuid;
+  already timestamptz;
+  result jsonb;
+begin
+  if p_table = 'transactions' then
+    select user_id, voided_at into owner, already from public.transactions where id = p_id for update;
+  elsif p_table = 'withdrawals' then
+    select user_id, voided_at into owner, already from public.withdrawals where id = p_id for update;
+  else
+    raise exception 'cannot void rows of %', p_table using errcode = '22023';
+  end if;
+  if not found then
+    raise exception '% row % not found', p_table, p_id using errcode = 'P0002';
+  end if;
+
+  if already is not null then
+    raise exception 'This entry is already void.' using errcode = '42501';
+  end if;
+  if p_table = 'withdrawals' and not (public.is_manager() and public.can_see_user(owner)) then
+    raise exception 'Only managers can void withdrawals.' using errcode = '42501';
+  end if;
+  if p_table = 'transactions' and owner is distinct from auth.uid()
+    and not (public.is_manager() and public.can_see_user(owner)) then
+    raise exception 'You can only void your own deposits.' using errcode = '42501';
+  end if;
+  if reason is null then
+    raise exception 'A reason is required to void an entry.' using errcode = '22023';
+  end if;
+
+  perform set_config('inout.workflow', 'on', true);
+  if p_table = 'transactions' then
+    update public.transactions
+      set voided_at = now(), voided_by = auth.uid(), void_reason = reason
+      where id = p_id
+      returning to_jsonb(transactions.*) into result;
+  else
+    update public.withdrawals
+      set voided_at = now(), voided_by = auth.uid(), void_reason = reason
+      where id = p_id
+      returning to_jsonb(withdrawals.*) into result;
+  end if;
+  return result;
+end;
+$$;
+
+revoke all on function public.void_entry(text, uuid, text) from public;
+grant execute on function public.void_entry(text, uuid, text) to authenticated;
+
+-- Voided rows leave the balances.
+create or replace function public.client_balance(p_account text)
+returns table (deposits numeric, withdrawn numeric, pending numeric, balance numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select d.total, w.approved, w.pending, d.total - w.approved
+  from (
+    select coalesce(sum(public.to_base(amount, currency, created_at::date)), 0) as total
+    from public.transactions where client_account = p_account and voided_at is null
+  ) d,
+  (
+    select coalesce(sum(public.to_base(amount, currency, created_at::date)) filter (where status = 'approved'), 0) as approved,
+           coalesce(sum(public.to_base(amount, currency, created_at::date)) filter (where status = 'pending'), 0) as pending
+    from public.withdrawals where client_account = p_account and voided_at is null
+  ) w;
+$$;
+
+-- Voided requests cannot be decided, and the requester may cancel their own
+-- pending request.
+create or replace function public.decide_withdrawal(p_id uuid, p_decision text, p_note text default null)
+returns public.withdrawals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  w public.withdrawals;
+  threshold numeric;
+  required int;
+  note text := nullif(trim(p_note), '');
+begin
+  if p_decision <> 'cancel' and not public.is_manager() then
+    raise exception 'only managers can decide withdrawals' using errcode = '42501';
+  end if;
+
+  select * into w from public.withdrawals where id = p_id for update;
+  if not found then
+    raise exception 'withdrawal % not found', p_id using errcode = 'P0002';
+  end if;
+  if w.voided_at is not null then
+    raise exception 'This request has been voided.' using errcode = '42501';
+  end if;
+
+  select (value #>> '{}')::numeric into threshold
+  from public.app_settings where key = 'dual_approval_threshold';
+  required := case
+    when threshold is not null and public.to_base(w.amount, w.currency, w.created_at::date) > threshold then 2
+    else 1
+  end;
+
+  perform set_config('inout.workflow', 'on', true);
+
+  if p_decision = 'approve' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be approved.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot approve your own request.' using errcode = '42501';
+    end if;
+    if auth.uid() = any (w.approved_by) then
+      raise exception 'You already approved this request.' using errcode = '42501';
+    end if;
+    update public.withdrawals
+      set approved_by = approved_by || auth.uid(),
+          status = case when cardinality(approved_by) + 1 >= required then 'approved' else 'pending' end,
+          status_note = coalesce(note, status_note)
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reject' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be rejected.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot reject your own request.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A rejection reason is required.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'rejected', status_note = note
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reopen' then
+    if w.status = 'pending' then
+      raise exception 'Request is already pending.' using errcode = '42501';
+    end if;
+    if w.status = 'cancelled' then
+      raise exception 'Cancelled requests cannot be reopened.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A reason is required to reopen a decided request.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'pending', approved_by = '{}', status_note = note
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'cancel' then
+    if w.user_id is distinct from auth.uid() then
+      raise exception 'You can only cancel your own request.' using errcode = '42501';
+    end if;
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be cancelled.' using errcode = '42501';
+    end if;
+    update public.withdrawals
+      set status = 'cancelled', status_note = note
+      where id = p_id
+      returning * into w;
+
+  else
+    raise exception 'Unknown decision "%".', p_decision using errcode = '22023';
+  end if;
+
+  return w;
+end;
+$$;
@@ -0,0 +1,25 @@
+-- Employee directory: display names and emails for a set of user ids, so
+-- screens never fall back to raw ids. Profiles outside your teams are
+-- hidden by RLS, yet their ids still show up on rows you can see (the
+-- manager who approved your withdrawal, an audit log actor), so names are
+-- resolved for any id; emails only for users you can see. The client caches
+-- the results in src/lib/directory.js.
+
+create or replace function public.employee_directory(p_ids uuid[])
+returns table (id uuid, display_name text, email text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select u.id,
+         p.display_name,
+         case when public.can_see_user(u.id) then u.email::text end
+  from auth.users u
+  left join public.profile p on p.id = u.id
+  where auth.uid() is not null
+    and u.id = any(p_ids);
+$$;
+
+revoke all on function public.employee_directory(uuid[]) from public;
+grant execute on function public.employee_directory(uuid[]) to authenticated;
@@ -0,0 +1,142 @@
+-- Attachments: bank slips and signed withdrawal forms on deposits and
+-- withdrawals. Files live in the private "attachments" storage bucket under
+-- <table>/<row id>/<file>; this table holds their metadata. Whoever may edit
+-- a row may attach to it (its owner, or a manager who can see them).
+-- Withdrawals above attachment_required_above KWD need an attachment before
+-- any manager approves them. src/lib/attachments.js mirrors these rules.
+
+create table if not exists public.attachments (
+  id uuid primary key default gen_random_uuid(),
+  table_name text not null check (table_name in ('transactions', 'withdrawals')),
+  row_id uuid not null,
+  path text not null unique,
+  thumb_path text,
+  file_name text not null,
+  content_type text not null check (content_type like 'image/%' or content_type = 'application/pdf'),
+  size int not null check (size > 0 and size <= 10485760),
+  uploaded_by uuid not null default auth.uid() references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attachments_row_idx on public.attachments (table_name, row_id);
+
+-- Above this KWD amount a withdrawal needs an attachment before approval.
+-- null disables it.
+insert into public.app_settings (key, value)
+values ('attachment_required_above', '250')
+on conflict (key) do nothing;
+
+-- The employee a deposit or withdrawal belongs to.
+create or replace function public.attachment_owner(p_table text, p_row uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case p_table
+    when 'transactions' then (select user_id from public.transactions where id = p_row)
+    when 'withdrawals' then (select user_id from public.withdrawals where id = p_row)
+  end;
+$$;
+
+create or replace function public.can_attach(p_table text, p_row uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(o = auth.uid() or (public.is_manager() and public.can_see_user(o)), false)
+  from (select public.attachment_owner(p_table, p_row) as o) owner;
+$$;
+
+-- can_attach() for a storage path "<table>/<row id>/<file>".
+create or replace function public.can_attach_path(p_path text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when split_part(p_path, '/', 2) ~ '^[0-9a-fA-F-]{36}$'
+      then public.can_attach(split_part(p_path, '/', 1), split_part(p_path, '/', 2)::uuid)
+    else false
+  end;
+$$;
+
+alter table public.attachments enable row level security;
+
+drop policy if exists attachments_select on public.attachments;
+create policy attachments_select on public.attachments
+  for select using (public.can_see_user(public.attachment_owner(table_name, row_id)));
+
+drop policy if exists attachments_insert on public.attachments;
+create policy attachments_insert on public.attachments
+  for insert with check (uploaded_by = auth.uid() and public.can_attach(table_name, row_id));
+
+-- The form an approval relied on stays put.
+drop policy if exists attachments_delete on public.attachments;
+create policy attachments_delete on public.attachments
+  for delete using (
+    public.can_attach(table_name, row_id)
+    and not exists (
+      select 1 from public.withdrawals w
+      where attachments.table_name = 'withdrawals' and w.id = attachments.row_id and w.status = 'approved'
+    )
+  );
+
+-- storage -------------------------------------------------------------------
+
+insert into storage.buckets (id, name, public)
+values ('attachments', 'attachments', false)
+on conflict (id) do nothing;
+
+drop policy if exists attachments_objects_select on storage.objects;
+create policy attachments_objects_select on storage.objects
+  for select using (
+    bucket_id = 'attachments'
+    and exists (select 1 from public.attachments a where a.path = objects.name or a.thumb_path = objects.name)
+  );
+
+drop policy if exists attachments_objects_insert on storage.objects;
+create policy attachments_objects_insert on storage.objects
+  for insert with check (bucket_id = 'attachments' and public.can_attach_path(name));
+
+drop policy if exists attachments_objects_delete on storage.objects;
+create policy attachments_objects_delete on storage.objects
+  for delete using (bucket_id = 'attachments' and public.can_attach_path(name));
+
+-- approvals -----------------------------------------------------------------
+
+-- decide_withdrawal() adds the approver to approved_by; refuse that while a
+-- large request has nothing attached.
+create or replace function public.withdrawals_require_attachment()
+returns trigger
+language plpgsql
+as $$
+declare
+  required_above numeric;
+begin
+  if cardinality(coalesce(new.approved_by, '{}')) <= cardinality(coalesce(old.approved_by, '{}')) then
+    return new;
+  end if;
+  select (value #>> '{}')::numeric into required_above
+  from public.app_settings where key = 'attachment_required_above';
+  if required_above is not null
+    and public.to_base(new.amount, new.currency, new.created_at::date) > required_above
+    and not exists (
+      select 1 from public.attachments a where a.table_name = 'withdrawals' and a.row_id = new.id
+    ) then
+    raise exception 'Attach the signed withdrawal form before approving requests above % KWD.', required_above
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists withdrawals_require_attachment on public.withdrawals;
+create trigger withdrawals_require_attachment
+  before update on public.withdrawals
+  for each row execute function public.withdrawals_require_attachment();
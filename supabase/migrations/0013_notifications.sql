@@ -0,0 +1,180 @@
+-- Notifications about withdrawal requests: managers hear about new and
+-- long-pending requests, employees about decisions on theirs. Triggers
+-- write them here; the app shows them in its notification center and the
+-- notify-outbound edge function (supabase/functions/notify-outbound/) mails
+-- or posts the undelivered ones. src/lib/notifications.js mirrors the rules
+-- for the local backend.
+
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  kind text not null check (kind in (
+    'withdrawal_requested', 'withdrawal_approved', 'withdrawal_rejected', 'withdrawal_overdue'
+  )),
+  withdrawal_id uuid references public.withdrawals (id) on delete cascade,
+  message text not null,
+  created_at timestamptz not null default now(),
+  read_at timestamptz,
+  delivered_at timestamptz
+);
+
+create index if not exists notifications_user_idx on public.notifications (user_id, created_at desc);
+create index if not exists notifications_undelivered_idx on public.notifications (created_at) where delivered_at is null;
+-- One reminder per request and manager.
+create unique index if not exists notifications_overdue_once
+  on public.notifications (user_id, withdrawal_id) where kind = 'withdrawal_overdue';
+
+-- Reminders go out for requests pending longer than this many days. null
+-- turns them off.
+insert into public.app_settings (key, value)
+values ('pending_reminder_days', '3')
+on conflict (key) do nothing;
+
+alter table public.notifications enable row level security;
+
+drop policy if exists notifications_select on public.notifications;
+create policy notifications_select on public.notifications
+  for select using (user_id = auth.uid());
+
+-- Only read_at may change; see notifications_guard below.
+drop policy if exists notifications_update on public.notifications;
+create policy notifications_update on public.notifications
+  for update using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create or replace function public.notifications_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null and (
+    new.user_id <> old.user_id or new.kind <> old.kind or new.message <> old.message
+    or new.withdrawal_id is distinct from old.withdrawal_id
+    or new.delivered_at is distinct from old.delivered_at
+  ) then
+    raise exception 'only read_at can be changed' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists notifications_guard on public.notifications;
+create trigger notifications_guard
+  before update on public.notifications
+  for each row execute function public.notifications_guard();
+
+-- Managers and org admins who can see `p_user`'s requests, other than
+-- `p_user`. Mirrors can_see_user() from the manager's side.
+create or replace function public.managers_of(p_user uuid)
+returns setof uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.id from public.profile p
+  where p.id <> p_user
+    and (
+      p.role = 'org_admin'
+      or (p.role = 'manager' and exists (
+        select 1
+        from public.team_members m
+        join public.team_members e on e.team_id = m.team_id
+        where m.user_id = p.id and m.role = 'manager' and e.user_id = p_user
+      ))
+    );
+$$;
+
+create or replace function public.withdrawal_label(w public.withdrawals)
+returns text
+language sql
+immutable
+as $$
+  select format('%s %s for %s', w.amount, w.currency, coalesce(nullif(w.client_name, ''), w.client_account));
+$$;
+
+create or replace function public.notify_withdrawal()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into public.notifications (user_id, kind, withdrawal_id, message)
+    select m, 'withdrawal_requested', new.id, format('New withdrawal request: %s.', public.withdrawal_label(new))
+    from public.managers_of(new.user_id) m;
+  elsif new.status is distinct from old.status and new.status = 'approved' then
+    insert into public.notifications (user_id, kind, withdrawal_id, message)
+    values (new.user_id, 'withdrawal_approved', new.id,
+            format('Your withdrawal of %s was approved.', public.withdrawal_label(new)));
+  elsif new.status is distinct from old.status and new.status = 'rejected' then
+    insert into public.notifications (user_id, kind, withdrawal_id, message)
+    values (new.user_id, 'withdrawal_rejected', new.id,
+            format('Your withdrawal of %s was rejected%s', public.withdrawal_label(new),
+                   coalesce(': ' || new.status_note, '.')));
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists notify_withdrawal on public.withdrawals;
+create trigger notify_withdrawal
+  after insert or update of status on public.withdrawals
+  for each row execute function public.notify_withdrawal();
+
+-- Reminds managers of requests pending longer than pending_reminder_days,
+-- once per request. Run on a schedule (below) or by notify-outbound.
+create or replace function public.notify_overdue_withdrawals()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  reminder_days int;
+  created int;
+begin
+  select (value #>> '{}')::int into reminder_days
+  from public.app_settings where key = 'pending_reminder_days';
+  if reminder_days is null then
+    return 0;
+  end if;
+
+  insert into public.notifications (user_id, kind, withdrawal_id, message)
+  select m, 'withdrawal_overdue', w.id,
+         format('Withdrawal of %s has been pending for %s days.', public.withdrawal_label(w), reminder_days)
+  from public.withdrawals w
+  cross join lateral public.managers_of(w.user_id) m
+  where w.status = 'pending'
+    and w.voided_at is null
+    and w.created_at <= now() - make_interval(days => reminder_days)
+  on conflict (user_id, withdrawal_id) where kind = 'withdrawal_overdue' do nothing;
+
+  get diagnostics created = row_count;
+  return created;
+end;
+$$;
+
+revoke all on function public.notify_overdue_withdrawals() from public, anon, authenticated;
+grant execute on function public.notify_overdue_withdrawals() to service_role;
+
+-- Hourly reminders where pg_cron is enabled; otherwise notify-outbound runs
+-- them on each call.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule('notify-overdue-withdrawals', '0 * * * *', 'select public.notify_overdue_withdrawals()');
+  end if;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'notifications'
+  ) then
+    alter publication supabase_realtime add table public.notifications;
+  end if;
+end;
+$$;
@@ -0,0 +1,182 @@
+-- Month-end close. close_period() freezes a month's totals into
+-- period_snapshots (one row per employee) and locks every deposit and
+-- withdrawal created in that month, Kuwait time: no inserts, edits, status
+-- changes or voids until a manager reopens it with reopen_period(), which
+-- requires a reason. Both are recorded in period_log. Mirrors
+-- src/lib/periods.js.
+
+create table if not exists public.period_closes (
+  month date primary key check (month = date_trunc('month', month)::date),
+  closed_at timestamptz not null default now(),
+  closed_by uuid not null references auth.users (id)
+);
+
+create table if not exists public.period_snapshots (
+  month date not null references public.period_closes (month) on delete cascade,
+  user_id uuid not null references auth.users (id),
+  in_total numeric not null,
+  out_total numeric not null,
+  net numeric not null,
+  deposit_count int not null,
+  withdrawal_count int not null,
+  primary key (month, user_id)
+);
+
+create table if not exists public.period_log (
+  id uuid primary key default gen_random_uuid(),
+  month date not null,
+  action text not null check (action in ('close', 'reopen')),
+  reason text check (action <> 'reopen' or nullif(trim(reason), '') is not null),
+  actor uuid not null references auth.users (id),
+  at timestamptz not null default now()
+);
+
+create index if not exists period_log_month_idx on public.period_log (month, at desc);
+
+-- Written only by close_period() and reopen_period().
+alter table public.period_closes enable row level security;
+alter table public.period_snapshots enable row level security;
+alter table public.period_log enable row level security;
+
+drop policy if exists period_closes_select on public.period_closes;
+create policy period_closes_select on public.period_closes
+  for select using (auth.uid() is not null);
+
+drop policy if exists period_snapshots_select on public.period_snapshots;
+create policy period_snapshots_select on public.period_snapshots
+  for select using (public.can_see_user(user_id));
+
+drop policy if exists period_log_select on public.period_log;
+create policy period_log_select on public.period_log
+  for select using (public.is_manager());
+
+-- The period (first of the month, Kuwait time) of an entry created at `p_at`.
+create or replace function public.period_of(p_at timestamptz)
+returns date
+language sql
+immutable
+as $$
+  select date_trunc('month', p_at at time zone 'Asia/Kuwait')::date;
+$$;
+
+-- guard ----------------------------------------------------------------------
+
+create or replace function public.ledger_guard_period()
+returns trigger
+language plpgsql
+as $$
+declare
+  closed date;
+begin
+  if tg_op <> 'INSERT' then
+    select month into closed from public.period_closes where month = public.period_of(old.created_at);
+    -- Renumbering a client account cascades into closed months too; the
+    -- totals do not change.
+    if closed is not null and tg_op = 'UPDATE'
+      and to_jsonb(new) - 'client_account' = to_jsonb(old) - 'client_account' then
+      return new;
+    end if;
+  end if;
+  if closed is null and tg_op <> 'DELETE' then
+    select month into closed from public.period_closes where month = public.period_of(new.created_at);
+  end if;
+  if closed is not null then
+    raise exception '% is closed; a manager must reopen it before its entries change.', to_char(closed, 'FMMonth YYYY')
+      using errcode = '42501';
+  end if;
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+drop trigger if exists transactions_guard_period on public.transactions;
+create trigger transactions_guard_period
+  before insert or update or delete on public.transactions
+  for each row execute function public.ledger_guard_period();
+
+drop trigger if exists withdrawals_guard_period on public.withdrawals;
+create trigger withdrawals_guard_period
+  before insert or update or delete on public.withdrawals
+  for each row execute function public.ledger_guard_period();
+
+-- close / reopen ---------------------------------------------------------------
+
+-- Same rules as closePeriodError(). Snapshots cover every employee, whoever
+-- closes the month; amounts without a rate count as zero, like the app's
+-- totals.
+create or replace function public.close_period(p_month date)
+returns public.period_closes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  m date := date_trunc('month', p_month)::date;
+  pending int;
+  result public.period_closes;
+begin
+  if not public.is_manager() then
+    raise exception 'Only managers can close a month.' using errcode = '42501';
+  end if;
+  if exists (select 1 from public.period_closes where month = m) then
+    raise exception '% is already closed.', to_char(m, 'FMMonth YYYY') using errcode = '42501';
+  end if;
+  if m >= public.period_of(now()) then
+    raise exception 'Only months that have ended can be closed.' using errcode = '22023';
+  end if;
+  select count(*) into pending
+  from public.withdrawals
+  where public.period_of(created_at) = m and status = 'pending' and voided_at is null;
+  if pending > 0 then
+    raise exception 'Decide or cancel the % pending withdrawal(s) from % first.', pending, to_char(m, 'FMMonth YYYY')
+      using errcode = '42501';
+  end if;
+
+  insert into public.period_closes (month, closed_by) values (m, auth.uid()) returning * into result;
+
+  insert into public.period_snapshots (month, user_id, in_total, out_total, net, deposit_count, withdrawal_count)
+  select m, user_id, sum(in_amount), sum(out_amount), sum(in_amount) - sum(out_amount),
+         count(*) filter (where kind = 'in'), count(*) filter (where kind = 'out')
+  from (
+    select user_id, 'in' as kind, coalesce(public.to_base(amount, currency, created_at::date), 0) as in_amount, 0 as out_amount
+    from public.transactions
+    where public.period_of(created_at) = m and voided_at is null
+    union all
+    select user_id, 'out', 0, coalesce(public.to_base(amount, currency, created_at::date), 0)
+    from public.withdrawals
+    where public.period_of(created_at) = m and voided_at is null and status = 'approved'
+  ) entries
+  group by user_id;
+
+  insert into public.period_log (month, action, actor) values (m, 'close', auth.uid());
+  return result;
+end;
+$$;
+
+create or replace function public.reopen_period(p_month date, p_reason text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  m date := date_trunc('month', p_month)::date;
+  reason text := nullif(trim(p_reason), '');
+begin
+  if not public.is_manager() then
+    raise exception 'Only managers can reopen a month.' using errcode = '42501';
+  end if;
+  if reason is null then
+    raise exception 'A reason is required to reopen a closed month.' using errcode = '22023';
+  end if;
+  delete from public.period_closes where month = m;
+  if not found then
+    raise exception '% is not closed.', to_char(m, 'FMMonth YYYY') using errcode = '42501';
+  end if;
+  insert into public.period_log (month, action, reason, actor) values (m, 'reopen', reason, auth.uid());
+end;
+$$;
+
+revoke all on function public.close_period(date) from public;
+grant execute on function public.close_period(date) to authenticated;
+revoke all on function public.reopen_period(date, text) from public;
+grant execute on function public.reopen_period(date, text) to authenticated;
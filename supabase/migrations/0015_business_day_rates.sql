@@ -0,0 +1,151 @@
+-- Exchange rates are picked by the Kuwait calendar day of an entry, as the
+-- app does (src/lib/currencies.js); these took the UTC date, so entries made
+-- between midnight and 03:00 Kuwait time were converted at the previous
+-- day's rate. Redefines the functions that convert entries to KWD; bodies
+-- are otherwise unchanged.
+
+-- From 0010_voids.sql.
+create or replace function public.client_balance(p_account text)
+returns table (deposits numeric, withdrawn numeric, pending numeric, balance numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select d.total, w.approved, w.pending, d.total - w.approved
+  from (
+    select coalesce(sum(public.to_base(amount, currency, (created_at at time zone 'Asia/Kuwait')::date)), 0) as total
+    from public.transactions where client_account = p_account and voided_at is null
+  ) d,
+  (
+    select coalesce(sum(public.to_base(amount, currency, (created_at at time zone 'Asia/Kuwait')::date)) filter (where status = 'approved'), 0) as approved,
+           coalesce(sum(public.to_base(amount, currency, (created_at at time zone 'Asia/Kuwait')::date)) filter (where status = 'pending'), 0) as pending
+    from public.withdrawals where client_account = p_account and voided_at is null
+  ) w;
+$$;
+
+-- From 0010_voids.sql.
+create or replace function public.decide_withdrawal(p_id uuid, p_decision text, p_note text default null)
+returns public.withdrawals
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  w public.withdrawals;
+  threshold numeric;
+  required int;
+  note text := nullif(trim(p_note), '');
+begin
+  if p_decision <> 'cancel' and not public.is_manager() then
+    raise exception 'only managers can decide withdrawals' using errcode = '42501';
+  end if;
+
+  select * into w from public.withdrawals where id = p_id for update;
+  if not found then
+    raise exception 'withdrawal % not found', p_id using errcode = 'P0002';
+  end if;
+  if w.voided_at is not null then
+    raise exception 'This request has been voided.' using errcode = '42501';
+  end if;
+
+  select (value #>> '{}')::numeric into threshold
+  from public.app_settings where key = 'dual_approval_threshold';
+  required := case
+    when threshold is not null and public.to_base(w.amount, w.currency, (w.created_at at time zone 'Asia/Kuwait')::date) > threshold then 2
+    else 1
+  end;
+
+  perform set_config('inout.workflow', 'on', true);
+
+  if p_decision = 'approve' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be approved.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot approve your own request.' using errcode = '42501';
+    end if;
+    if auth.uid() = any (w.approved_by) then
+      raise exception 'You already approved this request.' using errcode = '42501';
+    end if;
+    update public.withdrawals
+      set approved_by = approved_by || auth.uid(),
+          status = case when cardinality(approved_by) + 1 >= required then 'approved' else 'pending' end,
+          status_note = coalesce(note, status_note)
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reject' then
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be rejected.' using errcode = '42501';
+    end if;
+    if w.user_id = auth.uid() then
+      raise exception 'You cannot reject your own request.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A rejection reason is required.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'rejected', status_note = note
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'reopen' then
+    if w.status = 'pending' then
+      raise exception 'Request is already pending.' using errcode = '42501';
+    end if;
+    if w.status = 'cancelled' then
+      raise exception 'Cancelled requests cannot be reopened.' using errcode = '42501';
+    end if;
+    if note is null then
+      raise exception 'A reason is required to reopen a decided request.' using errcode = '22023';
+    end if;
+    update public.withdrawals
+      set status = 'pending', approved_by = '{}', status_note = note
+      where id = p_id
+      returning * into w;
+
+  elsif p_decision = 'cancel' then
+    if w.user_id is distinct from auth.uid() then
+      raise exception 'You can only cancel your own request.' using errcode = '42501';
+    end if;
+    if w.status <> 'pending' then
+      raise exception 'Only pending requests can be cancelled.' using errcode = '42501';
+    end if;
+    update public.withdrawals
+      set status = 'cancelled', status_note = note
+      where id = p_id
+      returning * into w;
+
+  else
+    raise exception 'Unknown decision "%".', p_decision using errcode = '22023';
+  end if;
+
+  return w;
+end;
+$$;
+
+-- From 0012_attachments.sql.
+create or replace function public.withdrawals_require_attachment()
+returns trigger
+language plpgsql
+as $$
+declare
+  required_above numeric;
+begin
+  if cardinality(coalesce(new.approved_by, '{}')) <= cardinality(coalesce(old.approved_by, '{}')) then
+    return new;
+  end if;
+  select (value #>> '{}')::numeric into required_above
+  from public.app_settings where key = 'attachment_required_above';
+  if required_above is not null
+    and public.to_base(new.amount, new.currency, (new.created_at at time zone 'Asia/Kuwait')::date) > required_above
+    and not exists (
+      select 1 from public.attachments a where a.table_name = 'withdrawals' and a.row_id = new.id
+    ) then
+    raise exception 'Attach the signed withdrawal form before approving requests above % KWD.', required_above
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Company-wide settings (approval and attachment thresholds, reminder days)
+-- are for org admins. is_manager() covers team managers since
+-- 0009_teams.sql, so the 0004 policy let a branch manager change them.
+
+drop policy if exists app_settings_write on public.app_settings;
+create policy app_settings_write on public.app_settings
+  for all using (public.is_org_admin()) with check (public.is_org_admin());
@@ -0,0 +1,77 @@
+-- Renaming a client's account number cascades into its deposits and
+-- withdrawals (0005_clients.sql). The row guards below refused that for
+-- voided rows, decided withdrawals and other teams' rows, so renaming such a
+-- client failed. The cascade is now let through; editing client_account
+-- directly is still refused.
+
+-- Is the update from `old_row` to `new_row` the foreign key cascade of an
+-- account rename? The cascade runs in the constraint's own trigger, so the
+-- guard calling this is nested one level deeper than for a direct update.
+create or replace function public.is_account_rename(new_row jsonb, old_row jsonb)
+returns boolean
+language sql
+stable
+as $$
+  select pg_trigger_depth() > 1 and new_row - 'client_account' = old_row - 'client_account';
+$$;
+
+-- From 0010_voids.sql.
+create or replace function public.ledger_guard_void()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('inout.workflow', true), '') = 'on'
+    or public.is_account_rename(to_jsonb(new), to_jsonb(old)) then
+    return new;
+  end if;
+  if old.voided_at is not null then
+    raise exception 'voided entries cannot be changed' using errcode = '42501';
+  end if;
+  if (new.voided_at, new.voided_by, new.void_reason) is distinct from (old.voided_at, old.voided_by, old.void_reason) then
+    raise exception 'entries are voided through void_entry()' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+-- From 0004_withdrawal_workflow.sql.
+create or replace function public.withdrawals_guard_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null
+    or coalesce(current_setting('inout.workflow', true), '') = 'on'
+    or public.is_account_rename(to_jsonb(new), to_jsonb(old)) then
+    return new;
+  end if;
+  if new.status is distinct from old.status
+    or new.approved_by is distinct from old.approved_by
+    or new.status_note is distinct from old.status_note then
+    raise exception 'status changes must go through decide_withdrawal()'
+      using errcode = '42501';
+  end if;
+  if old.status <> 'pending'
+    and (new.amount, new.client_account) is distinct from (old.amount, old.client_account) then
+    raise exception 'only pending withdrawals can be edited; reopen it first'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+-- From 0009_teams.sql.
+create or replace function public.withdrawals_scope_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null and not public.can_see_user(old.user_id)
+    and not public.is_account_rename(to_jsonb(new), to_jsonb(old)) then
+    raise exception 'This request belongs to another team.' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
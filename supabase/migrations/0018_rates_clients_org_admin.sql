@@ -0,0 +1,13 @@
+-- Exchange rates value every team's entries, and a client's details are
+-- shared by every team that deals with it, so a team manager must not change
+-- them. is_manager() covers team managers since 0009_teams.sql, which let
+-- the 0008 and 0005 policies do exactly that. Rates are now for org admins;
+-- a client can be edited by an org admin or whoever registered it.
+
+drop policy if exists exchange_rates_write on public.exchange_rates;
+create policy exchange_rates_write on public.exchange_rates
+  for all using (public.is_org_admin()) with check (public.is_org_admin());
+
+drop policy if exists clients_update on public.clients;
+create policy clients_update on public.clients
+  for update using (public.is_org_admin() or created_by = auth.uid());
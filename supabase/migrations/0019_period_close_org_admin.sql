@@ -0,0 +1,112 @@
+-- Month-end close, revised. The lock in 0014_period_close.sql covers every
+-- team, so only org admins close and reopen months (is_manager() includes
+-- team managers since 0009_teams.sql). Snapshots convert each amount at the
+-- rate of its Kuwait day, rounded to the fils like toBase() in
+-- src/lib/currencies.js, so the frozen totals match the app's. A closed
+-- row's client_account may only change through the clients foreign key's
+-- cascade, not by a direct update.
+
+create or replace function public.ledger_guard_period()
+returns trigger
+language plpgsql
+as $$
+declare
+  closed date;
+begin
+  if tg_op <> 'INSERT' then
+    select month into closed from public.period_closes where month = public.period_of(old.created_at);
+    -- Renumbering a client account cascades into closed months too (from
+    -- the foreign key's trigger, hence the depth); the totals do not change.
+    if closed is not null and tg_op = 'UPDATE' and pg_trigger_depth() > 1
+      and to_jsonb(new) - 'client_account' = to_jsonb(old) - 'client_account' then
+      return new;
+    end if;
+  end if;
+  if closed is null and tg_op <> 'DELETE' then
+    select month into closed from public.period_closes where month = public.period_of(new.created_at);
+  end if;
+  if closed is not null then
+    raise exception '% is closed; an org admin must reopen it before its entries change.', to_char(closed, 'FMMonth YYYY')
+      using errcode = '42501';
+  end if;
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+-- Same rules as closePeriodError(). Amounts count as zero without a rate,
+-- like the app's totals; KWD has three decimals.
+create or replace function public.close_period(p_month date)
+returns public.period_closes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  m date := date_trunc('month', p_month)::date;
+  pending int;
+  result public.period_closes;
+begin
+  if not public.is_org_admin() then
+    raise exception 'Only org admins can close a month.' using errcode = '42501';
+  end if;
+  if exists (select 1 from public.period_closes where month = m) then
+    raise exception '% is already closed.', to_char(m, 'FMMonth YYYY') using errcode = '42501';
+  end if;
+  if m >= public.period_of(now()) then
+    raise exception 'Only months that have ended can be closed.' using errcode = '22023';
+  end if;
+  select count(*) into pending
+  from public.withdrawals
+  where public.period_of(created_at) = m and status = 'pending' and voided_at is null;
+  if pending > 0 then
+    raise exception 'Decide or cancel the % pending withdrawal(s) from % first.', pending, to_char(m, 'FMMonth YYYY')
+      using errcode = '42501';
+  end if;
+
+  insert into public.period_closes (month, closed_by) values (m, auth.uid()) returning * into result;
+
+  insert into public.period_snapshots (month, user_id, in_total, out_total, net, deposit_count, withdrawal_count)
+  select m, user_id, sum(in_amount), sum(out_amount), sum(in_amount) - sum(out_amount),
+         count(*) filter (where kind = 'in'), count(*) filter (where kind = 'out')
+  from (
+    select user_id, 'in' as kind,
+           round(coalesce(public.to_base(amount, currency, (created_at at time zone 'Asia/Kuwait')::date), 0), 3) as in_amount,
+           0 as out_amount
+    from public.transactions
+    where public.period_of(created_at) = m and voided_at is null
+    union all
+    select user_id, 'out', 0,
+           round(coalesce(public.to_base(amount, currency, (created_at at time zone 'Asia/Kuwait')::date), 0), 3)
+    from public.withdrawals
+    where public.period_of(created_at) = m and voided_at is null and status = 'approved'
+  ) entries
+  group by user_id;
+
+  insert into public.period_log (month, action, actor) values (m, 'close', auth.uid());
+  return result;
+end;
+$$;
+
+create or replace function public.reopen_period(p_month date, p_reason text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  m date := date_trunc('month', p_month)::date;
+  reason text := nullif(trim(p_reason), '');
+begin
+  if not public.is_org_admin() then
+    raise exception 'Only org admins can reopen a month.' using errcode = '42501';
+  end if;
+  if reason is null then
+    raise exception 'A reason is required to reopen a closed month.' using errcode = '22023';
+  end if;
+  delete from public.period_closes where month = m;
+  if not found then
+    raise exception '% is not closed.', to_char(m, 'FMMonth YYYY') using errcode = '42501';
+  end if;
+  insert into public.period_log (month, action, reason, actor) values (m, 'reopen', reason, auth.uid());
+end;
+$$;